@@ -1,6 +1,8 @@
 import React from 'react';
 import { Routes, Route, Navigate } from 'react-router-dom';
 import { useAuth } from './contexts/AuthContext';
+import { RealtimeProvider } from './contexts/RealtimeContext';
+import { SavedViewsProvider } from './contexts/SavedViewsContext';
 import Layout from './components/Layout';
 import Login from './pages/Login';
 import Dashboard from './pages/Dashboard';
@@ -9,6 +11,8 @@ import CreateTicket from './pages/CreateTicket';
 import TicketDetail from './pages/TicketDetail';
 import Users from './pages/Users';
 import Reports from './pages/Reports';
+import Webhooks from './pages/Webhooks';
+import CannedResponses from './pages/CannedResponses';
 import Profile from './pages/Profile';
 import LoadingSpinner from './components/LoadingSpinner';
 
@@ -44,7 +48,11 @@ function App() {
         
         <Route path="/" element={
           <PrivateRoute>
-            <Layout />
+            <RealtimeProvider>
+              <SavedViewsProvider>
+                <Layout />
+              </SavedViewsProvider>
+            </RealtimeProvider>
           </PrivateRoute>
         }>
           <Route index element={<Navigate to="/dashboard" replace />} />
@@ -65,6 +73,16 @@ function App() {
               <Reports />
             </PrivateRoute>
           } />
+          <Route path="webhooks" element={
+            <PrivateRoute requireAdmin>
+              <Webhooks />
+            </PrivateRoute>
+          } />
+          <Route path="canned-responses" element={
+            <PrivateRoute requireAdmin>
+              <CannedResponses />
+            </PrivateRoute>
+          } />
         </Route>
       </Routes>
     </div>
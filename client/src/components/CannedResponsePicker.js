@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { MessageSquare } from 'lucide-react';
+
+// Drop-down of canned responses; the chosen one is filled in for the ticket
+// by the server and handed to onInsert
+const CannedResponsePicker = ({ ticketId, responses, onInsert }) => {
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = async (e) => {
+    const responseId = e.target.value;
+    if (!responseId) return;
+    setLoading(true);
+    try {
+      const res = await axios.get(`/api/canned-responses/${responseId}/render`, { params: { ticket_id: ticketId } });
+      onInsert(res.data.text);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to insert canned response');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!responses || responses.length === 0) return null;
+
+  const team = responses.filter(r => r.scope === 'team');
+  const personal = responses.filter(r => r.scope === 'personal');
+
+  return (
+    <div className="flex items-center space-x-2">
+      <MessageSquare className="h-4 w-4 text-gray-400" />
+      <select value="" onChange={handleChange} disabled={loading} className="input py-1 text-sm">
+        <option value="">{loading ? 'Inserting...' : 'Insert canned response...'}</option>
+        {personal.length > 0 && (
+          <optgroup label="My responses">
+            {personal.map(r => <option key={r.id} value={r.id}>{r.title}</option>)}
+          </optgroup>
+        )}
+        {team.length > 0 && (
+          <optgroup label="Team responses">
+            {team.map(r => <option key={r.id} value={r.id}>{r.title}</option>)}
+          </optgroup>
+        )}
+      </select>
+    </div>
+  );
+};
+
+export default CannedResponsePicker;
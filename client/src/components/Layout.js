@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 import { Outlet, Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useSavedViews, viewSearch } from '../contexts/SavedViewsContext';
+import NotificationBell from './NotificationBell';
 import { 
   Home, 
   Ticket, 
@@ -10,11 +12,15 @@ import {
   LogOut, 
   Menu, 
   X,
-  Plus
+  Plus,
+  Webhook,
+  MessageSquare,
+  Bookmark
 } from 'lucide-react';
 
 const Layout = () => {
   const { user, logout, isAdmin } = useAuth();
+  const { views, columns } = useSavedViews();
   const location = useLocation();
   const navigate = useNavigate();
   const [sidebarOpen, setSidebarOpen] = useState(false);
@@ -25,10 +31,15 @@ const Layout = () => {
     ...(isAdmin ? [
       { name: 'Users', href: '/users', icon: Users },
       { name: 'Reports', href: '/reports', icon: BarChart3 },
+      { name: 'Canned Responses', href: '/canned-responses', icon: MessageSquare },
+      { name: 'Webhooks', href: '/webhooks', icon: Webhook },
     ] : []),
     { name: 'Profile', href: '/profile', icon: User },
   ];
 
+  const pinnedViews = views.filter(view => view.pinned);
+  const activeViewId = location.pathname === '/tickets' ? new URLSearchParams(location.search).get('view') : null;
+
   const handleLogout = () => {
     logout();
     navigate('/login');
@@ -72,6 +83,35 @@ const Layout = () => {
             })}
           </div>
 
+          {pinnedViews.length > 0 && (
+            <div className="mt-6 pt-6 border-t border-gray-200">
+              <p className="px-3 mb-2 text-xs font-semibold text-gray-400 uppercase tracking-wider">Saved Views</p>
+              <div className="space-y-1">
+                {pinnedViews.map((view) => {
+                  const isActive = activeViewId === String(view.id);
+                  return (
+                    <Link
+                      key={view.id}
+                      to={`/tickets?${viewSearch(view, columns)}`}
+                      className={`group flex items-center px-3 py-2 text-sm font-medium rounded-md transition-colors ${
+                        isActive
+                          ? 'bg-primary-100 text-primary-900'
+                          : 'text-gray-600 hover:bg-gray-50 hover:text-gray-900'
+                      }`}
+                      onClick={() => setSidebarOpen(false)}
+                    >
+                      <Bookmark className="mr-3 h-5 w-5 flex-shrink-0" />
+                      <span className="truncate">{view.name}</span>
+                      {view.count !== null && view.count !== undefined && (
+                        <span className="ml-auto pl-2 text-xs font-semibold text-gray-500">{view.count}</span>
+                      )}
+                    </Link>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
           <div className="mt-6 pt-6 border-t border-gray-200">
             <button
               onClick={handleLogout}
@@ -96,7 +136,8 @@ const Layout = () => {
               <Menu className="h-5 w-5" />
             </button>
 
-            <div className="flex items-center space-x-4">
+            <div className="flex items-center space-x-4 ml-auto">
+              <NotificationBell />
               <div className="text-sm text-gray-600">
                 Welcome, <span className="font-medium text-gray-900">{user?.username}</span>
               </div>
@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { Bell } from 'lucide-react';
+import { BACKGROUND_BATCH_DELAY_MS, useRealtimeConnected, useTicketEventBatches } from '../contexts/RealtimeContext';
+
+// Only while live updates are down
+const POLL_INTERVAL_MS = 60 * 1000;
+
+const formatTime = (dateString) => {
+  const date = new Date(dateString);
+  const minutes = Math.round((Date.now() - date.getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)}h ago`;
+  return date.toLocaleDateString();
+};
+
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const containerRef = useRef(null);
+  const connected = useRealtimeConnected();
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/notifications', { params: { limit: 10 } });
+      setNotifications(res.data.notifications || []);
+      setUnreadCount(res.data.unreadCount || 0);
+    } catch (err) {
+      // the badge is best-effort; keep the last known state
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, [fetchNotifications]);
+
+  useEffect(() => {
+    if (connected) return undefined;
+    const interval = setInterval(fetchNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [connected, fetchNotifications]);
+
+  // Ticket events usually mean new notifications; opening the dropdown always refetches
+  useTicketEventBatches(fetchNotifications, { delay: BACKGROUND_BATCH_DELAY_MS });
+
+  // Close the dropdown when clicking elsewhere
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const handleOpen = () => {
+    if (!open) fetchNotifications();
+    setOpen(!open);
+  };
+
+  const handleSelect = async (notification) => {
+    setOpen(false);
+    if (!notification.read_at) {
+      setNotifications(prev => prev.map(n => (n.id === notification.id ? { ...n, read_at: new Date().toISOString() } : n)));
+      setUnreadCount(prev => Math.max(0, prev - 1));
+      try {
+        const res = await axios.put(`/api/notifications/${notification.id}/read`);
+        setUnreadCount(res.data.unreadCount);
+      } catch (err) {
+        // ignore; the next poll corrects the count
+      }
+    }
+    navigate(`/tickets/${notification.ticket_id}`);
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await axios.put('/api/notifications/read-all');
+      setNotifications(prev => prev.map(n => ({ ...n, read_at: n.read_at || new Date().toISOString() })));
+      setUnreadCount(0);
+    } catch (err) {
+      // ignore; the next poll corrects the count
+    }
+  };
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={handleOpen}
+        className="relative p-2 rounded-md text-gray-400 hover:text-gray-500 hover:bg-gray-100"
+        aria-label={`Notifications (${unreadCount} unread)`}
+      >
+        <Bell className="h-5 w-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 flex items-center justify-center text-xs font-semibold text-white bg-danger-600 rounded-full">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-md shadow-lg border border-gray-200 z-50">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200">
+            <span className="text-sm font-semibold text-gray-900">Notifications</span>
+            {unreadCount > 0 && (
+              <button onClick={handleMarkAllRead} className="text-xs text-primary-600 hover:text-primary-900">
+                Mark all as read
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <div className="px-4 py-6 text-sm text-gray-500 text-center">No notifications yet</div>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {notifications.map(n => (
+                <li key={n.id}>
+                  <button
+                    onClick={() => handleSelect(n)}
+                    className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${n.read_at ? '' : 'bg-primary-50'}`}
+                  >
+                    <div className="flex items-start space-x-2">
+                      {!n.read_at && <span className="mt-1.5 h-2 w-2 rounded-full bg-primary-600 flex-shrink-0" />}
+                      <div className="min-w-0">
+                        <p className={`text-sm ${n.read_at ? 'text-gray-600' : 'text-gray-900 font-medium'}`}>{n.message}</p>
+                        <p className="text-xs text-gray-400">{formatTime(n.created_at)}</p>
+                      </div>
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
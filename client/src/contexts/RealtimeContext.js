@@ -0,0 +1,168 @@
+import React, { createContext, useContext, useEffect, useRef, useState, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+
+const RealtimeContext = createContext();
+
+// Reconnects back off from the first to the last delay; a rejected token
+// (401/403) waits the longest, as retrying sooner cannot succeed
+const RECONNECT_DELAY_MS = 5000;
+const MAX_RECONNECT_DELAY_MS = 5 * 60 * 1000;
+// Ticket events arrive in bursts (a status change plus a note, a bulk action on
+// 100 tickets); pages refetch once per burst instead of once per event
+const BATCH_DELAY_MS = 1000;
+// Badges and counts outside the current page refresh at most this often
+export const BACKGROUND_BATCH_DELAY_MS = 30 * 1000;
+
+// Split a Server-Sent Events buffer into complete { event, data } messages
+const parseEvents = (buffer) => {
+  const messages = [];
+  const frames = buffer.split(/\r?\n\r?\n/);
+  const rest = frames.pop();
+
+  frames.forEach(frame => {
+    let event = 'message';
+    const data = [];
+    frame.split(/\r?\n/).forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    });
+    if (data.length > 0) {
+      messages.push({ event, data: data.join('\n') });
+    }
+  });
+
+  return { messages, rest };
+};
+
+// One live connection to GET /api/events per signed-in session. fetch is used
+// instead of EventSource so the JWT travels in the Authorization header.
+export const RealtimeProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const listeners = useRef(new Set());
+  const [connected, setConnected] = useState(false);
+
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+
+    const controller = new AbortController();
+    let reconnectTimer = null;
+    let reconnectDelay = RECONNECT_DELAY_MS;
+
+    const connect = async () => {
+      const token = localStorage.getItem('token');
+      try {
+        const response = await fetch('/api/events', {
+          headers: { Authorization: `Bearer ${token}`, Accept: 'text/event-stream' },
+          signal: controller.signal
+        });
+        if (response.status === 401 || response.status === 403) {
+          reconnectDelay = MAX_RECONNECT_DELAY_MS;
+        }
+        if (!response.ok || !response.body) {
+          throw new Error(`Event stream failed with status ${response.status}`);
+        }
+        reconnectDelay = RECONNECT_DELAY_MS;
+        setConnected(true);
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          buffer += decoder.decode(value, { stream: true });
+          const { messages, rest } = parseEvents(buffer);
+          buffer = rest;
+          messages
+            .filter(message => message.event === 'ticket')
+            .forEach(message => {
+              const payload = JSON.parse(message.data);
+              listeners.current.forEach(listener => listener(payload));
+            });
+        }
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('Live updates disconnected:', error.message);
+      }
+
+      if (!controller.signal.aborted) {
+        setConnected(false);
+        reconnectTimer = setTimeout(connect, reconnectDelay);
+        reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+      }
+    };
+
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(reconnectTimer);
+      setConnected(false);
+    };
+  }, [isAuthenticated]);
+
+  const subscribe = useCallback((listener) => {
+    listeners.current.add(listener);
+    return () => listeners.current.delete(listener);
+  }, []);
+
+  return (
+    <RealtimeContext.Provider value={{ subscribe, connected }}>
+      {children}
+    </RealtimeContext.Provider>
+  );
+};
+
+// Whether live updates are flowing; polling is only needed while they are not
+export const useRealtimeConnected = () => useContext(RealtimeContext).connected;
+
+// Call handler(event) for every live ticket event:
+// { type, ticketId, actor, data, ticket, at }
+export const useTicketEvents = (handler) => {
+  const { subscribe } = useContext(RealtimeContext);
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  }, [handler]);
+
+  useEffect(() => subscribe(event => handlerRef.current(event)), [subscribe]);
+};
+
+// Like useTicketEvents, but collects events for delay ms after the first one and
+// then calls handler(events) once. filter(event) picks the events that count.
+// While the browser tab is hidden the batch is held until it is shown again.
+export const useTicketEventBatches = (handler, { filter = null, delay = BATCH_DELAY_MS } = {}) => {
+  const handlerRef = useRef(handler);
+  const filterRef = useRef(filter);
+  const pending = useRef([]);
+  const timer = useRef(null);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+    filterRef.current = filter;
+  }, [handler, filter]);
+
+  const flush = useCallback(() => {
+    timer.current = null;
+    if (document.hidden || pending.current.length === 0) return;
+    const events = pending.current;
+    pending.current = [];
+    handlerRef.current(events);
+  }, []);
+
+  useEffect(() => {
+    document.addEventListener('visibilitychange', flush);
+    return () => {
+      document.removeEventListener('visibilitychange', flush);
+      clearTimeout(timer.current);
+    };
+  }, [flush]);
+
+  useTicketEvents((event) => {
+    if (filterRef.current && !filterRef.current(event)) return;
+    pending.current.push(event);
+    if (timer.current) return;
+    timer.current = setTimeout(flush, delay);
+  });
+};
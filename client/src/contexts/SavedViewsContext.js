@@ -0,0 +1,54 @@
+import React, { createContext, useContext, useEffect, useState, useCallback } from 'react';
+import axios from 'axios';
+import { BACKGROUND_BATCH_DELAY_MS, useTicketEventBatches } from './RealtimeContext';
+
+const SavedViewsContext = createContext();
+
+// Query string for the Tickets page that shows a view, e.g. "view=3&status=Pending&sort=priority"
+export const viewSearch = (view, allColumns = []) => {
+  const params = new URLSearchParams();
+  params.set('view', view.id);
+  Object.entries(view.filters || {}).forEach(([key, value]) => params.set(key, value));
+  if (view.sort) params.set('sort', view.sort);
+  if (view.columns && allColumns.length > 0 && view.columns.length !== allColumns.length) {
+    params.set('columns', view.columns.join(','));
+  }
+  return params.toString();
+};
+
+// Saved views of the signed-in user (own and team), with live counts for pinned ones
+export const SavedViewsProvider = ({ children }) => {
+  const [views, setViews] = useState([]);
+  const [columns, setColumns] = useState([]);
+
+  const refresh = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/views');
+      setViews(res.data.views);
+      setColumns(res.data.columns);
+    } catch (err) {
+      console.error('Failed to load saved views', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // recount at most every BACKGROUND_BATCH_DELAY_MS while tickets are changing
+  useTicketEventBatches(refresh, { delay: BACKGROUND_BATCH_DELAY_MS });
+
+  return (
+    <SavedViewsContext.Provider value={{ views, columns, refresh }}>
+      {children}
+    </SavedViewsContext.Provider>
+  );
+};
+
+export const useSavedViews = () => {
+  const context = useContext(SavedViewsContext);
+  if (!context) {
+    throw new Error('useSavedViews must be used within a SavedViewsProvider');
+  }
+  return context;
+};
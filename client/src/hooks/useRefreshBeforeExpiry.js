@@ -0,0 +1,36 @@
+import { useEffect, useRef } from 'react';
+
+// Signed attachment links stop working after a few minutes; refresh them this
+// long before they do
+const REFRESH_MARGIN_MS = 30 * 1000;
+
+// Earliest url_expires_at of some attachment responses (null entries skipped)
+export const earliestExpiry = (attachments) => attachments
+  .filter(a => a && a.url_expires_at)
+  .map(a => a.url_expires_at)
+  .sort()[0] || null;
+
+// Call refresh() shortly before expiresAt (an ISO time), or as soon as the tab
+// is shown again if the timer could not fire while it was in the background
+export const useRefreshBeforeExpiry = (expiresAt, refresh) => {
+  const refreshRef = useRef(refresh);
+
+  useEffect(() => {
+    refreshRef.current = refresh;
+  }, [refresh]);
+
+  useEffect(() => {
+    if (!expiresAt) return undefined;
+    const refreshAt = new Date(expiresAt).getTime() - REFRESH_MARGIN_MS;
+
+    const timer = setTimeout(() => refreshRef.current(), Math.max(0, refreshAt - Date.now()));
+    const handleVisible = () => {
+      if (!document.hidden && Date.now() >= refreshAt) refreshRef.current();
+    };
+    document.addEventListener('visibilitychange', handleVisible);
+    return () => {
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', handleVisible);
+    };
+  }, [expiresAt]);
+};
@@ -0,0 +1,201 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { Plus, Edit, Trash2, X, Users as UsersIcon, User } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const emptyForm = { title: '', body: '', scope: 'personal' };
+
+const CannedResponses = () => {
+  const [responses, setResponses] = useState([]);
+  const [variables, setVariables] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editResponse, setEditResponse] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const fetchResponses = async () => {
+    setLoading(true);
+    try {
+      const res = await axios.get('/api/canned-responses');
+      setResponses(res.data.responses);
+      setVariables(res.data.variables);
+    } catch (err) {
+      toast.error('Failed to fetch canned responses');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchResponses();
+  }, []);
+
+  const openModal = (response = null) => {
+    setEditResponse(response);
+    setForm(response ? { title: response.title, body: response.body, scope: response.scope } : emptyForm);
+    setShowModal(true);
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditResponse(null);
+    setForm(emptyForm);
+  };
+
+  const insertVariable = (name) => {
+    setForm(prev => ({ ...prev, body: `${prev.body}{{${name}}}` }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      if (editResponse) {
+        await axios.put(`/api/canned-responses/${editResponse.id}`, form);
+        toast.success('Canned response updated');
+      } else {
+        await axios.post('/api/canned-responses', form);
+        toast.success('Canned response created');
+      }
+      closeModal();
+      fetchResponses();
+    } catch (err) {
+      toast.error(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to save canned response');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (response) => {
+    if (!window.confirm(`Delete canned response "${response.title}"?`)) return;
+    try {
+      await axios.delete(`/api/canned-responses/${response.id}`);
+      toast.success('Canned response deleted');
+      fetchResponses();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete canned response');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Canned Responses</h1>
+          <p className="text-gray-600">Reusable replies for ticket notes</p>
+        </div>
+        <button className="btn-primary flex items-center space-x-2" onClick={() => openModal()}>
+          <Plus className="h-4 w-4" />
+          <span>New Response</span>
+        </button>
+      </div>
+
+      <div className="card">
+        {loading ? (
+          <div className="text-center py-8 text-gray-500">Loading canned responses...</div>
+        ) : responses.length === 0 ? (
+          <div className="text-center py-8 text-gray-500">No canned responses yet.</div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {responses.map(response => (
+              <li key={response.id} className="py-4 flex justify-between items-start gap-4">
+                <div className="min-w-0">
+                  <div className="flex items-center space-x-2">
+                    <span className="font-medium text-gray-900">{response.title}</span>
+                    <span className={`inline-flex items-center space-x-1 px-2 py-0.5 text-xs font-semibold rounded-full ${response.scope === 'team' ? 'text-primary-600 bg-primary-100' : 'text-gray-600 bg-gray-100'}`}>
+                      {response.scope === 'team' ? <UsersIcon className="h-3 w-3" /> : <User className="h-3 w-3" />}
+                      <span>{response.scope === 'team' ? 'Team' : 'Personal'}</span>
+                    </span>
+                    {response.scope === 'team' && (
+                      <span className="text-xs text-gray-500">by {response.owner_name}</span>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-600 mt-1 whitespace-pre-line">{response.body}</p>
+                </div>
+                {response.can_edit && (
+                  <div className="flex gap-2 flex-shrink-0">
+                    <button className="btn-secondary px-2 py-1" onClick={() => openModal(response)} title="Edit">
+                      <Edit className="h-4 w-4" />
+                    </button>
+                    <button className="btn-danger px-2 py-1" onClick={() => handleDelete(response)} title="Delete">
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Create/Edit Modal */}
+      {showModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40">
+          <div className="bg-white rounded-lg shadow-lg w-full max-w-lg p-6 relative">
+            <button className="absolute top-2 right-2 text-gray-400 hover:text-gray-600" onClick={closeModal}>
+              <X className="h-5 w-5" />
+            </button>
+            <h2 className="text-xl font-bold mb-4">{editResponse ? 'Edit Canned Response' : 'New Canned Response'}</h2>
+            <form className="space-y-4" onSubmit={handleSubmit}>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Title</label>
+                <input
+                  type="text"
+                  value={form.title}
+                  onChange={e => setForm(prev => ({ ...prev, title: e.target.value }))}
+                  className="input mt-1"
+                  maxLength={100}
+                  placeholder="e.g. Restart and report back"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Text</label>
+                <textarea
+                  value={form.body}
+                  onChange={e => setForm(prev => ({ ...prev, body: e.target.value }))}
+                  className="input mt-1"
+                  rows={5}
+                  placeholder="Hi {{requester}}, please restart your PC and let us know if the problem persists."
+                  required
+                />
+                <div className="flex flex-wrap gap-1 mt-2">
+                  {variables.map(name => (
+                    <button
+                      key={name}
+                      type="button"
+                      onClick={() => insertVariable(name)}
+                      className="px-2 py-0.5 text-xs font-mono rounded bg-gray-100 hover:bg-gray-200 text-gray-700"
+                    >
+                      {`{{${name}}}`}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Shared with</label>
+                <select
+                  value={form.scope}
+                  onChange={e => setForm(prev => ({ ...prev, scope: e.target.value }))}
+                  className="input mt-1"
+                >
+                  <option value="personal">Only me</option>
+                  <option value="team">The whole IT team</option>
+                </select>
+              </div>
+              <div className="flex justify-end gap-2">
+                <button type="button" className="btn-secondary" onClick={closeModal}>Cancel</button>
+                <button type="submit" className="btn-primary" disabled={saving}>
+                  {saving ? 'Saving...' : editResponse ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CannedResponses;
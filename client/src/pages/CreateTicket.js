@@ -1,16 +1,21 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { useDropzone } from 'react-dropzone';
 import axios from 'axios';
 import toast from 'react-hot-toast';
-import { Upload, X, Camera } from 'lucide-react';
+import { Upload, X, Camera, FileText, Copy } from 'lucide-react';
+
+const MAX_FILES = 10;
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+// wait for a pause in typing before looking for duplicates
+const SIMILAR_DELAY_MS = 500;
 
 const CreateTicket = () => {
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
-  const [photo, setPhoto] = useState(null);
-  const [photoPreview, setPhotoPreview] = useState(null);
+  // [{ file, preview }] - preview is a data URL for images, null otherwise
+  const [files, setFiles] = useState([]);
 
   // compute default local datetime for datetime-local input
   const getDefaultIssueDate = () => {
@@ -26,13 +31,15 @@ const CreateTicket = () => {
     handleSubmit,
     formState: { errors },
     reset,
-    setValue
+    setValue,
+    watch
   } = useForm({
     defaultValues: {
       department: '',
       equipment_type: '',
       problem_description: '',
-      issue_date: defaultIssueDate
+      issue_date: defaultIssueDate,
+      priority: 'Medium'
     }
   });
   
@@ -57,30 +64,67 @@ const CreateTicket = () => {
     fetchUser();
   }, [setValue]);
 
-  const onDrop = (acceptedFiles) => {
-    const file = acceptedFiles[0];
-    if (file) {
-      setPhoto(file);
-      const reader = new FileReader();
-      reader.onload = () => {
-        setPhotoPreview(reader.result);
-      };
-      reader.readAsDataURL(file);
+  // open tickets from the same department that look like the same problem
+  const [similarTickets, setSimilarTickets] = useState([]);
+  const department = watch('department');
+  const problemDescription = watch('problem_description');
+
+  useEffect(() => {
+    if (!department || !problemDescription || problemDescription.trim().length < 10) {
+      setSimilarTickets([]);
+      return undefined;
+    }
+
+    let stale = false;
+    const timer = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ department, description: problemDescription });
+        const res = await axios.get(`/api/tickets/similar?${params.toString()}`);
+        if (!stale) setSimilarTickets(res.data.tickets || []);
+      } catch (err) {
+        // suggestions are optional; the ticket can still be submitted
+      }
+    }, SIMILAR_DELAY_MS);
+
+    return () => {
+      stale = true;
+      clearTimeout(timer);
+    };
+  }, [department, problemDescription]);
+
+  const onDrop = (acceptedFiles, rejectedFiles) => {
+    if (rejectedFiles.length > 0) {
+      toast.error('Some files were rejected (images, PDF, .txt, .log or .dmp up to 10MB)');
     }
+
+    const room = MAX_FILES - files.length;
+    acceptedFiles.slice(0, room).forEach(file => {
+      if (file.type.startsWith('image/')) {
+        const reader = new FileReader();
+        reader.onload = () => {
+          setFiles(prev => [...prev, { file, preview: reader.result }]);
+        };
+        reader.readAsDataURL(file);
+      } else {
+        setFiles(prev => [...prev, { file, preview: null }]);
+      }
+    });
   };
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     accept: {
-      'image/*': ['.jpeg', '.jpg', '.png', '.gif']
+      'image/*': ['.jpeg', '.jpg', '.png', '.gif', '.webp'],
+      'application/pdf': ['.pdf'],
+      'text/plain': ['.txt', '.log'],
+      'application/octet-stream': ['.dmp']
     },
-    maxFiles: 1,
-    maxSize: 5 * 1024 * 1024 // 5MB
+    maxFiles: MAX_FILES,
+    maxSize: MAX_FILE_SIZE
   });
 
-  const removePhoto = () => {
-    setPhoto(null);
-    setPhotoPreview(null);
+  const removeFile = (index) => {
+    setFiles(prev => prev.filter((_, i) => i !== index));
   };
 
   const onSubmit = async (data) => {
@@ -93,10 +137,11 @@ const CreateTicket = () => {
       formData.append('equipment_type', data.equipment_type);
       formData.append('problem_description', data.problem_description);
       formData.append('issue_date', data.issue_date);
+      formData.append('priority', data.priority);
       
-      if (photo) {
-        formData.append('photo', photo);
-      }
+      files.forEach(({ file }) => {
+        formData.append('attachments', file);
+      });
 
       await axios.post('/api/tickets', formData, {
         headers: {
@@ -106,8 +151,7 @@ const CreateTicket = () => {
 
       toast.success('Ticket created successfully!');
       reset();
-      setPhoto(null);
-      setPhotoPreview(null);
+      setFiles([]);
       navigate('/tickets');
     } catch (error) {
       const message = error.response?.data?.message || 'Failed to create ticket';
@@ -187,6 +231,26 @@ const CreateTicket = () => {
               )}
             </div>
 
+            {/* Priority */}
+            <div>
+              <label htmlFor="priority" className="block text-sm font-medium text-gray-700">
+                Priority
+              </label>
+              <select
+                id="priority"
+                {...register('priority')}
+                className="input mt-1"
+              >
+                <option value="Low">Low - Minor inconvenience</option>
+                <option value="Medium">Medium - Work is slowed down</option>
+                <option value="High">High - Cannot work normally</option>
+                <option value="Critical">Critical - Work has stopped for many people</option>
+              </select>
+              <p className="mt-1 text-xs text-gray-500">
+                IT may adjust the priority after reviewing your ticket
+              </p>
+            </div>
+
             {/* Problem Description */}
             <div>
               <label htmlFor="problem_description" className="block text-sm font-medium text-gray-700">
@@ -208,6 +272,29 @@ const CreateTicket = () => {
               {errors.problem_description && (
                 <p className="mt-1 text-sm text-danger-600">{errors.problem_description.message}</p>
               )}
+              {similarTickets.length > 0 && (
+                <div className="mt-3 p-3 rounded-lg bg-warning-50 border border-warning-200">
+                  <p className="text-sm font-medium text-warning-700 flex items-center space-x-1">
+                    <Copy className="h-4 w-4" />
+                    <span>This may already be reported</span>
+                  </p>
+                  <p className="text-xs text-gray-600 mb-2">Open tickets from the same department with a similar description:</p>
+                  <ul className="space-y-2">
+                    {similarTickets.map(t => (
+                      <li key={t.id} className="text-sm">
+                        <div className="flex items-center space-x-2">
+                          <Link to={`/tickets/${t.id}`} className="font-mono text-primary-600 hover:text-primary-900">{t.ticket_number}</Link>
+                          <span className="text-xs text-gray-500">
+                            {t.status} · {t.equipment_type} · {new Date(t.created_at).toLocaleDateString()}
+                            {t.created_by_name && ` · ${t.created_by_name}`}
+                          </span>
+                        </div>
+                        <p className="text-gray-700 truncate">{t.problem_description}</p>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </div>
 
             {/* Issue Date */}
@@ -226,28 +313,37 @@ const CreateTicket = () => {
               )}
             </div>
 
-            {/* Photo Upload */}
+            {/* Attachments */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                Upload Photo (Optional)
+                Attachments (Optional)
               </label>
-              
-              {photoPreview ? (
-                <div className="relative">
-                  <img
-                    src={photoPreview}
-                    alt="Preview"
-                    className="w-full h-48 object-cover rounded-lg border border-gray-300"
-                  />
-                  <button
-                    type="button"
-                    onClick={removePhoto}
-                    className="absolute top-2 right-2 p-1 bg-danger-600 text-white rounded-full hover:bg-danger-700"
-                  >
-                    <X className="h-4 w-4" />
-                  </button>
-                </div>
-              ) : (
+
+              {files.length > 0 && (
+                <ul className="grid grid-cols-2 md:grid-cols-3 gap-3 mb-3">
+                  {files.map(({ file, preview }, index) => (
+                    <li key={`${file.name}-${index}`} className="relative border border-gray-300 rounded-lg p-2">
+                      {preview ? (
+                        <img src={preview} alt={file.name} className="w-full h-24 object-cover rounded" />
+                      ) : (
+                        <div className="flex items-center justify-center h-24 bg-gray-50 rounded">
+                          <FileText className="h-8 w-8 text-gray-400" />
+                        </div>
+                      )}
+                      <p className="mt-1 text-xs text-gray-600 truncate">{file.name}</p>
+                      <button
+                        type="button"
+                        onClick={() => removeFile(index)}
+                        className="absolute top-1 right-1 p-1 bg-danger-600 text-white rounded-full hover:bg-danger-700"
+                      >
+                        <X className="h-3 w-3" />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {files.length < MAX_FILES && (
                 <div
                   {...getRootProps()}
                   className={`border-2 border-dashed rounded-lg p-6 text-center cursor-pointer transition-colors ${
@@ -260,11 +356,11 @@ const CreateTicket = () => {
                   <Camera className="mx-auto h-12 w-12 text-gray-400" />
                   <p className="mt-2 text-sm text-gray-600">
                     {isDragActive
-                      ? 'Drop the photo here...'
-                      : 'Drag & drop a photo here, or click to select'}
+                      ? 'Drop the files here...'
+                      : 'Drag & drop screenshots, logs or documents here, or click to select'}
                   </p>
                   <p className="mt-1 text-xs text-gray-500">
-                    PNG, JPG, GIF up to 5MB
+                    Images, PDF, TXT, LOG or DMP up to 10MB each ({MAX_FILES} files max)
                   </p>
                 </div>
               )}
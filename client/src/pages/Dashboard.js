@@ -1,6 +1,7 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useTicketEventBatches } from '../contexts/RealtimeContext';
 import axios from 'axios';
 import { 
   Ticket, 
@@ -20,29 +21,32 @@ const Dashboard = () => {
   const [recentTickets, setRecentTickets] = useState([]);
   const [loading, setLoading] = useState(true);
 
-  useEffect(() => {
-    const fetchDashboardData = async () => {
-      try {
-        if (isAdmin) {
-          const [statsRes, ticketsRes] = await Promise.all([
-            axios.get('/api/dashboard/stats'),
-            axios.get('/api/tickets?limit=5')
-          ]);
-          setStats(statsRes.data);
-          setRecentTickets(ticketsRes.data.tickets);
-        } else {
-          const ticketsRes = await axios.get('/api/tickets?limit=5');
-          setRecentTickets(ticketsRes.data.tickets);
-        }
-      } catch (error) {
-        console.error('Error fetching dashboard data:', error);
-      } finally {
-        setLoading(false);
+  const fetchDashboardData = useCallback(async () => {
+    try {
+      if (isAdmin) {
+        const [statsRes, ticketsRes] = await Promise.all([
+          axios.get('/api/dashboard/stats'),
+          axios.get('/api/tickets?limit=5')
+        ]);
+        setStats(statsRes.data);
+        setRecentTickets(ticketsRes.data.tickets);
+      } else {
+        const ticketsRes = await axios.get('/api/tickets?limit=5');
+        setRecentTickets(ticketsRes.data.tickets);
       }
-    };
+    } catch (error) {
+      console.error('Error fetching dashboard data:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [isAdmin]);
 
+  useEffect(() => {
     fetchDashboardData();
-  }, [isAdmin]);
+  }, [fetchDashboardData]);
+
+  // Keep counters and recent tickets current as tickets change (once per burst)
+  useTicketEventBatches(fetchDashboardData);
 
   const getStatusColor = (status) => {
     switch (status) {
@@ -109,10 +113,15 @@ const Dashboard = () => {
                 <CheckCircle className="h-6 w-6 text-success-600" />
               </div>
               <div className="ml-4">
-                <p className="text-sm font-medium text-gray-600">Avg Resolution</p>
+                <p className="text-sm font-medium text-gray-600">Avg Resolution ({stats.resolutionWindowDays} days)</p>
                 <p className="text-2xl font-bold text-gray-900">
-                  {Math.round(stats.avgResolutionHours)}h
+                  {stats.avgResolutionHours !== null ? `${Math.round(stats.avgResolutionHours)}h` : 'N/A'}
                 </p>
+                {stats.resolution?.median !== null && stats.resolution?.median !== undefined && (
+                  <p className="text-xs text-gray-500">
+                    median {Math.round(stats.resolution.median)}h &middot; p90 {Math.round(stats.resolution.p90)}h
+                  </p>
+                )}
               </div>
             </div>
           </div>
@@ -1,13 +1,24 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
 import { useAuth } from '../contexts/AuthContext';
 import { useForm } from 'react-hook-form';
-import { User, Lock, Eye, EyeOff } from 'lucide-react';
+import { User, Lock, Eye, EyeOff, Mail } from 'lucide-react';
+
+const notificationOptions = [
+  { key: 'notify_created', label: 'New tickets', description: 'Confirmation when a ticket of yours is created' },
+  { key: 'notify_status', label: 'Status changes', description: 'When a ticket moves to another status' },
+  { key: 'notify_note', label: 'Notes', description: 'When someone adds a note' },
+  { key: 'notify_assignment', label: 'Assignments', description: 'When a ticket is assigned or reassigned' }
+];
 
 const Profile = () => {
   const { user, changePassword } = useAuth();
   const [showCurrentPassword, setShowCurrentPassword] = useState(false);
   const [showNewPassword, setShowNewPassword] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [preferences, setPreferences] = useState(null);
+  const [savingPreferences, setSavingPreferences] = useState(false);
 
   const {
     register,
@@ -16,6 +27,35 @@ const Profile = () => {
     reset
   } = useForm();
 
+  useEffect(() => {
+    const fetchPreferences = async () => {
+      try {
+        const res = await axios.get('/api/auth/notification-preferences');
+        setPreferences(res.data.preferences);
+      } catch (err) {
+        toast.error('Failed to load notification preferences');
+      }
+    };
+    fetchPreferences();
+  }, []);
+
+  const togglePreference = (key) => {
+    setPreferences(prev => ({ ...prev, [key]: !prev[key] }));
+  };
+
+  const savePreferences = async () => {
+    setSavingPreferences(true);
+    try {
+      const res = await axios.put('/api/auth/notification-preferences', preferences);
+      setPreferences(res.data.preferences);
+      toast.success('Notification preferences saved');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save notification preferences');
+    } finally {
+      setSavingPreferences(false);
+    }
+  };
+
   const onSubmit = async (data) => {
     setLoading(true);
     
@@ -67,6 +107,72 @@ const Profile = () => {
         </div>
       </div>
 
+      <div className="card">
+        <div className="flex items-center space-x-4 mb-6">
+          <div className="p-3 bg-success-100 rounded-full">
+            <Mail className="h-6 w-6 text-success-600" />
+          </div>
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Email Notifications</h2>
+            <p className="text-gray-600">Choose which ticket updates are emailed to {user?.email}</p>
+          </div>
+        </div>
+
+        {!preferences ? (
+          <p className="text-sm text-gray-500">Loading...</p>
+        ) : (
+          <div className="space-y-4">
+            <label className="flex items-center space-x-3">
+              <input
+                type="checkbox"
+                checked={preferences.email_enabled}
+                onChange={() => togglePreference('email_enabled')}
+                className="h-4 w-4"
+              />
+              <span className="text-sm font-medium text-gray-900">Send me email notifications</span>
+            </label>
+
+            <div className={`pl-7 space-y-3 ${preferences.email_enabled ? '' : 'opacity-50'}`}>
+              {notificationOptions.map(option => (
+                <label key={option.key} className="flex items-start space-x-3">
+                  <input
+                    type="checkbox"
+                    checked={preferences[option.key]}
+                    onChange={() => togglePreference(option.key)}
+                    disabled={!preferences.email_enabled}
+                    className="h-4 w-4 mt-0.5"
+                  />
+                  <span>
+                    <span className="block text-sm text-gray-900">{option.label}</span>
+                    <span className="block text-xs text-gray-500">{option.description}</span>
+                  </span>
+                </label>
+              ))}
+
+              <div>
+                <label htmlFor="delivery" className="block text-sm font-medium text-gray-700">Delivery</label>
+                <select
+                  id="delivery"
+                  value={preferences.digest ? 'digest' : 'immediate'}
+                  onChange={e => setPreferences(prev => ({ ...prev, digest: e.target.value === 'digest' }))}
+                  disabled={!preferences.email_enabled}
+                  className="input mt-1 md:w-64"
+                >
+                  <option value="immediate">Immediately</option>
+                  <option value="digest">Hourly digest</option>
+                </select>
+              </div>
+            </div>
+
+            <div className="flex justify-end">
+              <button onClick={savePreferences} disabled={savingPreferences} className="btn-primary">
+                {savingPreferences ? 'Saving...' : 'Save Preferences'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
       <div className="card">
         <div className="flex items-center space-x-4 mb-6">
           <div className="p-3 bg-warning-100 rounded-full">
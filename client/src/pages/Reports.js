@@ -1,4 +1,5 @@
 import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
 import axios from 'axios';
 import LoadingSpinner from '../components/LoadingSpinner';
 import { PieChart, Pie, Cell, Tooltip, Legend, BarChart, Bar, XAxis, YAxis, ResponsiveContainer } from 'recharts';
@@ -10,6 +11,9 @@ const Reports = () => {
   const [stats, setStats] = useState(null);
   const [monthly, setMonthly] = useState(null);
   const [recurring, setRecurring] = useState([]);
+  const [slaReport, setSlaReport] = useState(null);
+  const [metrics, setMetrics] = useState(null);
+  const [metricsGroup, setMetricsGroup] = useState('byDepartment');
   const [month, setMonth] = useState(new Date().getMonth() + 1);
   const [year, setYear] = useState(new Date().getFullYear());
   const [months] = useState([
@@ -20,6 +24,8 @@ const Reports = () => {
   useEffect(() => {
     fetchStats();
     fetchMonthly(month, year);
+    fetchSla(month, year);
+    fetchMetrics(month, year);
     fetchRecurring();
     // eslint-disable-next-line
   }, []);
@@ -48,6 +54,26 @@ const Reports = () => {
     }
   };
 
+  const fetchSla = async (m, y) => {
+    try {
+      const res = await axios.get(`/api/dashboard/report/sla?month=${m}&year=${y}`);
+      setSlaReport(res.data);
+    } catch (err) {
+      setSlaReport(null);
+    }
+  };
+
+  const fetchMetrics = async (m, y) => {
+    try {
+      const res = await axios.get(`/api/dashboard/metrics?month=${m}&year=${y}`);
+      setMetrics(res.data);
+    } catch (err) {
+      setMetrics(null);
+    }
+  };
+
+  const formatHours = (value) => (value === null || value === undefined ? 'N/A' : `${value.toFixed(1)}h`);
+
   const fetchRecurring = async () => {
     try {
       const res = await axios.get('/api/dashboard/recurring-problems');
@@ -61,11 +87,15 @@ const Reports = () => {
     const m = parseInt(e.target.value);
     setMonth(m);
     fetchMonthly(m, year);
+    fetchSla(m, year);
+    fetchMetrics(m, year);
   };
   const handleYearChange = (e) => {
     const y = parseInt(e.target.value);
     setYear(y);
     fetchMonthly(month, y);
+    fetchSla(month, y);
+    fetchMetrics(month, y);
   };
 
   if (loading && !stats) return <LoadingSpinner />;
@@ -89,13 +119,19 @@ const Reports = () => {
             <div className="text-3xl font-bold text-gray-900">{stats.recentTickets || 0}</div>
           </div>
           <div className="card text-center">
-            <div className="text-sm text-gray-500">Avg. Resolution (hrs)</div>
+            <div className="text-sm text-gray-500">Avg. Resolution (hrs, {stats.resolutionWindowDays} days)</div>
             <div className="text-3xl font-bold text-gray-900">
               {stats.avgResolutionHours && typeof stats.avgResolutionHours === 'number' 
                 ? stats.avgResolutionHours.toFixed(1) 
                 : 'N/A'}
             </div>
           </div>
+          <div className="card text-center">
+            <div className="text-sm text-gray-500">Median / p90 Resolution</div>
+            <div className="text-3xl font-bold text-gray-900">
+              {formatHours(stats.resolution?.median)} / {formatHours(stats.resolution?.p90)}
+            </div>
+          </div>
         </div>
       )}
 
@@ -161,7 +197,20 @@ const Reports = () => {
         </div>
         {monthly ? (
           <>
-            <div className="mb-4">Total Tickets: <span className="font-bold">{monthly.totalTickets}</span></div>
+            <div className="mb-4 flex flex-wrap gap-6">
+              <div>Total Tickets: <span className="font-bold">{monthly.totalTickets}</span></div>
+              {monthly.reopenStats && (
+                <div>
+                  Reopen Rate:{' '}
+                  <span className="font-bold">
+                    {monthly.reopenStats.reopenRate !== null ? `${monthly.reopenStats.reopenRate}%` : 'N/A'}
+                  </span>
+                  <span className="text-sm text-gray-500">
+                    {' '}({monthly.reopenStats.reopenedTickets} ticket(s), {monthly.reopenStats.totalReopens} reopen(s))
+                  </span>
+                </div>
+              )}
+            </div>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               <div>
                 <h3 className="font-semibold mb-2">By Status</h3>
@@ -194,6 +243,137 @@ const Reports = () => {
         )}
       </div>
 
+      {/* Resolution Metrics */}
+      <div className="card">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-4">
+          <h2 className="text-lg font-bold mb-2 md:mb-0">
+            Resolution Metrics ({months[month - 1]} {year})
+          </h2>
+          <select value={metricsGroup} onChange={e => setMetricsGroup(e.target.value)} className="input w-auto">
+            <option value="byDepartment">By Department</option>
+            <option value="byEquipment">By Equipment</option>
+            <option value="byAssignee">By Assignee</option>
+          </select>
+        </div>
+        {metrics && metrics.totalTickets > 0 ? (
+          <>
+            <table className="min-w-full divide-y divide-gray-200 mb-6">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Metric</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Mean</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Median</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">p90</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {[
+                  ['First Response', metrics.firstResponse],
+                  ['Time to Done', metrics.timeToDone],
+                  ['Time On Hold', metrics.onHold],
+                  ...Object.entries(metrics.statusTime).map(([status, summary]) => [`Time in ${status}`, summary])
+                ].map(([label, summary]) => (
+                  <tr key={label}>
+                    <td className="px-4 py-2">{label}</td>
+                    <td className="px-4 py-2">{formatHours(summary.mean)}</td>
+                    <td className="px-4 py-2">{formatHours(summary.median)}</td>
+                    <td className="px-4 py-2">{formatHours(summary.p90)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Group</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Tickets</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">First Response (median)</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Time to Done (median / p90)</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">On Hold (mean)</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {metrics[metricsGroup].map(row => (
+                  <tr key={row.key}>
+                    <td className="px-4 py-2">{row.key}</td>
+                    <td className="px-4 py-2">{row.tickets}</td>
+                    <td className="px-4 py-2">{formatHours(row.firstResponse.median)}</td>
+                    <td className="px-4 py-2">{formatHours(row.timeToDone.median)} / {formatHours(row.timeToDone.p90)}</td>
+                    <td className="px-4 py-2">{formatHours(row.onHold.mean)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        ) : (
+          <div className="text-gray-500">No data for this period.</div>
+        )}
+      </div>
+
+      {/* SLA Compliance */}
+      <div className="card">
+        <h2 className="text-lg font-bold mb-4">
+          SLA Compliance ({months[month - 1]} {year})
+        </h2>
+        {slaReport && slaReport.totalTickets > 0 ? (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+              <div className="text-center">
+                <div className="text-sm text-gray-500">Tickets Measured</div>
+                <div className="text-3xl font-bold text-gray-900">{slaReport.totalTickets}</div>
+              </div>
+              <div className="text-center">
+                <div className="text-sm text-gray-500">First Response Met</div>
+                <div className="text-3xl font-bold text-gray-900">{slaReport.responseCompliance}%</div>
+              </div>
+              <div className="text-center">
+                <div className="text-sm text-gray-500">Resolution Met</div>
+                <div className="text-3xl font-bold text-gray-900">{slaReport.resolutionCompliance}%</div>
+              </div>
+            </div>
+            <table className="min-w-full divide-y divide-gray-200 mb-6">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Priority</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Tickets</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Response Breaches</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Resolution Breaches</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {slaReport.byPriority.map(row => (
+                  <tr key={row.priority}>
+                    <td className="px-4 py-2">{row.priority}</td>
+                    <td className="px-4 py-2">{row.total}</td>
+                    <td className="px-4 py-2">{row.responseBreached}</td>
+                    <td className="px-4 py-2">{row.resolutionBreached}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        ) : (
+          <div className="text-gray-500 mb-4">No SLA data for this period.</div>
+        )}
+        {slaReport && slaReport.openBreaches.length > 0 && (
+          <>
+            <h3 className="font-semibold mb-2">Open Tickets Past Resolution Deadline</h3>
+            <ul className="space-y-2">
+              {slaReport.openBreaches.map(t => (
+                <li key={t.id} className="flex justify-between border-b pb-1">
+                  <Link to={`/tickets/${t.id}`} className="text-primary-600 hover:text-primary-900 font-mono">
+                    {t.ticket_number}
+                  </Link>
+                  <span className="text-sm text-gray-500">
+                    {t.priority} &middot; {t.department} &middot; due {new Date(t.resolve_due_at).toLocaleString()}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+
       {/* Recurring Problems */}
       <div className="card">
         <h2 className="text-lg font-bold mb-4">Recurring Problems</h2>
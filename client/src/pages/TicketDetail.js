@@ -1,11 +1,15 @@
-import React, { useEffect, useState } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useEffect, useRef, useState } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
+import { useTicketEventBatches } from '../contexts/RealtimeContext';
+import { earliestExpiry, useRefreshBeforeExpiry } from '../hooks/useRefreshBeforeExpiry';
 import LoadingSpinner from '../components/LoadingSpinner';
+import CannedResponsePicker from '../components/CannedResponsePicker';
 import toast from 'react-hot-toast';
+import { FileText, Trash2, X, ExternalLink, Eye, Lock, GitMerge, Link2 } from 'lucide-react';
 
-const statusOptions = ['Pending', 'In Progress', 'On Hold', 'Done', 'Closed'];
+const priorityOptions = ['Low', 'Medium', 'High', 'Critical'];
 
 const getStatusColor = (status) => {
   switch (status) {
@@ -18,6 +22,46 @@ const getStatusColor = (status) => {
   }
 };
 
+const getPriorityColor = (priority) => {
+  switch (priority) {
+    case 'Critical': return 'text-danger-700 bg-danger-100';
+    case 'High': return 'text-warning-700 bg-warning-100';
+    case 'Medium': return 'text-primary-600 bg-primary-100';
+    case 'Low': return 'text-gray-600 bg-gray-100';
+    default: return 'text-gray-600 bg-gray-100';
+  }
+};
+
+// How a linked ticket relates to this one (the type reads from this ticket)
+const linkLabels = {
+  parent_of: 'Parent of',
+  child_of: 'Child of',
+  related_to: 'Related to',
+  duplicate_of: 'Duplicate of',
+  duplicated_by: 'Duplicated by',
+  caused_by: 'Caused by',
+  causes: 'Causes'
+};
+
+// Link types that can be added from this ticket
+const linkTypeOptions = ['parent_of', 'child_of', 'related_to', 'duplicate_of', 'caused_by'];
+
+// History stores links as "<type> <ticket number>"
+const formatLinkValue = (value) => {
+  const [type, ticketNumber] = String(value).split(' ');
+  return `${linkLabels[type] || type} ${ticketNumber || ''}`.trim();
+};
+
+// Own actions reload the ticket themselves; their live events within this window are not reloaded again
+const OWN_RELOAD_WINDOW_MS = 5000;
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
 const formatDate = (dateString) => {
   return new Date(dateString).toLocaleDateString('en-US', {
     year: 'numeric',
@@ -34,21 +78,80 @@ const TicketDetail = () => {
   const { user, isAdmin } = useAuth();
   const [ticket, setTicket] = useState(null);
   const [updates, setUpdates] = useState([]);
+  const [attachments, setAttachments] = useState([]);
+  const [newFiles, setNewFiles] = useState([]);
+  const [uploadLoading, setUploadLoading] = useState(false);
+  const [deletingAttachments, setDeletingAttachments] = useState(new Set());
+  const [previewId, setPreviewId] = useState(null);
   const [loading, setLoading] = useState(true);
   const [status, setStatus] = useState('');
+  const [allowedTransitions, setAllowedTransitions] = useState([]);
   const [statusNotes, setStatusNotes] = useState('');
   const [note, setNote] = useState('');
   const [noteLoading, setNoteLoading] = useState(false);
+  const [noteInternal, setNoteInternal] = useState(false);
   const [statusLoading, setStatusLoading] = useState(false);
   const [deleteLoading, setDeleteLoading] = useState(false);
+  const [team, setTeam] = useState([]);
+  const [assignee, setAssignee] = useState('');
+  const [assignLoading, setAssignLoading] = useState(false);
+  const [stillBroken, setStillBroken] = useState(false);
+  const [brokenReason, setBrokenReason] = useState('');
+  const [confirmLoading, setConfirmLoading] = useState(false);
+  const [canReopen, setCanReopen] = useState(false);
+  const [reopenReason, setReopenReason] = useState('');
+  const [reopenLoading, setReopenLoading] = useState(false);
+  const [priority, setPriority] = useState('');
+  const [priorityLoading, setPriorityLoading] = useState(false);
+  const [watchers, setWatchers] = useState([]);
+  const [cannedResponses, setCannedResponses] = useState([]);
+  const [newWatcher, setNewWatcher] = useState('');
+  const [watcherLoading, setWatcherLoading] = useState(false);
+  const [mergedFrom, setMergedFrom] = useState([]);
+  const [links, setLinks] = useState([]);
+  const [linkTicket, setLinkTicket] = useState('');
+  const [linkType, setLinkType] = useState('related_to');
+  const [linkLoading, setLinkLoading] = useState(false);
+  const [cascadeStatus, setCascadeStatus] = useState(false);
+  const [showMerge, setShowMerge] = useState(false);
+  const [mergeInto, setMergeInto] = useState('');
+  const [mergeNotes, setMergeNotes] = useState('');
+  const [mergeSuggestions, setMergeSuggestions] = useState([]);
+  const [mergeLoading, setMergeLoading] = useState(false);
+
+  // the ticket the edit forms were last filled from, and when it was loaded
+  const loadedTicket = useRef(null);
+  const loadedAt = useRef(0);
+
+  // Fill the edit forms from a freshly loaded ticket. A quiet refresh (someone
+  // else's change) keeps fields the user has already changed.
+  const resetForms = (next, transitions, quiet) => {
+    const prev = loadedTicket.current;
+    const assigneeOf = (t) => (t && t.assigned_to ? String(t.assigned_to) : '');
+    const edited = (value, loaded) => quiet && prev && value !== loaded;
 
-  const fetchTicket = async () => {
-    setLoading(true);
+    setPriority(value => (edited(value, prev?.priority) ? value : next.priority));
+    setAssignee(value => (edited(value, assigneeOf(prev)) ? value : assigneeOf(next)));
+    setStatus(value => (quiet && transitions.some(t => t.status === value) ? value : ''));
+    setCascadeStatus(value => (quiet ? value : false));
+  };
+
+  const fetchTicket = async (quiet = false) => {
+    if (!quiet) setLoading(true);
     try {
       const res = await axios.get(`/api/tickets/${id}`);
+      const transitions = res.data.allowedTransitions || [];
+      resetForms(res.data.ticket, transitions, quiet);
+      loadedTicket.current = res.data.ticket;
+      loadedAt.current = Date.now();
       setTicket(res.data.ticket);
       setUpdates(res.data.updates);
-      setStatus(res.data.ticket.status);
+      setAttachments(res.data.attachments || []);
+      setWatchers(res.data.watchers || []);
+      setMergedFrom(res.data.mergedFrom || []);
+      setLinks(res.data.links || []);
+      setAllowedTransitions(transitions);
+      setCanReopen(!!res.data.canReopen);
     } catch (err) {
       toast.error('Failed to fetch ticket');
     } finally {
@@ -56,34 +159,202 @@ const TicketDetail = () => {
     }
   };
 
+  // Attachment links are signed for a few minutes; fetch new ones before they expire
+  const refreshAttachments = async () => {
+    try {
+      const res = await axios.get(`/api/tickets/${id}/attachments`);
+      setAttachments(res.data.attachments || []);
+    } catch (err) {
+      // keep the current links; the next ticket reload signs new ones
+    }
+  };
+  useRefreshBeforeExpiry(earliestExpiry(attachments), refreshAttachments);
+  // looked up by id so an open preview picks up the refreshed links
+  const previewAttachment = attachments.find(a => a.id === previewId) || null;
+
   useEffect(() => {
     fetchTicket();
     // eslint-disable-next-line
   }, [id]);
 
+  // Someone else changed this ticket: reload it so we never act on stale data
+  useTicketEventBatches((events) => {
+    const others = events.filter(event => !event.actor || event.actor.id !== user?.id);
+    if (others.length === 0 && Date.now() - loadedAt.current < OWN_RELOAD_WINDOW_MS) return;
+    if (others.length > 0) {
+      const last = others[others.length - 1];
+      toast(`${last.actor ? last.actor.username : 'System'} updated this ticket`);
+    }
+    fetchTicket(true);
+  }, { filter: event => event.ticketId === Number(id) });
+
+  // load canned responses for the note pickers
+  useEffect(() => {
+    if (!isAdmin) return;
+    const fetchCannedResponses = async () => {
+      try {
+        const res = await axios.get('/api/canned-responses');
+        setCannedResponses(res.data.responses);
+      } catch (err) {
+        // the picker is optional; notes can still be typed by hand
+      }
+    };
+    fetchCannedResponses();
+  }, [isAdmin]);
+
+  // Append inserted text below whatever is already typed
+  const appendText = (setter) => (text) => {
+    setter(prev => (prev.trim() ? `${prev.trimEnd()}\n\n${text}` : text));
+  };
+
+  // load IT team members for the assignee picker
+  useEffect(() => {
+    if (!isAdmin) return;
+    const fetchTeam = async () => {
+      try {
+        const res = await axios.get('/api/dashboard/team');
+        setTeam(res.data.team || []);
+      } catch (err) {
+        console.error('Failed to load team', err);
+      }
+    };
+    fetchTeam();
+  }, [isAdmin]);
+
   const handleStatusChange = async (e) => {
     e.preventDefault();
     setStatusLoading(true);
     try {
-      await axios.put(`/api/tickets/${id}/status`, { status, notes: statusNotes });
-      toast.success('Status updated');
+      const res = await axios.put(`/api/tickets/${id}/status`, { status, notes: statusNotes, cascade: canCascade && cascadeStatus });
+      toast.success(res.data.children ? res.data.message : 'Status updated');
+      const skipped = (res.data.children || []).filter(child => !child.success);
+      if (skipped.length > 0) {
+        toast.error(`Not updated: ${skipped.map(child => `${child.ticket_number} (${child.message})`).join(', ')}`);
+      }
       setStatusNotes('');
       fetchTicket();
     } catch (err) {
-      toast.error(err.response?.data?.message || 'Failed to update status');
+      const allowed = err.response?.data?.allowedStatuses;
+      toast.error(
+        allowed
+          ? `${err.response.data.message}. Allowed: ${allowed.join(', ') || 'none'}`
+          : err.response?.data?.message || 'Failed to update status'
+      );
     } finally {
       setStatusLoading(false);
     }
   };
 
+  const handleConfirm = async (fixed) => {
+    setConfirmLoading(true);
+    try {
+      const res = await axios.post(`/api/tickets/${id}/confirm`, { fixed, reason: fixed ? '' : brokenReason });
+      toast.success(res.data.message);
+      setStillBroken(false);
+      setBrokenReason('');
+      fetchTicket();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update ticket');
+    } finally {
+      setConfirmLoading(false);
+    }
+  };
+
+  const handleReopen = async (e) => {
+    e.preventDefault();
+    if (!reopenReason.trim()) return;
+    setReopenLoading(true);
+    try {
+      await axios.post(`/api/tickets/${id}/reopen`, { reason: reopenReason });
+      toast.success('Ticket reopened');
+      setReopenReason('');
+      fetchTicket();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to reopen ticket');
+    } finally {
+      setReopenLoading(false);
+    }
+  };
+
+  const handlePriorityChange = async (e) => {
+    e.preventDefault();
+    setPriorityLoading(true);
+    try {
+      await axios.put(`/api/tickets/${id}/priority`, { priority });
+      toast.success('Priority updated');
+      fetchTicket();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update priority');
+    } finally {
+      setPriorityLoading(false);
+    }
+  };
+
+  const handleAssign = async (e) => {
+    e.preventDefault();
+    setAssignLoading(true);
+    try {
+      await axios.put(`/api/tickets/${id}/assign`, { assigned_to: assignee ? Number(assignee) : null });
+      toast.success(assignee ? 'Ticket assigned' : 'Ticket unassigned');
+      fetchTicket();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to assign ticket');
+    } finally {
+      setAssignLoading(false);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (newFiles.length === 0) return;
+    setUploadLoading(true);
+    try {
+      const formData = new FormData();
+      newFiles.forEach(file => formData.append('attachments', file));
+      await axios.post(`/api/tickets/${id}/attachments`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      toast.success('Files attached');
+      setNewFiles([]);
+      e.target.reset();
+      fetchTicket();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to upload files');
+    } finally {
+      setUploadLoading(false);
+    }
+  };
+
+  const handleDeleteAttachment = async (attachment) => {
+    if (!window.confirm(`Delete ${attachment.original_name}?`)) return;
+    setDeletingAttachments(prev => new Set(prev).add(attachment.id));
+    try {
+      await axios.delete(`/api/tickets/${id}/attachments/${attachment.id}`);
+      toast.success('Attachment deleted');
+      setAttachments(prev => prev.filter(a => a.id !== attachment.id));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete attachment');
+    } finally {
+      setDeletingAttachments(prev => {
+        const s = new Set(prev);
+        s.delete(attachment.id);
+        return s;
+      });
+    }
+  };
+
   const handleAddNote = async (e) => {
     e.preventDefault();
     if (!note.trim()) return;
     setNoteLoading(true);
     try {
-      await axios.post(`/api/tickets/${id}/notes`, { notes: note });
-      toast.success('Note added');
+      await axios.post(`/api/tickets/${id}/notes`, {
+        notes: note,
+        visibility: noteInternal ? 'internal' : 'public'
+      });
+      toast.success(noteInternal ? 'Internal note added' : 'Note added');
       setNote('');
+      setNoteInternal(false);
       fetchTicket();
     } catch (err) {
       toast.error(err.response?.data?.message || 'Failed to add note');
@@ -92,6 +363,98 @@ const TicketDetail = () => {
     }
   };
 
+  const handleAddWatcher = async (e) => {
+    e.preventDefault();
+    if (!newWatcher.trim()) return;
+    setWatcherLoading(true);
+    try {
+      const res = await axios.post(`/api/tickets/${id}/watchers`, { user: newWatcher.trim() });
+      toast.success(res.data.message);
+      setWatchers(res.data.watchers);
+      setNewWatcher('');
+    } catch (err) {
+      toast.error(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to add watcher');
+    } finally {
+      setWatcherLoading(false);
+    }
+  };
+
+  const handleRemoveWatcher = async (watcher) => {
+    const isSelf = Number(watcher.user_id) === Number(user?.id);
+    try {
+      const res = await axios.delete(`/api/tickets/${id}/watchers/${watcher.user_id}`);
+      toast.success(res.data.message);
+      if (isSelf && !isAdmin) {
+        // without watching, a user can no longer see someone else's ticket
+        navigate('/tickets');
+        return;
+      }
+      setWatchers(res.data.watchers);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to remove watcher');
+    }
+  };
+
+  const handleAddLink = async (e) => {
+    e.preventDefault();
+    if (!linkTicket.trim()) return;
+    setLinkLoading(true);
+    try {
+      const res = await axios.post(`/api/tickets/${id}/links`, { ticket: linkTicket.trim(), type: linkType });
+      toast.success(res.data.message);
+      setLinks(res.data.links);
+      setLinkTicket('');
+    } catch (err) {
+      toast.error(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to link ticket');
+    } finally {
+      setLinkLoading(false);
+    }
+  };
+
+  const handleRemoveLink = async (link) => {
+    try {
+      const res = await axios.delete(`/api/tickets/${id}/links/${link.id}`);
+      toast.success(res.data.message);
+      setLinks(res.data.links);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to remove link');
+    }
+  };
+
+  const openMerge = async () => {
+    setShowMerge(true);
+    setMergeInto('');
+    setMergeNotes('');
+    setMergeSuggestions([]);
+    try {
+      const params = new URLSearchParams({
+        department: ticket.department,
+        description: ticket.problem_description,
+        exclude: ticket.id
+      });
+      const res = await axios.get(`/api/tickets/similar?${params.toString()}`);
+      setMergeSuggestions(res.data.tickets || []);
+    } catch (err) {
+      // suggestions are optional; the ticket number can be typed in
+    }
+  };
+
+  const handleMerge = async (e) => {
+    e.preventDefault();
+    if (!mergeInto.trim()) return;
+    setMergeLoading(true);
+    try {
+      const res = await axios.post(`/api/tickets/${id}/merge`, { into: mergeInto.trim(), notes: mergeNotes });
+      toast.success(res.data.message);
+      setShowMerge(false);
+      navigate(`/tickets/${res.data.primary.id}`);
+    } catch (err) {
+      toast.error(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to merge ticket');
+    } finally {
+      setMergeLoading(false);
+    }
+  };
+
   const handleDelete = async () => {
     if (!window.confirm('Are you sure you want to delete this ticket? This action cannot be undone.')) {
       return;
@@ -110,6 +473,16 @@ const TicketDetail = () => {
   };
 
   const isTicketClosed = ticket?.status === 'Closed';
+  const selectedTransition = allowedTransitions.find(t => t.status === status);
+  const openChildren = links.filter(l => l.type === 'parent_of' && l.ticket.status !== 'Closed');
+  // resolving a parent can move its open children along
+  const canCascade = ['Done', 'Closed'].includes(status) && openChildren.length > 0;
+  const isRequester = ticket && user && Number(ticket.created_by) === Number(user.id);
+  // watchers can read and comment, but only the requester and IT change the ticket
+  const canEdit = isAdmin || isRequester;
+  const canManageWatchers = isAdmin || isRequester;
+  const imageAttachments = attachments.filter(a => a.is_image);
+  const canDeleteAttachment = (attachment) => !attachment.legacy && !isTicketClosed && (isAdmin || Number(attachment.uploaded_by) === Number(user?.id));
 
   if (loading) return <LoadingSpinner />;
   if (!ticket) return <div className="text-center py-12">Ticket not found.</div>;
@@ -123,22 +496,111 @@ const TicketDetail = () => {
           {isTicketClosed && (
             <div className="mt-2 p-3 bg-gray-100 border border-gray-300 rounded-lg">
               <p className="text-sm text-gray-700">
-                <strong>Note:</strong> This ticket is closed and cannot be modified.
+                <strong>Note:</strong> This ticket is closed and cannot be modified
+                {canReopen ? ' unless it is reopened.' : '.'}
+              </p>
+            </div>
+          )}
+          {ticket.merged_into && (
+            <div className="mt-2 p-3 bg-primary-50 border border-primary-200 rounded-lg">
+              <p className="text-sm text-gray-700 flex items-center space-x-1">
+                <GitMerge className="h-4 w-4" />
+                <span>
+                  Merged into{' '}
+                  <Link to={`/tickets/${ticket.merged_into}`} className="font-mono text-primary-600 hover:text-primary-900">
+                    {ticket.merged_into_number}
+                  </Link>
+                  ; follow that ticket for updates.
+                </span>
               </p>
             </div>
           )}
         </div>
         {!isTicketClosed && (
-          <button
-            onClick={handleDelete}
-            disabled={deleteLoading}
-            className="btn-danger"
-          >
-            {deleteLoading ? 'Deleting...' : 'Delete Ticket'}
-          </button>
+          <div className="flex items-center space-x-2">
+            {isAdmin && (
+              <button onClick={openMerge} className="btn-secondary flex items-center space-x-1">
+                <GitMerge className="h-4 w-4" />
+                <span>Merge...</span>
+              </button>
+            )}
+            {canEdit && (
+              <button
+                onClick={handleDelete}
+                disabled={deleteLoading}
+                className="btn-danger"
+              >
+                {deleteLoading ? 'Deleting...' : 'Delete Ticket'}
+              </button>
+            )}
+          </div>
         )}
       </div>
 
+      {/* Admin: merge this ticket into the one that stays open */}
+      {showMerge && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40 p-4">
+          <form onSubmit={handleMerge} className="bg-white rounded-lg shadow-lg max-w-lg w-full p-6 space-y-4">
+            <div className="flex items-center justify-between">
+              <h2 className="text-lg font-bold">Merge <span className="font-mono">{ticket.ticket_number}</span> into another ticket</h2>
+              <button type="button" onClick={() => setShowMerge(false)} className="text-gray-500 hover:text-gray-700">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+            <p className="text-sm text-gray-600">
+              Notes, attachments and watchers move to the other ticket, the requester starts watching it,
+              and this ticket is closed.
+            </p>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Ticket number</label>
+              <input
+                type="text"
+                value={mergeInto}
+                onChange={e => setMergeInto(e.target.value)}
+                className="input font-mono"
+                placeholder="TKT-..."
+                required
+              />
+            </div>
+            {mergeSuggestions.length > 0 && (
+              <div>
+                <div className="text-sm text-gray-500 mb-1">Similar open tickets</div>
+                <ul className="space-y-1">
+                  {mergeSuggestions.map(t => (
+                    <li key={t.id}>
+                      <button
+                        type="button"
+                        onClick={() => setMergeInto(t.ticket_number)}
+                        className={`w-full text-left text-sm p-2 rounded border ${mergeInto === t.ticket_number ? 'border-primary-500 bg-primary-50' : 'border-gray-200 hover:bg-gray-50'}`}
+                      >
+                        <span className="font-mono">{t.ticket_number}</span>
+                        <span className="text-xs text-gray-500"> · {t.status} · {t.equipment_type}</span>
+                        <span className="block text-gray-700 truncate">{t.problem_description}</span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Note (optional)</label>
+              <textarea
+                value={mergeNotes}
+                onChange={e => setMergeNotes(e.target.value)}
+                className="input"
+                rows={2}
+              />
+            </div>
+            <div className="flex justify-end space-x-2">
+              <button type="button" onClick={() => setShowMerge(false)} className="btn-secondary">Cancel</button>
+              <button type="submit" disabled={mergeLoading || !mergeInto.trim()} className="btn-warning">
+                {mergeLoading ? 'Merging...' : 'Merge'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
       <div className="card p-6 space-y-4">
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
           <div>
@@ -155,25 +617,349 @@ const TicketDetail = () => {
               {ticket.status}
             </span>
           </div>
+          <div>
+            <div className="text-sm text-gray-500">Priority</div>
+            <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getPriorityColor(ticket.priority)}`}>
+              {ticket.priority}
+            </span>
+          </div>
           <div>
             <div className="text-sm text-gray-500">Created</div>
             <div className="font-medium text-gray-900">{formatDate(ticket.created_at)}</div>
           </div>
+          {ticket.sla?.resolve_due_at && (
+            <>
+              <div>
+                <div className="text-sm text-gray-500">First Response Due</div>
+                <div className={`font-medium ${ticket.sla.response_breached ? 'text-danger-600' : 'text-gray-900'}`}>
+                  {formatDate(ticket.sla.response_due_at)}
+                  {ticket.sla.response_breached && ' (breached)'}
+                </div>
+              </div>
+              <div>
+                <div className="text-sm text-gray-500">Resolution Due</div>
+                <div className={`font-medium ${ticket.sla.resolve_breached ? 'text-danger-600' : ticket.sla.at_risk ? 'text-warning-600' : 'text-gray-900'}`}>
+                  {formatDate(ticket.sla.resolve_due_at)}
+                  {ticket.sla.resolve_breached && ' (breached)'}
+                  {ticket.sla.at_risk && ' (at risk)'}
+                  {ticket.sla.paused && ' (paused while on hold)'}
+                </div>
+              </div>
+            </>
+          )}
+          {ticket.reopen_count > 0 && (
+            <div>
+              <div className="text-sm text-gray-500">Reopened</div>
+              <div className="font-medium text-gray-900">{ticket.reopen_count} time{ticket.reopen_count === 1 ? '' : 's'}</div>
+            </div>
+          )}
+          <div>
+            <div className="text-sm text-gray-500">Assigned To</div>
+            <div className="font-medium text-gray-900">{ticket.assigned_to_name || 'Unassigned'}</div>
+          </div>
           <div className="md:col-span-2">
             <div className="text-sm text-gray-500">Problem Description</div>
             <div className="text-gray-900 whitespace-pre-line">{ticket.problem_description}</div>
           </div>
-          {ticket.photo_url && (
+          {mergedFrom.length > 0 && (
             <div className="md:col-span-2">
-              <div className="text-sm text-gray-500 mb-1">Photo</div>
-              <img src={ticket.photo_url} alt="Ticket" className="max-h-64 rounded border" />
+              <div className="text-sm text-gray-500">Merged From</div>
+              <div className="flex flex-wrap gap-2">
+                {mergedFrom.map(m => (
+                  <Link key={m.id} to={`/tickets/${m.id}`} className="font-mono text-sm text-primary-600 hover:text-primary-900">
+                    {m.ticket_number}
+                  </Link>
+                ))}
+              </div>
             </div>
           )}
         </div>
       </div>
 
-      {/* Admin: Change Status */}
-      {isAdmin && !isTicketClosed && (
+      {/* Image preview (resized copy; the original is one click away) */}
+      {previewAttachment && (
+        <div
+          className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-75 p-4"
+          onClick={() => setPreviewId(null)}
+        >
+          <div className="bg-white rounded-lg max-w-5xl w-full p-4" onClick={e => e.stopPropagation()}>
+            <div className="flex items-center justify-between mb-3">
+              <span className="font-medium truncate">{previewAttachment.original_name}</span>
+              <div className="flex items-center space-x-4">
+                <a
+                  href={previewAttachment.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-primary-600 hover:text-primary-900 flex items-center space-x-1 text-sm"
+                >
+                  <ExternalLink className="h-4 w-4" />
+                  <span>Open original</span>
+                </a>
+                <button onClick={() => setPreviewId(null)} className="text-gray-500 hover:text-gray-700">
+                  <X className="h-5 w-5" />
+                </button>
+              </div>
+            </div>
+            <a href={previewAttachment.url} target="_blank" rel="noopener noreferrer">
+              <img
+                src={previewAttachment.preview_url || previewAttachment.url}
+                alt={previewAttachment.original_name}
+                className="max-h-[75vh] mx-auto object-contain"
+              />
+            </a>
+          </div>
+        </div>
+      )}
+
+      {/* Attachments */}
+      <div className="card p-6">
+        <h2 className="text-lg font-bold mb-4">Attachments</h2>
+        {attachments.length === 0 ? (
+          <div className="text-gray-500 mb-4">No files attached.</div>
+        ) : (
+          <>
+            {imageAttachments.length > 0 && (
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+                {imageAttachments.map(a => (
+                  <button key={a.id} type="button" onClick={() => setPreviewId(a.id)} title={a.original_name}>
+                    <img
+                      src={a.thumbnail_url || a.url}
+                      alt={a.original_name}
+                      loading="lazy"
+                      className="w-full h-28 object-cover rounded border hover:opacity-90"
+                    />
+                  </button>
+                ))}
+              </div>
+            )}
+            <ul className="divide-y divide-gray-200 mb-4">
+              {attachments.map(a => (
+                <li key={a.id} className="flex items-center justify-between py-2">
+                  <div className="flex items-center space-x-2 min-w-0">
+                    <FileText className="h-4 w-4 text-gray-400 flex-shrink-0" />
+                    <a href={a.url} target="_blank" rel="noopener noreferrer" className="text-primary-600 hover:text-primary-900 truncate">
+                      {a.original_name}
+                    </a>
+                    <span className="text-xs text-gray-500 whitespace-nowrap">
+                      {formatFileSize(a.size_bytes)}{a.uploaded_by_name && ` · ${a.uploaded_by_name}`}
+                    </span>
+                  </div>
+                  {canDeleteAttachment(a) && (
+                    <button
+                      onClick={() => handleDeleteAttachment(a)}
+                      disabled={deletingAttachments.has(a.id)}
+                      className="text-red-600 hover:text-red-900 flex items-center space-x-1 disabled:opacity-50"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                      <span className="text-sm">{deletingAttachments.has(a.id) ? 'Deleting...' : 'Delete'}</span>
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+        {!isTicketClosed && canEdit && (
+          <form onSubmit={handleUpload} className="flex flex-col md:flex-row md:items-center gap-3">
+            <input
+              type="file"
+              multiple
+              accept=".jpg,.jpeg,.png,.gif,.webp,.pdf,.txt,.log,.dmp"
+              onChange={e => setNewFiles(Array.from(e.target.files || []))}
+              className="text-sm"
+            />
+            <button
+              type="submit"
+              className="btn-primary"
+              disabled={uploadLoading || newFiles.length === 0}
+            >
+              {uploadLoading ? 'Uploading...' : 'Attach Files'}
+            </button>
+          </form>
+        )}
+      </div>
+
+      {/* Watchers */}
+      <div className="card p-6">
+        <h2 className="text-lg font-bold mb-1">Watchers</h2>
+        <p className="text-sm text-gray-500 mb-4">Watchers can view this ticket, add notes and get the same notifications as the requester.</p>
+        {watchers.length === 0 ? (
+          <div className="text-gray-500 mb-4">Nobody else is watching this ticket.</div>
+        ) : (
+          <ul className="divide-y divide-gray-200 mb-4">
+            {watchers.map(w => (
+              <li key={w.user_id} className="flex items-center justify-between py-2">
+                <div className="flex items-center space-x-2 min-w-0">
+                  <Eye className="h-4 w-4 text-gray-400 flex-shrink-0" />
+                  <span className="font-medium text-gray-900">{w.username}</span>
+                  <span className="text-xs text-gray-500 truncate">
+                    {w.email}{w.department && ` · ${w.department}`}
+                  </span>
+                </div>
+                {(canManageWatchers || Number(w.user_id) === Number(user?.id)) && (
+                  <button
+                    onClick={() => handleRemoveWatcher(w)}
+                    className="text-red-600 hover:text-red-900 text-sm"
+                  >
+                    {Number(w.user_id) === Number(user?.id) ? 'Stop watching' : 'Remove'}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        {canManageWatchers && (
+          <form onSubmit={handleAddWatcher} className="flex flex-col md:flex-row md:items-center gap-3">
+            <input
+              type="text"
+              value={newWatcher}
+              onChange={e => setNewWatcher(e.target.value)}
+              className="input md:flex-1"
+              placeholder="Colleague's username or email"
+            />
+            <button
+              type="submit"
+              className="btn-secondary"
+              disabled={watcherLoading || !newWatcher.trim()}
+            >
+              {watcherLoading ? 'Adding...' : 'Add Watcher'}
+            </button>
+          </form>
+        )}
+      </div>
+
+      {/* Linked tickets (parent/child, related, duplicates, causes) */}
+      <div className="card p-6">
+        <h2 className="text-lg font-bold mb-1">Linked Tickets</h2>
+        <p className="text-sm text-gray-500 mb-4">Root-cause and symptom tickets of an outage, and earlier tickets this one relates to.</p>
+        {links.length === 0 ? (
+          <div className="text-gray-500 mb-4">No linked tickets.</div>
+        ) : (
+          <ul className="divide-y divide-gray-200 mb-4">
+            {links.map(l => (
+              <li key={l.id} className="flex items-center justify-between py-2">
+                <div className="flex items-center space-x-2 min-w-0">
+                  <Link2 className="h-4 w-4 text-gray-400 flex-shrink-0" />
+                  <span className="text-sm text-gray-500 flex-shrink-0">{linkLabels[l.type] || l.type}</span>
+                  <Link to={`/tickets/${l.ticket.id}`} className="font-mono text-primary-600 hover:text-primary-900">
+                    {l.ticket.ticket_number}
+                  </Link>
+                  <span className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full flex-shrink-0 ${getStatusColor(l.ticket.status)}`}>
+                    {l.ticket.status}
+                  </span>
+                  {l.ticket.problem_description && (
+                    <span className="text-sm text-gray-600 truncate">{l.ticket.problem_description}</span>
+                  )}
+                </div>
+                {isAdmin && (
+                  <button
+                    onClick={() => handleRemoveLink(l)}
+                    className="text-red-600 hover:text-red-900 text-sm"
+                  >
+                    Remove
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        {isAdmin && (
+          <form onSubmit={handleAddLink} className="flex flex-col md:flex-row md:items-center gap-3">
+            <select
+              value={linkType}
+              onChange={e => setLinkType(e.target.value)}
+              className="input md:w-auto"
+            >
+              {linkTypeOptions.map(type => (
+                <option key={type} value={type}>{linkLabels[type]}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={linkTicket}
+              onChange={e => setLinkTicket(e.target.value)}
+              className="input md:flex-1 font-mono"
+              placeholder="TKT-..."
+            />
+            <button
+              type="submit"
+              className="btn-secondary"
+              disabled={linkLoading || !linkTicket.trim()}
+            >
+              {linkLoading ? 'Linking...' : 'Link Ticket'}
+            </button>
+          </form>
+        )}
+      </div>
+
+      {/* Reopen a closed ticket */}
+      {isTicketClosed && canReopen && (
+        <div className="card p-6 mb-6">
+          <h2 className="text-lg font-bold mb-4">Reopen Ticket</h2>
+          <form onSubmit={handleReopen} className="space-y-4">
+            <textarea
+              value={reopenReason}
+              onChange={e => setReopenReason(e.target.value)}
+              className="input"
+              rows={2}
+              placeholder="Why does this ticket need to be reopened?"
+              required
+            />
+            <button
+              type="submit"
+              className="btn-warning"
+              disabled={reopenLoading || !reopenReason.trim()}
+            >
+              {reopenLoading ? 'Reopening...' : 'Reopen Ticket'}
+            </button>
+          </form>
+        </div>
+      )}
+
+      {/* Requester: confirm the fix */}
+      {isRequester && ticket.status === 'Done' && (
+        <div className="card p-6 mb-6 border-success-200 bg-success-50">
+          <h2 className="text-lg font-bold mb-2">Is your issue fixed?</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            IT has marked this ticket as done. Confirm the fix to close it, or let us know it is still broken.
+          </p>
+          {stillBroken ? (
+            <div className="space-y-4">
+              <textarea
+                value={brokenReason}
+                onChange={e => setBrokenReason(e.target.value)}
+                className="input"
+                rows={2}
+                placeholder="What is still not working?"
+              />
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => handleConfirm(false)}
+                  className="btn-danger"
+                  disabled={confirmLoading || !brokenReason.trim()}
+                >
+                  {confirmLoading ? 'Sending...' : 'Reopen Ticket'}
+                </button>
+                <button onClick={() => setStillBroken(false)} className="btn-secondary" disabled={confirmLoading}>
+                  Cancel
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="flex space-x-2">
+              <button onClick={() => handleConfirm(true)} className="btn-success" disabled={confirmLoading}>
+                {confirmLoading ? 'Saving...' : 'Confirm Fixed'}
+              </button>
+              <button onClick={() => setStillBroken(true)} className="btn-secondary" disabled={confirmLoading}>
+                Still Broken
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Change Status (only moves allowed by the workflow are offered) */}
+      {!isTicketClosed && allowedTransitions.length > 0 && (
         <div className="card p-6 mb-6">
           <h2 className="text-lg font-bold mb-4">Change Ticket Status</h2>
           <form onSubmit={handleStatusChange} className="space-y-4">
@@ -185,25 +971,47 @@ const TicketDetail = () => {
                 className="input mt-1"
                 required
               >
-                {statusOptions.map(opt => (
-                  <option key={opt} value={opt}>{opt}</option>
+                <option value="" disabled>Select new status</option>
+                {allowedTransitions.map(t => (
+                  <option key={t.status} value={t.status}>{t.status}</option>
                 ))}
               </select>
             </div>
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Notes (optional)</label>
-              <input
-                type="text"
+              <div className="flex items-center justify-between mb-1">
+                <label className="block text-sm font-medium text-gray-700">
+                  {selectedTransition?.requiresNote ? 'Notes (required)' : 'Notes (optional)'}
+                </label>
+                {isAdmin && (
+                  <CannedResponsePicker ticketId={id} responses={cannedResponses} onInsert={appendText(setStatusNotes)} />
+                )}
+              </div>
+              <textarea
                 value={statusNotes}
                 onChange={e => setStatusNotes(e.target.value)}
                 className="input mt-1"
+                rows={2}
                 placeholder="Reason for status change"
+                required={!!selectedTransition?.requiresNote}
               />
             </div>
+            {canCascade && (
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={cascadeStatus}
+                  onChange={e => setCascadeStatus(e.target.checked)}
+                />
+                <span>
+                  Also set {openChildren.length} open child ticket{openChildren.length === 1 ? '' : 's'} to {status}
+                  {' '}({openChildren.map(l => l.ticket.ticket_number).join(', ')})
+                </span>
+              </label>
+            )}
             <button
               type="submit"
               className="btn-primary"
-              disabled={statusLoading}
+              disabled={statusLoading || !status}
             >
               {statusLoading ? 'Updating...' : 'Update Status'}
             </button>
@@ -211,26 +1019,101 @@ const TicketDetail = () => {
         </div>
       )}
 
+      {/* Admin: Change Priority */}
+      {isAdmin && !isTicketClosed && (
+        <div className="card p-6 mb-6">
+          <h2 className="text-lg font-bold mb-4">Change Priority</h2>
+          <form onSubmit={handlePriorityChange} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
+              <select
+                value={priority}
+                onChange={e => setPriority(e.target.value)}
+                className="input mt-1"
+              >
+                {priorityOptions.map(opt => (
+                  <option key={opt} value={opt}>{opt}</option>
+                ))}
+              </select>
+            </div>
+            <button
+              type="submit"
+              className="btn-primary"
+              disabled={priorityLoading || priority === ticket.priority}
+            >
+              {priorityLoading ? 'Updating...' : 'Update Priority'}
+            </button>
+          </form>
+        </div>
+      )}
+
+      {/* Admin: Assign Ticket */}
+      {isAdmin && !isTicketClosed && (
+        <div className="card p-6 mb-6">
+          <h2 className="text-lg font-bold mb-4">Assign Ticket</h2>
+          <form onSubmit={handleAssign} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Assignee</label>
+              <select
+                value={assignee}
+                onChange={e => setAssignee(e.target.value)}
+                className="input mt-1"
+              >
+                <option value="">Unassigned</option>
+                {team.map(member => (
+                  <option key={member.id} value={String(member.id)}>
+                    {member.username} ({member.role})
+                  </option>
+                ))}
+              </select>
+            </div>
+            <button
+              type="submit"
+              className="btn-primary"
+              disabled={assignLoading || assignee === (ticket.assigned_to ? String(ticket.assigned_to) : '')}
+            >
+              {assignLoading ? 'Saving...' : 'Save Assignment'}
+            </button>
+          </form>
+        </div>
+      )}
+
       {/* Add Note */}
       {!isTicketClosed && (
         <div className="card p-6">
           <form onSubmit={handleAddNote} className="space-y-4">
             <div>
-              <label className="block text-sm font-medium text-gray-700">Add Note</label>
+              <div className="flex items-center justify-between">
+                <label className="block text-sm font-medium text-gray-700">Add Note</label>
+                {isAdmin && (
+                  <CannedResponsePicker ticketId={id} responses={cannedResponses} onInsert={appendText(setNote)} />
+                )}
+              </div>
               <textarea
                 value={note}
                 onChange={e => setNote(e.target.value)}
                 className="input mt-1"
                 rows={2}
-                placeholder="Add a note or update..."
+                placeholder={noteInternal ? 'Private note for IT staff...' : 'Add a note or update...'}
               />
             </div>
+            {isAdmin && (
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={noteInternal}
+                  onChange={e => setNoteInternal(e.target.checked)}
+                />
+                <Lock className="h-4 w-4 text-warning-600" />
+                <span>Internal note (only visible to IT staff)</span>
+              </label>
+            )}
             <button
               type="submit"
-              className="btn-primary"
+              className={noteInternal ? 'btn-warning' : 'btn-primary'}
               disabled={noteLoading || !note.trim()}
             >
-              {noteLoading ? 'Adding...' : 'Add Note'}
+              {noteLoading ? 'Adding...' : noteInternal ? 'Add Internal Note' : 'Add Note'}
             </button>
           </form>
         </div>
@@ -244,9 +1127,22 @@ const TicketDetail = () => {
         ) : (
           <ul className="space-y-4">
             {updates.map((u, idx) => (
-              <li key={u.id || idx} className="border-b pb-2">
+              <li
+                key={u.id || idx}
+                className={u.visibility === 'internal'
+                  ? 'border-l-4 border-warning-500 bg-warning-50 rounded-r px-3 py-2'
+                  : 'border-b pb-2'}
+              >
                 <div className="flex items-center justify-between">
-                  <div className="font-medium text-gray-900">{u.username}</div>
+                  <div className="font-medium text-gray-900 flex items-center space-x-2">
+                    <span>{u.username}</span>
+                    {u.visibility === 'internal' && (
+                      <span className="inline-flex items-center space-x-1 px-2 py-0.5 text-xs font-semibold rounded-full text-warning-700 bg-warning-100">
+                        <Lock className="h-3 w-3" />
+                        <span>Internal</span>
+                      </span>
+                    )}
+                  </div>
                   <div className="text-xs text-gray-500">{formatDate(u.created_at)}</div>
                 </div>
                 <div className="text-sm text-gray-700 mt-1">
@@ -255,6 +1151,38 @@ const TicketDetail = () => {
                       <span className="font-semibold">Status changed</span> from <span className="font-mono">{u.old_value || 'N/A'}</span> to <span className="font-mono">{u.new_value}</span>
                       {u.notes && <>: <span>{u.notes}</span></>}
                     </>
+                  ) : u.update_type === 'reopen' ? (
+                    <>
+                      <span className="font-semibold">Reopened</span> from <span className="font-mono">{u.old_value}</span> to <span className="font-mono">{u.new_value}</span>
+                      {u.notes && <>: <span>{u.notes}</span></>}
+                    </>
+                  ) : u.update_type === 'priority_change' ? (
+                    <>
+                      <span className="font-semibold">Priority changed</span> from <span className="font-mono">{u.old_value || 'N/A'}</span> to <span className="font-mono">{u.new_value}</span>
+                      {u.notes && <>: <span>{u.notes}</span></>}
+                    </>
+                  ) : u.update_type === 'watcher' ? (
+                    <>
+                      <span className="font-semibold">{u.new_value ? 'Watcher added:' : 'Watcher removed:'}</span> <span className="font-mono">{u.new_value || u.old_value}</span>
+                    </>
+                  ) : u.update_type === 'link' ? (
+                    <>
+                      <span className="font-semibold">{u.new_value ? 'Link added:' : 'Link removed:'}</span> <span>{formatLinkValue(u.new_value || u.old_value)}</span>
+                    </>
+                  ) : u.update_type === 'merge' ? (
+                    <>
+                      {u.new_value ? (
+                        <><span className="font-semibold">Merged into</span> <span className="font-mono">{u.new_value}</span></>
+                      ) : (
+                        <><span className="font-semibold">Merged</span> <span className="font-mono">{u.old_value}</span> into this ticket</>
+                      )}
+                      {u.notes && <>: <span>{u.notes}</span></>}
+                    </>
+                  ) : u.update_type === 'assignment' ? (
+                    <>
+                      <span className="font-semibold">Assignment changed</span> from <span className="font-mono">{u.old_value || 'Unassigned'}</span> to <span className="font-mono">{u.new_value || 'Unassigned'}</span>
+                      {u.notes && <>: <span>{u.notes}</span></>}
+                    </>
                   ) : (
                     <>
                       <span className="font-semibold">Note:</span> {u.notes}
@@ -1,22 +1,75 @@
-import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import axios from 'axios';
-import { Plus, Eye, Trash2 } from 'lucide-react';
+import { Plus, Eye, Trash2, Search, Save, Pin, PinOff, Share2, Columns, X, CheckCircle, XCircle } from 'lucide-react';
 import LoadingSpinner from '../components/LoadingSpinner';
 import toast from 'react-hot-toast';
 import { useAuth } from '../contexts/AuthContext';
+import { useTicketEventBatches } from '../contexts/RealtimeContext';
+import { earliestExpiry, useRefreshBeforeExpiry } from '../hooks/useRefreshBeforeExpiry';
+import { useSavedViews, viewSearch } from '../contexts/SavedViewsContext';
+
+const COLUMN_LABELS = {
+  department: 'Department',
+  equipment: 'Equipment',
+  priority: 'Priority',
+  status: 'Status',
+  created: 'Created'
+};
+const ALL_COLUMNS = Object.keys(COLUMN_LABELS);
+
+// Filters, sort order, columns and page live in the query string so a list
+// can be bookmarked or pasted to a colleague
+const readFilters = (searchParams) => {
+  const columns = (searchParams.get('columns') || '').split(',').filter(column => ALL_COLUMNS.includes(column));
+  return {
+    search: searchParams.get('search') || '',
+    status: searchParams.get('status') || '',
+    department: searchParams.get('department') || '',
+    priority: searchParams.get('priority') || '',
+    sort: searchParams.get('sort') || '', // '' = newest first (best match when searching), 'newest', 'priority' = Critical first
+    createdBy: searchParams.get('created_by') || '', // '' = all, or numeric user id string
+    columns: columns.length > 0 ? columns : ALL_COLUMNS,
+    page: Math.max(1, parseInt(searchParams.get('page'), 10) || 1),
+    viewId: searchParams.get('view') || ''
+  };
+};
+
+const emptyBulkForm = { action: 'status', status: 'In Progress', priority: 'High', assigned_to: '', notes: '', visibility: 'public' };
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Wrap search terms found in text in <mark>; words match as prefixes like the server does
+const Highlight = ({ text, terms }) => {
+  if (!text || !terms || terms.length === 0) return text || null;
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return String(text).split(pattern).map((part, i) =>
+    i % 2 === 1 ? <mark key={i} className="bg-warning-100 text-gray-900 rounded px-0.5">{part}</mark> : part
+  );
+};
+
+// The part of a long note around the first search hit
+const snippet = (text, terms, radius = 60) => {
+  const value = String(text || '');
+  const lower = value.toLowerCase();
+  const hit = Math.min(...terms.map(term => lower.indexOf(term.toLowerCase())).filter(i => i >= 0), value.length);
+  const start = Math.max(0, hit - radius);
+  const end = Math.min(value.length, hit + radius * 2);
+  return `${start > 0 ? '…' : ''}${value.slice(start, end)}${end < value.length ? '…' : ''}`;
+};
 
 const Tickets = () => {
-  const { user } = useAuth();
+  const { user, isAdmin } = useAuth();
+  const { views, columns: viewColumns, refresh: refreshViews } = useSavedViews();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => readFilters(searchParams), [searchParams]);
+  const isAdminRole = !!user && String(user.role).toLowerCase() === 'admin';
 
   const [tickets, setTickets] = useState([]);
   const [loading, setLoading] = useState(true);
 
-  const [filters, setFilters] = useState({
-    status: '',
-    department: '',
-    createdBy: '' // '' = all, or numeric user id string
-  });
+  const [searchInput, setSearchInput] = useState(filters.search);
+  const [searchTerms, setSearchTerms] = useState([]);
 
   const [pagination, setPagination] = useState({ current: 1, total: 1, totalItems: 0 });
   const [deletingTickets, setDeletingTickets] = useState(new Set());
@@ -24,14 +77,27 @@ const Tickets = () => {
   const [users, setUsers] = useState([]);
   const [usersLoading, setUsersLoading] = useState(false);
 
+  const [showColumns, setShowColumns] = useState(false);
+  const [showSaveModal, setShowSaveModal] = useState(false);
+  const [viewForm, setViewForm] = useState({ name: '', scope: 'personal', pinned: true });
+  const [savingView, setSavingView] = useState(false);
+
+  // bulk actions (admin/IT)
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [bulkForm, setBulkForm] = useState(emptyBulkForm);
+  const [bulkRunning, setBulkRunning] = useState(false);
+  const [bulkResults, setBulkResults] = useState(null);
+  const [team, setTeam] = useState([]);
+
   const statusOptions = ['Pending', 'In Progress', 'On Hold', 'Done', 'Closed'];
+  const priorityOptions = ['Critical', 'High', 'Medium', 'Low'];
 
-  // enforce department for non-admins
+  const activeView = views.find(view => String(view.id) === filters.viewId);
+
+  // keep the search box in step with the URL (back button, saved views)
   useEffect(() => {
-    if (user && String(user.role).toLowerCase() !== 'admin') {
-      setFilters(prev => ({ ...prev, department: user.department || '' }));
-    }
-  }, [user]);
+    setSearchInput(filters.search);
+  }, [filters.search]);
 
   // load users list for admins so they can filter by specific submitter
   useEffect(() => {
@@ -50,19 +116,53 @@ const Tickets = () => {
     fetchUsers();
   }, [user]);
 
+  // load IT team members for the bulk assignee picker
+  useEffect(() => {
+    if (!isAdmin) return;
+    const fetchTeam = async () => {
+      try {
+        const res = await axios.get('/api/dashboard/team');
+        setTeam(res.data.team || []);
+      } catch (err) {
+        console.error('Failed to load team', err);
+      }
+    };
+    fetchTeam();
+  }, [isAdmin]);
+
   useEffect(() => {
     fetchTickets();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [filters, pagination.current]);
+  }, [searchParams, user]);
+
+  // a selection only applies to the page it was made on
+  useEffect(() => {
+    setSelectedIds(new Set());
+  }, [searchParams]);
 
-  const fetchTickets = async () => {
+  // Refresh the current page quietly when a visible ticket changes elsewhere or a
+  // new one may belong on it (once per burst)
+  useTicketEventBatches(() => fetchTickets(true), {
+    filter: event => event.type === 'created' || tickets.some(t => t.id === event.ticketId)
+  });
+
+  // thumbnail links are signed for a few minutes; reload the page quietly before they expire
+  useRefreshBeforeExpiry(earliestExpiry(tickets.map(t => t.thumbnail)), () => fetchTickets(true));
+
+  const fetchTickets = async (quiet = false) => {
     try {
-      setLoading(true);
+      if (!quiet) setLoading(true);
       const params = new URLSearchParams();
-      params.append('page', pagination.current);
+      params.append('page', filters.page);
       params.append('limit', 10);
+      if (filters.search) params.append('search', filters.search);
       if (filters.status) params.append('status', filters.status);
-      if (filters.department) params.append('department', filters.department);
+      if (filters.priority) params.append('priority', filters.priority);
+      if (filters.sort) params.append('sort', filters.sort);
+
+      // non-admins always see their own department
+      const department = isAdminRole ? filters.department : (user?.department || '');
+      if (department) params.append('department', department);
 
       // only send numeric created_by value (admin selects a user id)
       if (filters.createdBy && !Number.isNaN(Number(filters.createdBy))) {
@@ -81,22 +181,173 @@ const Tickets = () => {
       }
 
       setTickets(returned);
+      setSearchTerms(response.data.search?.terms || []);
       setPagination(response.data.pagination || {
-        current: pagination.current,
+        current: filters.page,
         total: response.data.pagination?.total || Math.max(1, Math.ceil((response.data.total || returned.length) / 10)),
         totalItems: response.data.pagination?.totalItems ?? (response.data.total ?? returned.length)
       });
     } catch (error) {
       console.error('Error fetching tickets:', error);
+      if (error.response?.status === 400) {
+        toast.error(error.response.data?.message || 'Invalid search');
+      }
       setTickets([]);
     } finally {
       setLoading(false);
     }
   };
 
+  // Change query string values ('' removes them). Any change other than the
+  // page goes back to page 1 and leaves the saved view it started from.
+  const updateParams = (changes, { keepView = false } = {}) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === '' || value === null || value === undefined) next.delete(key);
+      else next.set(key, value);
+    });
+    if (!('page' in changes)) next.delete('page');
+    if (!keepView) next.delete('view');
+    setSearchParams(next);
+  };
+
   const handleFilterChange = (key, value) => {
-    setFilters(prev => ({ ...prev, [key]: value }));
-    setPagination(prev => ({ ...prev, current: 1 }));
+    updateParams({ [key]: value });
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    const search = searchInput.trim();
+    // "Newest First" is only offered while searching; it is the default otherwise
+    updateParams({ search, ...(!search && filters.sort === 'newest' ? { sort: '' } : {}) });
+  };
+
+  const goToPage = (page) => {
+    updateParams({ page: page > 1 ? page : '' }, { keepView: true });
+  };
+
+  const toggleColumn = (column) => {
+    const next = filters.columns.includes(column)
+      ? filters.columns.filter(c => c !== column)
+      : ALL_COLUMNS.filter(c => c === column || filters.columns.includes(c));
+    if (next.length === 0) return;
+    updateParams({ columns: next.length === ALL_COLUMNS.length ? '' : next.join(',') });
+  };
+
+  const isVisible = (column) => filters.columns.includes(column);
+
+  const applyView = (viewId) => {
+    const view = views.find(v => String(v.id) === viewId);
+    setSearchParams(view ? viewSearch(view, viewColumns) : {});
+  };
+
+  const handleSaveView = async (e) => {
+    e.preventDefault();
+    setSavingView(true);
+    try {
+      const res = await axios.post('/api/views', {
+        name: viewForm.name,
+        scope: viewForm.scope,
+        pinned: viewForm.pinned,
+        filters: {
+          search: filters.search,
+          status: filters.status,
+          priority: filters.priority,
+          // counted on the server, so a non-admin's view keeps their department like the list does
+          department: isAdminRole ? filters.department : (user?.department || ''),
+          created_by: filters.createdBy
+        },
+        sort: filters.sort,
+        columns: filters.columns
+      });
+      toast.success('View saved');
+      setShowSaveModal(false);
+      setViewForm({ name: '', scope: 'personal', pinned: true });
+      await refreshViews();
+      updateParams({ view: res.data.view.id, page: filters.page > 1 ? filters.page : '' }, { keepView: true });
+    } catch (err) {
+      toast.error(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to save view');
+    } finally {
+      setSavingView(false);
+    }
+  };
+
+  const handleTogglePin = async () => {
+    try {
+      await axios.put(`/api/views/${activeView.id}/pin`, { pinned: !activeView.pinned });
+      toast.success(activeView.pinned ? 'Removed from sidebar' : 'Pinned to sidebar');
+      refreshViews();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update view');
+    }
+  };
+
+  const handleDeleteView = async () => {
+    if (!window.confirm(`Delete view "${activeView.name}"?`)) return;
+    try {
+      await axios.delete(`/api/views/${activeView.id}`);
+      toast.success('View deleted');
+      await refreshViews();
+      updateParams({});
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete view');
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      toast.success('Link copied');
+    } catch (err) {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  const toggleSelected = (ticketId) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(ticketId)) next.delete(ticketId);
+      else next.add(ticketId);
+      return next;
+    });
+  };
+
+  const allSelected = tickets.length > 0 && tickets.every(ticket => selectedIds.has(ticket.id));
+
+  const toggleAllSelected = () => {
+    setSelectedIds(allSelected ? new Set() : new Set(tickets.map(ticket => ticket.id)));
+  };
+
+  const handleBulkSubmit = async (e) => {
+    e.preventDefault();
+    const count = selectedIds.size;
+    if (bulkForm.action === 'delete' && !window.confirm(`Delete ${count} ticket${count === 1 ? '' : 's'}? This cannot be undone.`)) return;
+
+    setBulkRunning(true);
+    try {
+      const res = await axios.post('/api/tickets/bulk', {
+        ticket_ids: [...selectedIds],
+        action: bulkForm.action,
+        status: bulkForm.status,
+        priority: bulkForm.priority,
+        assigned_to: bulkForm.assigned_to ? Number(bulkForm.assigned_to) : null,
+        notes: bulkForm.notes,
+        visibility: bulkForm.visibility
+      });
+      if (res.data.failed > 0) {
+        toast(res.data.message);
+        setBulkResults(res.data.results);
+      } else {
+        toast.success(res.data.message);
+      }
+      setSelectedIds(new Set());
+      setBulkForm(emptyBulkForm);
+      fetchTickets(true);
+    } catch (err) {
+      toast.error(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Bulk update failed');
+    } finally {
+      setBulkRunning(false);
+    }
   };
 
   const handleDelete = async (ticketId) => {
@@ -128,16 +379,29 @@ const Tickets = () => {
     }
   };
 
+  const getPriorityColor = (priority) => {
+    switch (priority) {
+      case 'Critical': return 'text-danger-700 bg-danger-100';
+      case 'High': return 'text-warning-700 bg-warning-100';
+      case 'Medium': return 'text-primary-600 bg-primary-100';
+      case 'Low': return 'text-gray-600 bg-gray-100';
+      default: return 'text-gray-600 bg-gray-100';
+    }
+  };
+
   const formatDate = (dateString) => new Date(dateString).toLocaleString();
 
   if (loading) return <LoadingSpinner />;
 
+  const myViews = views.filter(view => view.scope === 'personal');
+  const teamViews = views.filter(view => view.scope === 'team');
+
   return (
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <div>
-          <h1 className="text-2xl font-bold text-gray-900">Tickets</h1>
-          <p className="text-gray-600">Manage and track support tickets</p>
+          <h1 className="text-2xl font-bold text-gray-900">{activeView ? activeView.name : 'Tickets'}</h1>
+          <p className="text-gray-600">{activeView ? 'Saved view' : 'Manage and track support tickets'}</p>
         </div>
         <Link to="/tickets/create" className="btn-primary flex items-center space-x-2">
           <Plus className="h-4 w-4" />
@@ -146,12 +410,94 @@ const Tickets = () => {
       </div>
 
       <div className="card">
+        {/* Saved views */}
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <select
+            value={activeView ? filters.viewId : ''}
+            onChange={(e) => applyView(e.target.value)}
+            className="input md:w-64"
+          >
+            <option value="">Saved views...</option>
+            {myViews.length > 0 && (
+              <optgroup label="My views">
+                {myViews.map(view => <option key={view.id} value={String(view.id)}>{view.name}</option>)}
+              </optgroup>
+            )}
+            {teamViews.length > 0 && (
+              <optgroup label="Team views">
+                {teamViews.map(view => <option key={view.id} value={String(view.id)}>{view.name}</option>)}
+              </optgroup>
+            )}
+          </select>
+
+          {activeView && (
+            <button
+              onClick={handleTogglePin}
+              className="btn-secondary flex items-center space-x-1"
+              title={activeView.pinned ? 'Remove from sidebar' : 'Pin to sidebar'}
+            >
+              {activeView.pinned ? <PinOff className="h-4 w-4" /> : <Pin className="h-4 w-4" />}
+              <span>{activeView.pinned ? 'Unpin' : 'Pin'}</span>
+            </button>
+          )}
+          {activeView?.can_edit && (
+            <button onClick={handleDeleteView} className="btn-danger flex items-center space-x-1" title="Delete view">
+              <Trash2 className="h-4 w-4" />
+            </button>
+          )}
+
+          <button onClick={() => setShowSaveModal(true)} className="btn-secondary flex items-center space-x-1">
+            <Save className="h-4 w-4" />
+            <span>Save View</span>
+          </button>
+          <button onClick={handleCopyLink} className="btn-secondary flex items-center space-x-1" title="Copy a link to this list">
+            <Share2 className="h-4 w-4" />
+            <span>Copy Link</span>
+          </button>
+
+          <div className="relative">
+            <button onClick={() => setShowColumns(prev => !prev)} className="btn-secondary flex items-center space-x-1">
+              <Columns className="h-4 w-4" />
+              <span>Columns</span>
+            </button>
+            {showColumns && (
+              <div className="absolute right-0 z-10 mt-1 w-44 bg-white border border-gray-200 rounded-md shadow-lg p-2 space-y-1">
+                {ALL_COLUMNS.map(column => (
+                  <label key={column} className="flex items-center space-x-2 text-sm text-gray-700 px-1">
+                    <input
+                      type="checkbox"
+                      checked={isVisible(column)}
+                      onChange={() => toggleColumn(column)}
+                    />
+                    <span>{COLUMN_LABELS[column]}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <form onSubmit={handleSearch} className="mb-4">
+          <div className="relative">
+            <Search className="h-4 w-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="search"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              className="input pl-9"
+              placeholder='Search tickets and notes, e.g. status:"On Hold" equipment:Laptop assignee:me created:>2025-06-01 "blue screen"'
+            />
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            Press Enter to search. Filters: status:, dept:, equipment:, priority:, assignee:me|none|username, created:&gt;YYYY-MM-DD. Use quotes for phrases.
+          </p>
+        </form>
         <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
           {/* Created By filter */}
-          {user && String(user.role).toLowerCase() === 'admin' && (
+          {isAdminRole && (
             <select
               value={filters.createdBy}
-              onChange={(e) => handleFilterChange('createdBy', e.target.value)}
+              onChange={(e) => handleFilterChange('created_by', e.target.value)}
               className="input"
             >
               <option value="">All Creators</option>
@@ -177,8 +523,29 @@ const Tickets = () => {
             {statusOptions.map(s => <option key={s} value={s}>{s}</option>)}
           </select>
 
+          {/* Priority */}
+          <select
+            value={filters.priority}
+            onChange={(e) => handleFilterChange('priority', e.target.value)}
+            className="input"
+          >
+            <option value="">All Priorities</option>
+            {priorityOptions.map(p => <option key={p} value={p}>{p}</option>)}
+          </select>
+
+          {/* Sort order */}
+          <select
+            value={filters.sort}
+            onChange={(e) => handleFilterChange('sort', e.target.value)}
+            className="input"
+          >
+            <option value="">{filters.search ? 'Best Match' : 'Newest First'}</option>
+            {filters.search && <option value="newest">Newest First</option>}
+            <option value="priority">Priority (Critical first)</option>
+          </select>
+
           {/* Department - admin only */}
-          {user && String(user.role).toLowerCase() === 'admin' ? (
+          {isAdminRole ? (
             <select
               value={filters.department}
               onChange={(e) => handleFilterChange('department', e.target.value)}
@@ -193,12 +560,8 @@ const Tickets = () => {
 
           <button
             onClick={() => {
-              setFilters({
-                status: '',
-                department: user && String(user.role).toLowerCase() !== 'admin' ? (user.department || '') : '',
-                createdBy: user && String(user.role).toLowerCase() !== 'admin' ? 'me' : ''
-              });
-              setPagination(prev => ({ ...prev, current: 1 }));
+              setSearchInput('');
+              setSearchParams({});
             }}
             className="btn-secondary"
           >
@@ -211,40 +574,172 @@ const Tickets = () => {
         {tickets.length === 0 ? (
           <div className="text-center py-12">
             <h3 className="text-lg font-medium text-gray-900 mb-2">No tickets found</h3>
-            <p className="text-gray-600 mb-4">Create a new ticket to get started</p>
+            <p className="text-gray-600 mb-4">{filters.search ? 'Try fewer words or different filters' : 'Create a new ticket to get started'}</p>
             <Link to="/tickets/create" className="btn-primary">Create Ticket</Link>
           </div>
         ) : (
           <>
+            {isAdmin && selectedIds.size > 0 && (
+              <form onSubmit={handleBulkSubmit} className="flex flex-wrap items-center gap-2 mb-4 p-3 rounded-md bg-primary-50 border border-primary-100">
+                <span className="text-sm font-medium text-primary-900 mr-2">{selectedIds.size} selected</span>
+                <select
+                  value={bulkForm.action}
+                  onChange={e => setBulkForm(prev => ({ ...prev, action: e.target.value }))}
+                  className="input w-auto"
+                >
+                  <option value="status">Change status</option>
+                  <option value="assign">Assign</option>
+                  <option value="priority">Set priority</option>
+                  <option value="note">Add note</option>
+                  <option value="delete">Delete</option>
+                </select>
+
+                {bulkForm.action === 'status' && (
+                  <select
+                    value={bulkForm.status}
+                    onChange={e => setBulkForm(prev => ({ ...prev, status: e.target.value }))}
+                    className="input w-auto"
+                  >
+                    {statusOptions.map(s => <option key={s} value={s}>{s}</option>)}
+                  </select>
+                )}
+                {bulkForm.action === 'assign' && (
+                  <select
+                    value={bulkForm.assigned_to}
+                    onChange={e => setBulkForm(prev => ({ ...prev, assigned_to: e.target.value }))}
+                    className="input w-auto"
+                  >
+                    <option value="">Unassigned</option>
+                    {team.map(member => (
+                      <option key={member.id} value={String(member.id)}>
+                        {member.username} ({member.role})
+                      </option>
+                    ))}
+                  </select>
+                )}
+                {bulkForm.action === 'priority' && (
+                  <select
+                    value={bulkForm.priority}
+                    onChange={e => setBulkForm(prev => ({ ...prev, priority: e.target.value }))}
+                    className="input w-auto"
+                  >
+                    {priorityOptions.map(p => <option key={p} value={p}>{p}</option>)}
+                  </select>
+                )}
+                {bulkForm.action !== 'delete' && (
+                  <input
+                    type="text"
+                    value={bulkForm.notes}
+                    onChange={e => setBulkForm(prev => ({ ...prev, notes: e.target.value }))}
+                    className="input flex-1 min-w-[12rem]"
+                    placeholder={bulkForm.action === 'note' ? 'Note for every selected ticket' : 'Note (optional)'}
+                    required={bulkForm.action === 'note'}
+                  />
+                )}
+                {bulkForm.action === 'note' && (
+                  <label className="flex items-center space-x-1 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={bulkForm.visibility === 'internal'}
+                      onChange={e => setBulkForm(prev => ({ ...prev, visibility: e.target.checked ? 'internal' : 'public' }))}
+                    />
+                    <span>Internal</span>
+                  </label>
+                )}
+
+                <button type="submit" className={bulkForm.action === 'delete' ? 'btn-danger' : 'btn-primary'} disabled={bulkRunning}>
+                  {bulkRunning ? 'Applying...' : 'Apply'}
+                </button>
+                <button type="button" className="btn-secondary" onClick={() => setSelectedIds(new Set())}>Clear</button>
+              </form>
+            )}
+
             <div className="overflow-x-auto">
               <table className="min-w-full divide-y divide-gray-200">
                 <thead className="bg-gray-50">
                   <tr>
+                    {isAdmin && (
+                      <th className="pl-6 py-3 text-left">
+                        <input type="checkbox" checked={allSelected} onChange={toggleAllSelected} title="Select all on this page" />
+                      </th>
+                    )}
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Ticket</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Department</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Equipment</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Created</th>
+                    {ALL_COLUMNS.filter(isVisible).map(column => (
+                      <th key={column} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{COLUMN_LABELS[column]}</th>
+                    ))}
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
                   {tickets.map(ticket => (
-                    <tr key={ticket.id} className="hover:bg-gray-50">
+                    <tr key={ticket.id} className={selectedIds.has(ticket.id) ? 'bg-primary-50' : 'hover:bg-gray-50'}>
+                      {isAdmin && (
+                        <td className="pl-6 py-4">
+                          <input
+                            type="checkbox"
+                            checked={selectedIds.has(ticket.id)}
+                            onChange={() => toggleSelected(ticket.id)}
+                            aria-label={`Select ${ticket.ticket_number}`}
+                          />
+                        </td>
+                      )}
                       <td className="px-6 py-4 whitespace-nowrap">
-                        <div>
-                          <Link to={`/tickets/${ticket.id}`} className="text-primary-600 hover:text-primary-900 font-medium">{ticket.ticket_number}</Link>
-                          <p className="text-sm text-gray-500 truncate max-w-xs">{ticket.problem_description}</p>
+                        <div className="flex items-center space-x-3">
+                          {ticket.thumbnail && (
+                            <a href={ticket.thumbnail.url} target="_blank" rel="noopener noreferrer" title="Open original">
+                              <img
+                                src={ticket.thumbnail.thumbnail_url}
+                                alt={ticket.thumbnail.original_name}
+                                loading="lazy"
+                                className="h-10 w-10 rounded object-cover border flex-shrink-0 hover:opacity-90"
+                              />
+                            </a>
+                          )}
+                          <div>
+                            <Link to={`/tickets/${ticket.id}`} className="text-primary-600 hover:text-primary-900 font-medium">{ticket.ticket_number}</Link>
+                            <p className="text-sm text-gray-500 truncate max-w-xs">
+                              <Highlight text={ticket.problem_description} terms={searchTerms} />
+                            </p>
+                            {ticket.matched_note && (
+                              <p className="text-xs text-gray-400 truncate max-w-xs" title={ticket.matched_note}>
+                                Note: <Highlight text={snippet(ticket.matched_note, searchTerms)} terms={searchTerms} />
+                              </p>
+                            )}
+                            {ticket.attachment_count > 1 && (
+                              <p className="text-xs text-gray-400">{ticket.attachment_count} attachments</p>
+                            )}
+                          </div>
                         </div>
                       </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{ticket.department}</td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{ticket.equipment_type}</td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(ticket.status)}`}>
-                          {ticket.status}
-                        </span>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(ticket.created_at)}</td>
+                      {isVisible('department') && (
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{ticket.department}</td>
+                      )}
+                      {isVisible('equipment') && (
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{ticket.equipment_type}</td>
+                      )}
+                      {isVisible('priority') && (
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getPriorityColor(ticket.priority)}`}>
+                            {ticket.priority}
+                          </span>
+                          {ticket.sla?.breached && (
+                            <span className="ml-1 inline-flex px-2 py-1 text-xs font-semibold rounded-full text-danger-700 bg-danger-100">SLA breached</span>
+                          )}
+                          {ticket.sla?.at_risk && (
+                            <span className="ml-1 inline-flex px-2 py-1 text-xs font-semibold rounded-full text-warning-700 bg-warning-100">At risk</span>
+                          )}
+                        </td>
+                      )}
+                      {isVisible('status') && (
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(ticket.status)}`}>
+                            {ticket.status}
+                          </span>
+                        </td>
+                      )}
+                      {isVisible('created') && (
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(ticket.created_at)}</td>
+                      )}
                       <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                         <div className="flex items-center space-x-2">
                           <Link to={`/tickets/${ticket.id}`} className="text-primary-600 hover:text-primary-900 flex items-center space-x-1">
@@ -274,15 +769,15 @@ const Tickets = () => {
                 <div className="text-sm text-gray-700">Showing page {pagination.current} of {pagination.total} ({pagination.totalItems} total tickets)</div>
                 <div className="flex space-x-2">
                   <button
-                    onClick={() => setPagination(prev => ({ ...prev, current: Math.max(1, prev.current - 1) }))}
-                    disabled={pagination.current === 1}
+                    onClick={() => goToPage(Math.max(1, filters.page - 1))}
+                    disabled={filters.page === 1}
                     className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
                   >
                     Previous
                   </button>
                   <button
-                    onClick={() => setPagination(prev => ({ ...prev, current: Math.min(pagination.total, prev.current + 1) }))}
-                    disabled={pagination.current === pagination.total}
+                    onClick={() => goToPage(Math.min(pagination.total, filters.page + 1))}
+                    disabled={filters.page >= pagination.total}
                     className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
                   >
                     Next
@@ -293,8 +788,88 @@ const Tickets = () => {
           </>
         )}
       </div>
+
+      {/* Bulk Results Modal */}
+      {bulkResults && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40">
+          <div className="bg-white rounded-lg shadow-lg w-full max-w-lg p-6 relative">
+            <button className="absolute top-2 right-2 text-gray-400 hover:text-gray-600" onClick={() => setBulkResults(null)}>
+              <X className="h-5 w-5" />
+            </button>
+            <h2 className="text-xl font-bold mb-4">Bulk Update Results</h2>
+            <ul className="divide-y divide-gray-200 max-h-96 overflow-y-auto">
+              {bulkResults.map(result => (
+                <li key={result.id} className="py-2 flex items-center space-x-2 text-sm">
+                  {result.success
+                    ? <CheckCircle className="h-4 w-4 text-success-600 flex-shrink-0" />
+                    : <XCircle className="h-4 w-4 text-danger-600 flex-shrink-0" />}
+                  <span className="font-medium text-gray-900">{result.ticket_number || `#${result.id}`}</span>
+                  <span className="text-gray-600">{result.message}</span>
+                </li>
+              ))}
+            </ul>
+            <div className="flex justify-end mt-4">
+              <button className="btn-secondary" onClick={() => setBulkResults(null)}>Close</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Save View Modal */}
+      {showSaveModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40">
+          <div className="bg-white rounded-lg shadow-lg w-full max-w-md p-6 relative">
+            <button className="absolute top-2 right-2 text-gray-400 hover:text-gray-600" onClick={() => setShowSaveModal(false)}>
+              <X className="h-5 w-5" />
+            </button>
+            <h2 className="text-xl font-bold mb-1">Save View</h2>
+            <p className="text-sm text-gray-500 mb-4">Saves the current filters, sort order and columns.</p>
+            <form className="space-y-4" onSubmit={handleSaveView}>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Name</label>
+                <input
+                  type="text"
+                  value={viewForm.name}
+                  onChange={e => setViewForm(prev => ({ ...prev, name: e.target.value }))}
+                  className="input mt-1"
+                  maxLength={100}
+                  placeholder="e.g. Unassigned critical"
+                  required
+                />
+              </div>
+              {isAdmin && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Shared with</label>
+                  <select
+                    value={viewForm.scope}
+                    onChange={e => setViewForm(prev => ({ ...prev, scope: e.target.value }))}
+                    className="input mt-1"
+                  >
+                    <option value="personal">Only me</option>
+                    <option value="team">The whole IT team</option>
+                  </select>
+                </div>
+              )}
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={viewForm.pinned}
+                  onChange={e => setViewForm(prev => ({ ...prev, pinned: e.target.checked }))}
+                />
+                <span>Pin to sidebar</span>
+              </label>
+              <div className="flex justify-end gap-2">
+                <button type="button" className="btn-secondary" onClick={() => setShowSaveModal(false)}>Cancel</button>
+                <button type="submit" className="btn-primary" disabled={savingView}>
+                  {savingView ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
 
-export default Tickets;
\ No newline at end of file
+export default Tickets;
@@ -0,0 +1,457 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import axios from 'axios';
+import { Plus, Edit, Trash2, Send, RotateCcw, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const emptyForm = { name: '', url: '', events: [], secret: '', is_active: true };
+
+const getDeliveryStatusColor = (status) => {
+  switch (status) {
+    case 'success': return 'text-success-600 bg-success-100';
+    case 'pending': return 'text-warning-600 bg-warning-100';
+    case 'failed': return 'text-danger-600 bg-danger-100';
+    default: return 'text-gray-600 bg-gray-100';
+  }
+};
+
+const formatDate = (dateString) => (dateString ? new Date(dateString).toLocaleString() : '-');
+
+const Webhooks = () => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [availableEvents, setAvailableEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editWebhook, setEditWebhook] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [newSecret, setNewSecret] = useState(null);
+
+  const [deliveries, setDeliveries] = useState([]);
+  const [deliveryFilters, setDeliveryFilters] = useState({ webhook_id: '', status: '' });
+  const [deliveryPage, setDeliveryPage] = useState(1);
+  const [deliveryTotalPages, setDeliveryTotalPages] = useState(1);
+  const [selectedDelivery, setSelectedDelivery] = useState(null);
+
+  const fetchWebhooks = async () => {
+    setLoading(true);
+    try {
+      const res = await axios.get('/api/webhooks');
+      setWebhooks(res.data.webhooks);
+      setAvailableEvents(res.data.events);
+    } catch (err) {
+      toast.error('Failed to fetch webhooks');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchDeliveries = useCallback(async () => {
+    try {
+      const params = { page: deliveryPage };
+      if (deliveryFilters.webhook_id) params.webhook_id = deliveryFilters.webhook_id;
+      if (deliveryFilters.status) params.status = deliveryFilters.status;
+      const res = await axios.get('/api/webhooks/deliveries', { params });
+      setDeliveries(res.data.deliveries);
+      setDeliveryTotalPages(res.data.pagination.total);
+    } catch (err) {
+      toast.error('Failed to fetch deliveries');
+    }
+  }, [deliveryFilters, deliveryPage]);
+
+  useEffect(() => {
+    fetchWebhooks();
+  }, []);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [fetchDeliveries]);
+
+  const openModal = (webhook = null) => {
+    setEditWebhook(webhook);
+    setForm(webhook
+      ? { name: webhook.name, url: webhook.url, events: webhook.events, secret: '', is_active: webhook.is_active }
+      : emptyForm);
+    setShowModal(true);
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditWebhook(null);
+    setForm(emptyForm);
+  };
+
+  const toggleEvent = (event) => {
+    setForm(prev => ({
+      ...prev,
+      events: prev.events.includes(event) ? prev.events.filter(e => e !== event) : [...prev.events, event]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const payload = { ...form };
+      if (!payload.secret) delete payload.secret;
+      const res = editWebhook
+        ? await axios.put(`/api/webhooks/${editWebhook.id}`, payload)
+        : await axios.post('/api/webhooks', payload);
+      toast.success(editWebhook ? 'Webhook updated' : 'Webhook created');
+      if (!res.data.webhook.secret.endsWith('...')) {
+        setNewSecret(res.data.webhook.secret);
+      }
+      closeModal();
+      fetchWebhooks();
+    } catch (err) {
+      toast.error(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to save webhook');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRotateSecret = async (webhook) => {
+    if (!window.confirm(`Issue a new secret for ${webhook.name}? The receiver must be updated to verify signatures.`)) return;
+    try {
+      const res = await axios.put(`/api/webhooks/${webhook.id}`, {
+        name: webhook.name,
+        url: webhook.url,
+        events: webhook.events,
+        rotate_secret: true
+      });
+      setNewSecret(res.data.webhook.secret);
+      fetchWebhooks();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to rotate secret');
+    }
+  };
+
+  const handleDelete = async (webhook) => {
+    if (!window.confirm(`Delete webhook ${webhook.name} and its delivery log?`)) return;
+    try {
+      await axios.delete(`/api/webhooks/${webhook.id}`);
+      toast.success('Webhook deleted');
+      fetchWebhooks();
+      fetchDeliveries();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete webhook');
+    }
+  };
+
+  const handleTest = async (webhook) => {
+    try {
+      const res = await axios.post(`/api/webhooks/${webhook.id}/test`);
+      const delivery = res.data.delivery;
+      if (delivery.status === 'success') {
+        toast.success(`Test delivered (HTTP ${delivery.response_status})`);
+      } else {
+        toast.error(`Test failed: ${delivery.error}`);
+      }
+      fetchDeliveries();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to send test');
+    }
+  };
+
+  const handleReplay = async (delivery) => {
+    try {
+      const res = await axios.post(`/api/webhooks/deliveries/${delivery.id}/replay`);
+      if (res.data.delivery.status === 'success') {
+        toast.success('Delivery replayed');
+      } else {
+        toast.error(`Replay failed: ${res.data.delivery.error}`);
+      }
+      fetchDeliveries();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to replay delivery');
+    }
+  };
+
+  const openDelivery = async (delivery) => {
+    try {
+      const res = await axios.get(`/api/webhooks/deliveries/${delivery.id}`);
+      setSelectedDelivery(res.data.delivery);
+    } catch (err) {
+      toast.error('Failed to load delivery');
+    }
+  };
+
+  const handleFilterChange = (key, value) => {
+    setDeliveryFilters(prev => ({ ...prev, [key]: value }));
+    setDeliveryPage(1);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Webhooks</h1>
+          <p className="text-gray-600">Send ticket events to other systems</p>
+        </div>
+        <button className="btn-primary flex items-center space-x-2" onClick={() => openModal()}>
+          <Plus className="h-4 w-4" />
+          <span>New Webhook</span>
+        </button>
+      </div>
+
+      {newSecret && (
+        <div className="card border border-warning-200 bg-warning-50">
+          <div className="flex justify-between items-start">
+            <div>
+              <p className="font-medium text-gray-900">Signing secret</p>
+              <p className="text-sm text-gray-600 mb-2">Copy it now; it will not be shown again.</p>
+              <code className="text-sm break-all">{newSecret}</code>
+            </div>
+            <button className="text-gray-400 hover:text-gray-600" onClick={() => setNewSecret(null)}>
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="card overflow-x-auto">
+        {loading ? (
+          <div className="text-center py-8 text-gray-500">Loading webhooks...</div>
+        ) : webhooks.length === 0 ? (
+          <div className="text-center py-8 text-gray-500">No webhooks yet.</div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">URL</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Events</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {webhooks.map(webhook => (
+                <tr key={webhook.id}>
+                  <td className="px-6 py-4 whitespace-nowrap font-medium">{webhook.name}</td>
+                  <td className="px-6 py-4 text-sm text-gray-600 break-all max-w-xs">{webhook.url}</td>
+                  <td className="px-6 py-4 text-xs text-gray-600">{webhook.events.join(', ')}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${webhook.is_active ? 'text-success-600 bg-success-100' : 'text-gray-600 bg-gray-100'}`}>
+                      {webhook.is_active ? 'Active' : 'Paused'}
+                    </span>
+                    {webhook.failed_deliveries > 0 && (
+                      <span className="ml-2 text-xs text-danger-600">{webhook.failed_deliveries} failed</span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap flex gap-2">
+                    <button className="btn-secondary px-2 py-1" onClick={() => handleTest(webhook)} title="Send test">
+                      <Send className="h-4 w-4" />
+                    </button>
+                    <button className="btn-secondary px-2 py-1" onClick={() => openModal(webhook)} title="Edit">
+                      <Edit className="h-4 w-4" />
+                    </button>
+                    <button className="btn-warning px-2 py-1" onClick={() => handleRotateSecret(webhook)} title="Rotate secret">
+                      <RotateCcw className="h-4 w-4" />
+                    </button>
+                    <button className="btn-danger px-2 py-1" onClick={() => handleDelete(webhook)} title="Delete">
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Delivery log */}
+      <div className="card overflow-x-auto">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4">
+          <h2 className="text-lg font-bold">Delivery Log</h2>
+          <div className="flex gap-2">
+            <select
+              value={deliveryFilters.webhook_id}
+              onChange={e => handleFilterChange('webhook_id', e.target.value)}
+              className="input"
+            >
+              <option value="">All webhooks</option>
+              {webhooks.map(w => <option key={w.id} value={w.id}>{w.name}</option>)}
+            </select>
+            <select
+              value={deliveryFilters.status}
+              onChange={e => handleFilterChange('status', e.target.value)}
+              className="input"
+            >
+              <option value="">All statuses</option>
+              <option value="success">Success</option>
+              <option value="pending">Retrying</option>
+              <option value="failed">Failed</option>
+            </select>
+          </div>
+        </div>
+
+        {deliveries.length === 0 ? (
+          <div className="text-center py-8 text-gray-500">No deliveries yet.</div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Webhook</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Event</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Attempts</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Response</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {deliveries.map(delivery => (
+                <tr key={delivery.id} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">{formatDate(delivery.created_at)}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm">{delivery.webhook_name}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm">
+                    <button className="text-primary-600 hover:text-primary-900" onClick={() => openDelivery(delivery)}>
+                      {delivery.event_type}
+                    </button>
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getDeliveryStatusColor(delivery.status)}`}>
+                      {delivery.status === 'pending' ? 'retrying' : delivery.status}
+                    </span>
+                    {delivery.status === 'pending' && delivery.next_attempt_at && (
+                      <div className="text-xs text-gray-500">next {formatDate(delivery.next_attempt_at)}</div>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm">{delivery.attempts}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">
+                    {delivery.response_status ? `HTTP ${delivery.response_status}` : ''}
+                    {delivery.error && <div className="text-xs text-danger-600">{delivery.error}</div>}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <button className="btn-secondary px-2 py-1 flex items-center space-x-1" onClick={() => handleReplay(delivery)} title="Replay">
+                      <RotateCcw className="h-4 w-4" />
+                      <span className="text-xs">Replay</span>
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {deliveryTotalPages > 1 && (
+          <div className="flex justify-end items-center gap-2 mt-4">
+            <button
+              className="btn-secondary"
+              disabled={deliveryPage <= 1}
+              onClick={() => setDeliveryPage(prev => prev - 1)}
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">Page {deliveryPage} of {deliveryTotalPages}</span>
+            <button
+              className="btn-secondary"
+              disabled={deliveryPage >= deliveryTotalPages}
+              onClick={() => setDeliveryPage(prev => prev + 1)}
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Create/Edit Webhook Modal */}
+      {showModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40">
+          <div className="bg-white rounded-lg shadow-lg w-full max-w-lg p-6 relative">
+            <button className="absolute top-2 right-2 text-gray-400 hover:text-gray-600" onClick={closeModal}>
+              <X className="h-5 w-5" />
+            </button>
+            <h2 className="text-xl font-bold mb-4">{editWebhook ? 'Edit Webhook' : 'New Webhook'}</h2>
+            <form className="space-y-4" onSubmit={handleSubmit}>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Name</label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={e => setForm(prev => ({ ...prev, name: e.target.value }))}
+                  className="input mt-1"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Target URL</label>
+                <input
+                  type="url"
+                  value={form.url}
+                  onChange={e => setForm(prev => ({ ...prev, url: e.target.value }))}
+                  className="input mt-1"
+                  placeholder="https://example.com/hooks/tickets"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Events</label>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                  {availableEvents.map(event => (
+                    <label key={event} className="flex items-center space-x-2 text-sm">
+                      <input type="checkbox" checked={form.events.includes(event)} onChange={() => toggleEvent(event)} />
+                      <span>{event}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Secret</label>
+                <input
+                  type="text"
+                  value={form.secret}
+                  onChange={e => setForm(prev => ({ ...prev, secret: e.target.value }))}
+                  className="input mt-1"
+                  placeholder={editWebhook ? 'Leave blank to keep the current secret' : 'Leave blank to generate one'}
+                />
+              </div>
+              <label className="flex items-center space-x-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={form.is_active}
+                  onChange={e => setForm(prev => ({ ...prev, is_active: e.target.checked }))}
+                />
+                <span>Active</span>
+              </label>
+              <div className="flex justify-end gap-2">
+                <button type="button" className="btn-secondary" onClick={closeModal}>Cancel</button>
+                <button type="submit" className="btn-primary" disabled={saving || form.events.length === 0}>
+                  {saving ? 'Saving...' : editWebhook ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Delivery detail */}
+      {selectedDelivery && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40">
+          <div className="bg-white rounded-lg shadow-lg w-full max-w-2xl p-6 relative max-h-[90vh] overflow-y-auto">
+            <button className="absolute top-2 right-2 text-gray-400 hover:text-gray-600" onClick={() => setSelectedDelivery(null)}>
+              <X className="h-5 w-5" />
+            </button>
+            <h2 className="text-xl font-bold mb-1">{selectedDelivery.event_type}</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              {selectedDelivery.webhook_name} · {selectedDelivery.url}
+            </p>
+            <h3 className="text-sm font-semibold text-gray-700 mb-1">Payload</h3>
+            <pre className="text-xs bg-gray-50 border rounded p-3 overflow-x-auto mb-4">
+              {JSON.stringify(selectedDelivery.payload, null, 2)}
+            </pre>
+            <h3 className="text-sm font-semibold text-gray-700 mb-1">
+              Response {selectedDelivery.response_status ? `(HTTP ${selectedDelivery.response_status})` : ''}
+            </h3>
+            <pre className="text-xs bg-gray-50 border rounded p-3 overflow-x-auto whitespace-pre-wrap">
+              {selectedDelivery.response_body || selectedDelivery.error || 'No response'}
+            </pre>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Webhooks;
@@ -16,6 +16,40 @@ const dbConfig = {
 
 const pool = mysql.createPool(dbConfig);
 
+// Allowed values for tickets.equipment_type (the options in CreateTicket.js)
+const EQUIPMENT_TYPES = ['PC', 'Laptop', 'Printer', 'Internet', 'Other'];
+const equipmentTypeEnum = EQUIPMENT_TYPES.map(type => `'${type}'`).join(', ');
+
+// Allowed values for ticket_updates.update_type
+const UPDATE_TYPES = ['status_change', 'note', 'assignment', 'priority_change', 'reopen', 'watcher', 'merge', 'link'];
+const updateTypeEnum = UPDATE_TYPES.map(type => `'${type}'`).join(', ');
+
+// Add a column to an existing table if an older schema is missing it
+const addColumnIfMissing = async (connection, table, column, definition) => {
+  const [columns] = await connection.execute(`
+    SELECT COLUMN_NAME
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+  `, [table, column]);
+
+  if (columns.length === 0) {
+    await connection.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
+// Add an index (e.g. FULLTEXT) to an existing table if it is missing
+const addIndexIfMissing = async (connection, table, index, definition) => {
+  const [indexes] = await connection.execute(`
+    SELECT INDEX_NAME
+    FROM INFORMATION_SCHEMA.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?
+  `, [table, index]);
+
+  if (indexes.length === 0) {
+    await connection.execute(`ALTER TABLE ${table} ADD ${definition}`);
+  }
+};
+
 // Test database connection
 const testConnection = async () => {
   try {
@@ -53,7 +87,7 @@ const initDatabase = async () => {
         id INT PRIMARY KEY AUTO_INCREMENT,
         ticket_number VARCHAR(20) UNIQUE NOT NULL,
         department VARCHAR(100) NOT NULL,
-        equipment_type ENUM('PC', 'Laptop', 'Other') NOT NULL,
+        equipment_type ENUM(${equipmentTypeEnum}) NOT NULL,
         problem_description TEXT NOT NULL,
         issue_date DATETIME NOT NULL,
         photo_url VARCHAR(255),
@@ -61,6 +95,13 @@ const initDatabase = async () => {
         priority ENUM('Low', 'Medium', 'High', 'Critical') DEFAULT 'Medium',
         assigned_to INT,
         created_by INT NOT NULL,
+        response_due_at DATETIME NULL,
+        resolve_due_at DATETIME NULL,
+        first_response_at DATETIME NULL,
+        resolved_at DATETIME NULL,
+        sla_paused_at DATETIME NULL,
+        sla_paused_minutes INT NOT NULL DEFAULT 0,
+        reopen_count INT NOT NULL DEFAULT 0,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL,
@@ -73,8 +114,8 @@ const initDatabase = async () => {
       CREATE TABLE IF NOT EXISTS ticket_updates (
         id INT PRIMARY KEY AUTO_INCREMENT,
         ticket_id INT NOT NULL,
-        user_id INT NOT NULL,
-        update_type ENUM('status_change', 'note', 'assignment') NOT NULL,
+        user_id INT NULL,
+        update_type ENUM(${updateTypeEnum}) NOT NULL,
         old_value VARCHAR(100),
         new_value VARCHAR(100),
         notes TEXT,
@@ -84,6 +125,322 @@ const initDatabase = async () => {
       )
     `);
 
+    // Databases created before Printer and Internet were equipment types
+    await connection.execute(`
+      ALTER TABLE tickets MODIFY COLUMN equipment_type ENUM(${equipmentTypeEnum}) NOT NULL
+    `);
+
+    // Keep update_type in sync for databases created before new update types were added
+    await connection.execute(`
+      ALTER TABLE ticket_updates MODIFY COLUMN update_type ENUM(${updateTypeEnum}) NOT NULL
+    `);
+
+    // user_id is NULL for entries written by the system (e.g. auto-close job)
+    await connection.execute('ALTER TABLE ticket_updates MODIFY COLUMN user_id INT NULL');
+
+    // SLA columns for databases created before SLA tracking
+    await addColumnIfMissing(connection, 'tickets', 'response_due_at', 'DATETIME NULL');
+    await addColumnIfMissing(connection, 'tickets', 'resolve_due_at', 'DATETIME NULL');
+    await addColumnIfMissing(connection, 'tickets', 'first_response_at', 'DATETIME NULL');
+    await addColumnIfMissing(connection, 'tickets', 'resolved_at', 'DATETIME NULL');
+    await addColumnIfMissing(connection, 'tickets', 'sla_paused_at', 'DATETIME NULL');
+    await addColumnIfMissing(connection, 'tickets', 'sla_paused_minutes', 'INT NOT NULL DEFAULT 0');
+    await addColumnIfMissing(connection, 'tickets', 'reopen_count', 'INT NOT NULL DEFAULT 0');
+    // Internal notes are only shown to admin/IT
+    await addColumnIfMissing(connection, 'ticket_updates', 'visibility', "ENUM('public', 'internal') NOT NULL DEFAULT 'public'");
+
+    // Reports and metrics select tickets by creation date
+    await addIndexIfMissing(connection, 'tickets', 'idx_tickets_created_at',
+      'INDEX idx_tickets_created_at (created_at)');
+
+    // Full-text search over descriptions and notes (services/search.js)
+    await addIndexIfMissing(connection, 'tickets', 'ft_tickets_description',
+      'FULLTEXT INDEX ft_tickets_description (problem_description)');
+    await addIndexIfMissing(connection, 'ticket_updates', 'ft_ticket_updates_notes',
+      'FULLTEXT INDEX ft_ticket_updates_notes (notes)');
+
+    // Set once the SLA breach of each deadline has been announced (jobs/slaBreach.js)
+    await addColumnIfMissing(connection, 'tickets', 'response_breach_notified_at', 'DATETIME NULL');
+    await addColumnIfMissing(connection, 'tickets', 'resolve_breach_notified_at', 'DATETIME NULL');
+
+    // Set when a duplicate is merged into another ticket (services/duplicates.js)
+    await addColumnIfMissing(connection, 'tickets', 'merged_into', 'INT NULL');
+
+    // Create ticket_attachments table (file_name is the object key in the
+    // storage backend named by `storage`, see storage/index.js)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS ticket_attachments (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        ticket_id INT NOT NULL,
+        uploaded_by INT NULL,
+        file_name VARCHAR(255) NOT NULL,
+        thumbnail_name VARCHAR(255) NULL,
+        preview_name VARCHAR(255) NULL,
+        storage VARCHAR(20) NOT NULL DEFAULT 'local',
+        original_name VARCHAR(255) NOT NULL,
+        mime_type VARCHAR(100) NOT NULL,
+        size_bytes INT NOT NULL DEFAULT 0,
+        width INT NULL,
+        height INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (ticket_id) REFERENCES tickets(id) ON DELETE CASCADE,
+        FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    await addColumnIfMissing(connection, 'ticket_attachments', 'storage', "VARCHAR(20) NOT NULL DEFAULT 'local'");
+    // Resized image variants (see services/images.js)
+    await addColumnIfMissing(connection, 'ticket_attachments', 'thumbnail_name', 'VARCHAR(255) NULL');
+    await addColumnIfMissing(connection, 'ticket_attachments', 'preview_name', 'VARCHAR(255) NULL');
+    await addColumnIfMissing(connection, 'ticket_attachments', 'width', 'INT NULL');
+    await addColumnIfMissing(connection, 'ticket_attachments', 'height', 'INT NULL');
+
+    // Legacy single photos (tickets.photo_url) are moved into ticket_attachments
+    // by scripts/migratePhotos.js, which only clears photo_url once the copy is in place.
+    // Until then they are served read-only alongside the ticket's attachments.
+    const [legacyPhotos] = await connection.execute(
+      'SELECT COUNT(*) as count FROM tickets WHERE photo_url IS NOT NULL'
+    );
+    if (legacyPhotos[0].count > 0) {
+      console.warn(`${legacyPhotos[0].count} ticket(s) still have a legacy photo; run "npm run photos:migrate"`);
+    }
+
+    // Create inbound_emails table (log of mail processed by jobs/mailIngest.js)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS inbound_emails (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        message_id VARCHAR(255) NULL,
+        from_address VARCHAR(255) NULL,
+        subject VARCHAR(255) NULL,
+        status ENUM('ticket', 'note', 'rejected', 'failed') NOT NULL,
+        ticket_id INT NULL,
+        error VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_inbound_emails_message_id (message_id),
+        FOREIGN KEY (ticket_id) REFERENCES tickets(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Create notification_preferences table (no row = all notifications on, sent immediately)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id INT PRIMARY KEY,
+        email_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        notify_created BOOLEAN NOT NULL DEFAULT TRUE,
+        notify_status BOOLEAN NOT NULL DEFAULT TRUE,
+        notify_note BOOLEAN NOT NULL DEFAULT TRUE,
+        notify_assignment BOOLEAN NOT NULL DEFAULT TRUE,
+        digest BOOLEAN NOT NULL DEFAULT FALSE,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create notifications table (in-app notifications, see services/inAppNotifications.js)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        ticket_id INT NOT NULL,
+        actor_id INT NULL,
+        type VARCHAR(30) NOT NULL,
+        message VARCHAR(255) NOT NULL,
+        read_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_notifications_user_read (user_id, read_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (ticket_id) REFERENCES tickets(id) ON DELETE CASCADE,
+        FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Create email_digest_queue table (rendered notifications waiting for the hourly digest)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS email_digest_queue (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        ticket_id INT NOT NULL,
+        event_type VARCHAR(30) NOT NULL,
+        subject VARCHAR(255) NOT NULL,
+        body TEXT NOT NULL,
+        claim_token VARCHAR(36) NULL,
+        claimed_until TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (ticket_id) REFERENCES tickets(id) ON DELETE CASCADE
+      )
+    `);
+    // A digest sender claims a user's rows before sending (one sender per row)
+    await addColumnIfMissing(connection, 'email_digest_queue', 'claim_token', 'VARCHAR(36) NULL');
+    await addColumnIfMissing(connection, 'email_digest_queue', 'claimed_until', 'TIMESTAMP NULL');
+
+    // Create ticket_watchers table (people following a ticket besides the requester)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS ticket_watchers (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        ticket_id INT NOT NULL,
+        user_id INT NOT NULL,
+        added_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_ticket_watcher (ticket_id, user_id),
+        INDEX idx_ticket_watchers_user (user_id),
+        FOREIGN KEY (ticket_id) REFERENCES tickets(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (added_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Create canned_responses table (reply templates; personal ones belong to owner_id)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS canned_responses (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        title VARCHAR(100) NOT NULL,
+        body TEXT NOT NULL,
+        scope ENUM('personal', 'team') NOT NULL DEFAULT 'personal',
+        owner_id INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_canned_responses_owner (owner_id),
+        FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create saved_views table (ticket list presets; filters is a JSON object, visible_columns a comma-separated list)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS saved_views (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        name VARCHAR(100) NOT NULL,
+        filters TEXT NOT NULL,
+        sort VARCHAR(20) NOT NULL DEFAULT '',
+        visible_columns VARCHAR(255) NULL,
+        scope ENUM('personal', 'team') NOT NULL DEFAULT 'personal',
+        owner_id INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_saved_views_owner (owner_id),
+        FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create saved_view_pins table (views each user shows in the sidebar)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS saved_view_pins (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        view_id INT NOT NULL,
+        user_id INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_saved_view_pin (view_id, user_id),
+        FOREIGN KEY (view_id) REFERENCES saved_views(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create ticket_links table (parent/child and related tickets, see services/ticketLinks.js).
+    // One row per pair of tickets; the link reads from ticket_id to linked_ticket_id.
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS ticket_links (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        ticket_id INT NOT NULL,
+        linked_ticket_id INT NOT NULL,
+        link_type ENUM('parent_of', 'child_of', 'related_to', 'duplicate_of', 'caused_by') NOT NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_ticket_link (ticket_id, linked_ticket_id),
+        INDEX idx_ticket_links_linked (linked_ticket_id),
+        FOREIGN KEY (ticket_id) REFERENCES tickets(id) ON DELETE CASCADE,
+        FOREIGN KEY (linked_ticket_id) REFERENCES tickets(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Create webhooks table (events is a comma-separated list, see services/webhooks.js)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        name VARCHAR(100) NOT NULL,
+        url VARCHAR(500) NOT NULL,
+        secret VARCHAR(255) NOT NULL,
+        events VARCHAR(500) NOT NULL,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Create webhook_deliveries table (one row per event sent to a webhook)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        webhook_id INT NOT NULL,
+        event_type VARCHAR(50) NOT NULL,
+        payload MEDIUMTEXT NOT NULL,
+        status ENUM('pending', 'success', 'failed') NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        response_status INT NULL,
+        response_body TEXT NULL,
+        error VARCHAR(255) NULL,
+        next_attempt_at DATETIME NULL,
+        delivered_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_webhook_deliveries_retry (status, next_attempt_at),
+        FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create sla_policies table (department NULL = default for all departments)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS sla_policies (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        priority ENUM('Low', 'Medium', 'High', 'Critical') NOT NULL,
+        department VARCHAR(100) NULL,
+        response_minutes INT NOT NULL,
+        resolution_minutes INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY priority_department (priority, department)
+      )
+    `);
+
+    // Seed default SLA policies if none exist
+    const [slaPolicies] = await connection.execute('SELECT id FROM sla_policies LIMIT 1');
+    if (slaPolicies.length === 0) {
+      await connection.execute(`
+        INSERT INTO sla_policies (priority, department, response_minutes, resolution_minutes) VALUES
+          ('Critical', NULL, 30, 240),
+          ('High', NULL, 60, 480),
+          ('Medium', NULL, 240, 1440),
+          ('Low', NULL, 480, 4320)
+      `);
+    }
+
+    // Backfill SLA data for tickets created before SLA tracking
+    await connection.execute(`
+      UPDATE tickets t SET
+        first_response_at = (
+          SELECT MIN(tu.created_at)
+          FROM ticket_updates tu
+          JOIN users u ON tu.user_id = u.id
+          WHERE tu.ticket_id = t.id AND u.role IN ('admin', 'it') AND tu.user_id != t.created_by
+        ),
+        resolved_at = IF(t.status IN ('Done', 'Closed'), (
+          SELECT MIN(tu.created_at)
+          FROM ticket_updates tu
+          WHERE tu.ticket_id = t.id AND tu.update_type = 'status_change' AND tu.new_value IN ('Done', 'Closed')
+        ), NULL)
+      WHERE t.resolve_due_at IS NULL
+    `);
+    await connection.execute(`
+      UPDATE tickets t
+      JOIN sla_policies p ON p.priority = t.priority AND p.department IS NULL
+      SET
+        t.response_due_at = DATE_ADD(t.created_at, INTERVAL p.response_minutes MINUTE),
+        t.resolve_due_at = DATE_ADD(t.created_at, INTERVAL p.resolution_minutes MINUTE)
+      WHERE t.resolve_due_at IS NULL
+    `);
+
     // Create default admin user if not exists
     const [adminUsers] = await connection.execute(
       'SELECT id FROM users WHERE role = "admin" LIMIT 1'
@@ -110,6 +467,7 @@ const initDatabase = async () => {
 };
 
 module.exports = {
+  EQUIPMENT_TYPES,
   pool,
   testConnection,
   initDatabase
@@ -0,0 +1,109 @@
+const fs = require('fs');
+require('dotenv').config();
+
+// Email notification templates.
+//
+// {{name}} placeholders are filled from the ticket and event, see
+// services/emailNotifications.js for the available variables. Set
+// EMAIL_TEMPLATES_CONFIG to a JSON file with the same shape to override
+// individual templates; missing keys fall back to these defaults.
+const defaultTemplates = {
+  created: {
+    subject: '[{{ticket_number}}] Ticket received: {{equipment_type}} ({{department}})',
+    text: [
+      'Hi {{recipient}},',
+      '',
+      'Ticket {{ticket_number}} was created by {{actor}}.',
+      '',
+      'Department: {{department}}',
+      'Equipment: {{equipment_type}}',
+      'Priority: {{priority}}',
+      '',
+      '{{problem_description}}',
+      '',
+      'View the ticket: {{ticket_url}}',
+      'Reply to this email to add a note.'
+    ].join('\n')
+  },
+  status_changed: {
+    subject: '[{{ticket_number}}] Status changed to {{new_status}}',
+    text: [
+      'Hi {{recipient}},',
+      '',
+      '{{actor}} changed ticket {{ticket_number}} from {{old_status}} to {{new_status}}.',
+      '{{notes}}',
+      '',
+      'View the ticket: {{ticket_url}}'
+    ].join('\n')
+  },
+  note_added: {
+    subject: '[{{ticket_number}}] New note from {{actor}}',
+    text: [
+      'Hi {{recipient}},',
+      '',
+      '{{actor}} added a note to ticket {{ticket_number}}:',
+      '',
+      '{{notes}}',
+      '',
+      'View the ticket: {{ticket_url}}',
+      'Reply to this email to add a note.'
+    ].join('\n')
+  },
+  assigned: {
+    subject: '[{{ticket_number}}] Assigned to {{assignee}}',
+    text: [
+      'Hi {{recipient}},',
+      '',
+      '{{actor}} assigned ticket {{ticket_number}} to {{assignee}}.',
+      '{{notes}}',
+      '',
+      'View the ticket: {{ticket_url}}'
+    ].join('\n')
+  },
+  // {{items}} is the list of digest_item entries
+  digest: {
+    subject: '{{count}} ticket update(s)',
+    text: [
+      'Hi {{recipient}},',
+      '',
+      'Here is what changed in the last hour:',
+      '',
+      '{{items}}',
+      '',
+      'Open the helpdesk: {{app_url}}'
+    ].join('\n')
+  },
+  digest_item: {
+    text: '- {{subject}}\n  {{ticket_url}}'
+  }
+};
+
+const loadTemplates = () => {
+  const configPath = process.env.EMAIL_TEMPLATES_CONFIG;
+  if (!configPath) return defaultTemplates;
+
+  try {
+    const overrides = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const merged = { ...defaultTemplates };
+    Object.keys(overrides).forEach(key => {
+      merged[key] = { ...defaultTemplates[key], ...overrides[key] };
+    });
+    return merged;
+  } catch (error) {
+    console.error(`Failed to load email templates from ${configPath}, using defaults:`, error.message);
+    return defaultTemplates;
+  }
+};
+
+const templates = loadTemplates();
+
+// Fill {{name}} placeholders; unknown names render as empty strings
+const render = (template, vars) => String(template || '').replace(
+  /\{\{\s*(\w+)\s*\}\}/g,
+  (match, name) => (vars[name] === null || vars[name] === undefined ? '' : String(vars[name]))
+);
+
+module.exports = {
+  templates,
+  render
+};
@@ -0,0 +1,66 @@
+const fs = require('fs');
+require('dotenv').config();
+
+// Ticket status workflow.
+//
+// Each transition lists the roles allowed to make the move. Besides the user
+// roles ('user', 'it', 'admin') the pseudo-role 'requester' matches the user
+// who created the ticket. Set WORKFLOW_CONFIG to a JSON file with the same
+// shape to replace the default table.
+const defaultTransitions = [
+  { from: 'Pending', to: 'In Progress', roles: ['admin', 'it'] },
+  { from: 'Pending', to: 'On Hold', roles: ['admin', 'it'], requiresNote: true },
+  { from: 'Pending', to: 'Done', roles: ['admin', 'it'] },
+
+  { from: 'In Progress', to: 'Pending', roles: ['admin', 'it'] },
+  { from: 'In Progress', to: 'On Hold', roles: ['admin', 'it'], requiresNote: true },
+  { from: 'In Progress', to: 'Done', roles: ['admin', 'it'] },
+
+  { from: 'On Hold', to: 'In Progress', roles: ['admin', 'it'] },
+  { from: 'On Hold', to: 'Done', roles: ['admin', 'it'] },
+
+  { from: 'Done', to: 'In Progress', roles: ['admin', 'it'] },
+  { from: 'Done', to: 'Closed', roles: ['requester', 'admin'] }
+];
+
+const loadTransitions = () => {
+  const configPath = process.env.WORKFLOW_CONFIG;
+  if (!configPath) return defaultTransitions;
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    console.error(`Failed to load workflow config from ${configPath}, using defaults:`, error.message);
+    return defaultTransitions;
+  }
+};
+
+const transitions = loadTransitions();
+
+const isAllowedFor = (transition, ticket, user) => (
+  transition.roles.includes(user.role) ||
+  (transition.roles.includes('requester') && Number(ticket.created_by) === Number(user.id))
+);
+
+// Next statuses the user may move this ticket to
+const getAllowedTransitions = (ticket, user) => transitions
+  .filter(t => t.from === ticket.status && isAllowedFor(t, ticket, user))
+  .map(t => ({ status: t.to, requiresNote: !!t.requiresNote }));
+
+// Look up a move; returns { allowed, requiresNote, allowedStatuses }
+const checkTransition = (ticket, user, toStatus) => {
+  const allowed = getAllowedTransitions(ticket, user);
+  const match = allowed.find(t => t.status === toStatus);
+
+  return {
+    allowed: !!match,
+    requiresNote: match ? match.requiresNote : false,
+    allowedStatuses: allowed.map(t => t.status)
+  };
+};
+
+module.exports = {
+  transitions,
+  getAllowedTransitions,
+  checkTransition
+};
@@ -2,14 +2,30 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const path = require('path');
 require('dotenv').config();
 
 const { testConnection, initDatabase } = require('./config/database');
+const { startAutoCloseJob } = require('./jobs/autoClose');
+const { startMailIngestJob } = require('./jobs/mailIngest');
+const { startEmailDigestJob } = require('./jobs/emailDigest');
+const { registerEmailNotifications } = require('./services/emailNotifications');
+const { registerInAppNotifications } = require('./services/inAppNotifications');
+const { registerRealtime } = require('./services/realtime');
+const { registerWebhooks } = require('./services/webhooks');
+const { startWebhookRetryJob } = require('./jobs/webhookRetry');
+const { startSlaBreachJob } = require('./jobs/slaBreach');
+const { registerChatOps } = require('./services/chatOps');
 const authRoutes = require('./routes/auth');
 const ticketRoutes = require('./routes/tickets');
 const userRoutes = require('./routes/users');
 const dashboardRoutes = require('./routes/dashboard');
+const slaRoutes = require('./routes/sla');
+const notificationRoutes = require('./routes/notifications');
+const eventRoutes = require('./routes/events');
+const webhookRoutes = require('./routes/webhooks');
+const chatRoutes = require('./routes/chat');
+const cannedResponseRoutes = require('./routes/cannedResponses');
+const viewRoutes = require('./routes/views');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -20,7 +36,9 @@ app.use(helmet());
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  // the live event stream is one long request per session, reconnected with backoff
+  skip: (req) => req.path === '/api/events'
 });
 app.use(limiter);
 
@@ -30,18 +48,24 @@ app.use(cors({
   credentials: true
 }));
 
+// Chat slash commands verify signatures over the raw body, so they parse it themselves
+app.use('/api/chat', chatRoutes);
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static files for uploaded images
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/tickets', ticketRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/sla', slaRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/canned-responses', cannedResponseRoutes);
+app.use('/api/views', viewRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -67,6 +91,16 @@ const startServer = async () => {
   try {
     await testConnection();
     await initDatabase();
+    startAutoCloseJob();
+    startMailIngestJob();
+    registerEmailNotifications();
+    registerInAppNotifications();
+    registerRealtime();
+    registerWebhooks();
+    startWebhookRetryJob();
+    registerChatOps();
+    startSlaBreachJob();
+    startEmailDigestJob();
     
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,66 @@
+const { pool } = require('../config/database');
+const sla = require('../services/sla');
+const { emitTicketEvent } = require('../services/events');
+
+// Close tickets that have been Done for AUTO_CLOSE_DAYS without the requester
+// confirming. Set AUTO_CLOSE_DAYS=0 to disable.
+const AUTO_CLOSE_DAYS = parseInt(process.env.AUTO_CLOSE_DAYS || '7', 10);
+const CHECK_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+const closeStaleDoneTickets = async () => {
+  // resolved_at is set when a ticket enters Done (see services/sla.js)
+  const [tickets] = await pool.execute(`
+    SELECT id
+    FROM tickets
+    WHERE status = 'Done'
+      AND COALESCE(resolved_at, updated_at) <= DATE_SUB(NOW(), INTERVAL ? DAY)
+  `, [AUTO_CLOSE_DAYS]);
+
+  let closed = 0;
+  for (const ticket of tickets) {
+    // Re-check the status so a concurrent requester action wins
+    const [result] = await pool.execute(
+      "UPDATE tickets SET status = 'Closed' WHERE id = ? AND status = 'Done'",
+      [ticket.id]
+    );
+    if (result.affectedRows === 0) continue;
+
+    // user_id NULL marks a system entry
+    await pool.execute(
+      'INSERT INTO ticket_updates (ticket_id, user_id, update_type, old_value, new_value, notes) VALUES (?, ?, ?, ?, ?, ?)',
+      [ticket.id, null, 'status_change', 'Done', 'Closed', `Automatically closed after ${AUTO_CLOSE_DAYS} days without requester confirmation`]
+    );
+
+    await sla.onStatusChange(pool, ticket.id, 'Done', 'Closed');
+    emitTicketEvent('status_changed', ticket.id, null, { oldStatus: 'Done', newStatus: 'Closed', notes: 'Closed automatically' });
+    closed += 1;
+  }
+
+  return closed;
+};
+
+const startAutoCloseJob = () => {
+  if (!AUTO_CLOSE_DAYS || AUTO_CLOSE_DAYS <= 0) {
+    console.log('Auto-close job disabled');
+    return null;
+  }
+
+  const run = async () => {
+    try {
+      const closed = await closeStaleDoneTickets();
+      if (closed > 0) {
+        console.log(`Auto-closed ${closed} ticket(s) left in Done for ${AUTO_CLOSE_DAYS}+ days`);
+      }
+    } catch (error) {
+      console.error('Auto-close job error:', error);
+    }
+  };
+
+  run();
+  return setInterval(run, CHECK_INTERVAL_MS);
+};
+
+module.exports = {
+  closeStaleDoneTickets,
+  startAutoCloseJob
+};
@@ -0,0 +1,23 @@
+const { sendDigests } = require('../services/emailNotifications');
+
+// Send queued notifications to users who chose the hourly digest
+const DIGEST_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+const startEmailDigestJob = () => {
+  const run = async () => {
+    try {
+      const sent = await sendDigests();
+      if (sent > 0) {
+        console.log(`Sent ${sent} notification digest(s)`);
+      }
+    } catch (error) {
+      console.error('Email digest job error:', error);
+    }
+  };
+
+  return setInterval(run, DIGEST_INTERVAL_MS);
+};
+
+module.exports = {
+  startEmailDigestJob
+};
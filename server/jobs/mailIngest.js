@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const { processMessage } = require('../services/inboundMail');
+
+// Poll a mailbox for helpdesk email. MAIL_INGEST_SOURCE picks where mail comes from:
+//   imap    - unseen messages in IMAP_MAILBOX; processed ones are marked \Seen
+//             (and \Flagged when they could not be turned into a ticket or note)
+//   maildir - new/ of MAILDIR_PATH; processed files move to cur/
+//   eml     - *.eml files in MAIL_DROP_DIR; moved to processed/ or failed/
+// Leave it unset to disable the worker.
+const SOURCE = (process.env.MAIL_INGEST_SOURCE || '').toLowerCase();
+const INTERVAL_MS = parseInt(process.env.MAIL_INGEST_INTERVAL_SECONDS || '60', 10) * 1000;
+
+const isFailure = (result) => result.status === 'rejected' || result.status === 'failed';
+
+const logResult = (label, result) => {
+  const detail = result.error ? `: ${result.error}` : '';
+  const ticket = result.ticketId ? ` (ticket ${result.ticketId})` : '';
+  console.log(`Inbound email ${label} -> ${result.status}${ticket}${detail}`);
+};
+
+const moveFile = (filePath, dir, name = path.basename(filePath)) => {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.renameSync(filePath, path.join(dir, name));
+};
+
+const pollImap = async () => {
+  // Loaded lazily so the other sources work without an IMAP client
+  const { ImapFlow } = require('imapflow');
+  const client = new ImapFlow({
+    host: process.env.IMAP_HOST,
+    port: parseInt(process.env.IMAP_PORT || '993', 10),
+    secure: process.env.IMAP_SECURE !== 'false',
+    auth: { user: process.env.IMAP_USER, pass: process.env.IMAP_PASS },
+    logger: false
+  });
+
+  let count = 0;
+  await client.connect();
+  const lock = await client.getMailboxLock(process.env.IMAP_MAILBOX || 'INBOX');
+  try {
+    const uids = await client.search({ seen: false }, { uid: true });
+    for (const uid of uids || []) {
+      const message = await client.fetchOne(uid, { source: true }, { uid: true });
+      const result = await processMessage(message.source);
+      logResult(`imap uid ${uid}`, result);
+
+      const flags = isFailure(result) ? ['\\Seen', '\\Flagged'] : ['\\Seen'];
+      await client.messageFlagsAdd(uid, flags, { uid: true });
+      count += 1;
+    }
+  } finally {
+    lock.release();
+    await client.logout();
+  }
+  return count;
+};
+
+const pollMaildir = async () => {
+  const root = process.env.MAILDIR_PATH;
+  const newDir = path.join(root, 'new');
+  if (!fs.existsSync(newDir)) return 0;
+
+  let count = 0;
+  for (const name of fs.readdirSync(newDir).sort()) {
+    const filePath = path.join(newDir, name);
+    const result = await processMessage(fs.readFileSync(filePath));
+    logResult(`maildir ${name}`, result);
+
+    // Maildir info suffix: S = seen, F = flagged
+    moveFile(filePath, path.join(root, 'cur'), `${name}:2,${isFailure(result) ? 'FS' : 'S'}`);
+    count += 1;
+  }
+  return count;
+};
+
+const pollDropFolder = async () => {
+  const root = process.env.MAIL_DROP_DIR;
+  if (!root || !fs.existsSync(root)) return 0;
+
+  let count = 0;
+  const files = fs.readdirSync(root).filter(name => name.toLowerCase().endsWith('.eml')).sort();
+  for (const name of files) {
+    const filePath = path.join(root, name);
+    const result = await processMessage(fs.readFileSync(filePath));
+    logResult(name, result);
+
+    moveFile(filePath, path.join(root, isFailure(result) ? 'failed' : 'processed'));
+    count += 1;
+  }
+  return count;
+};
+
+const SOURCES = {
+  imap: pollImap,
+  maildir: pollMaildir,
+  eml: pollDropFolder
+};
+
+// Process everything currently waiting in the configured source
+const pollMailbox = async (source = SOURCE) => {
+  const poll = SOURCES[source];
+  if (!poll) {
+    throw new Error(`Unknown MAIL_INGEST_SOURCE "${source}" (expected one of: ${Object.keys(SOURCES).join(', ')})`);
+  }
+  return poll();
+};
+
+const startMailIngestJob = () => {
+  if (!SOURCE) {
+    console.log('Mail ingestion disabled');
+    return null;
+  }
+
+  let running = false;
+  const run = async () => {
+    // a slow IMAP server must not stack up overlapping polls
+    if (running) return;
+    running = true;
+    try {
+      await pollMailbox();
+    } catch (error) {
+      console.error('Mail ingestion error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  return setInterval(run, INTERVAL_MS);
+};
+
+module.exports = {
+  pollMailbox,
+  startMailIngestJob
+};
@@ -0,0 +1,66 @@
+const { pool } = require('../config/database');
+const { emitTicketEvent } = require('../services/events');
+
+// Announce SLA breaches: emits 'sla_breached' once per deadline when an open
+// ticket passes its response or resolution target. The clock stops while a
+// ticket is On Hold, matching services/sla.js.
+const CHECK_INTERVAL_MS = parseInt(process.env.SLA_BREACH_CHECK_SECONDS || '60', 10) * 1000;
+
+const BREACHES = [
+  { kind: 'response', dueColumn: 'response_due_at', notifiedColumn: 'response_breach_notified_at', doneColumn: 'first_response_at' },
+  { kind: 'resolution', dueColumn: 'resolve_due_at', notifiedColumn: 'resolve_breach_notified_at', doneColumn: 'resolved_at' }
+];
+
+const announceBreaches = async () => {
+  let announced = 0;
+  for (const breach of BREACHES) {
+    const [tickets] = await pool.execute(`
+      SELECT id, ${breach.dueColumn} as due_at
+      FROM tickets
+      WHERE status NOT IN ('Done', 'Closed')
+        AND ${breach.dueColumn} IS NOT NULL
+        AND ${breach.doneColumn} IS NULL
+        AND ${breach.notifiedColumn} IS NULL
+        AND COALESCE(sla_paused_at, NOW()) > ${breach.dueColumn}
+    `);
+
+    for (const ticket of tickets) {
+      // Claim the breach so a second server instance does not announce it too
+      const [result] = await pool.execute(
+        `UPDATE tickets SET ${breach.notifiedColumn} = NOW() WHERE id = ? AND ${breach.notifiedColumn} IS NULL`,
+        [ticket.id]
+      );
+      if (result.affectedRows === 0) continue;
+
+      emitTicketEvent('sla_breached', ticket.id, null, { breach: breach.kind, dueAt: ticket.due_at });
+      announced += 1;
+    }
+  }
+  return announced;
+};
+
+const startSlaBreachJob = () => {
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const announced = await announceBreaches();
+      if (announced > 0) {
+        console.log(`Announced ${announced} SLA breach(es)`);
+      }
+    } catch (error) {
+      console.error('SLA breach job error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  return setInterval(run, CHECK_INTERVAL_MS);
+};
+
+module.exports = {
+  announceBreaches,
+  startSlaBreachJob
+};
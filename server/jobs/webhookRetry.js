@@ -0,0 +1,26 @@
+const { retryDueDeliveries } = require('../services/webhooks');
+
+// Retry failed webhook deliveries once their backoff has elapsed
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+const startWebhookRetryJob = () => {
+  let running = false;
+  const run = async () => {
+    // slow endpoints must not stack up overlapping runs
+    if (running) return;
+    running = true;
+    try {
+      await retryDueDeliveries();
+    } catch (error) {
+      console.error('Webhook retry job error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  return setInterval(run, CHECK_INTERVAL_MS);
+};
+
+module.exports = {
+  startWebhookRetryJob
+};
@@ -0,0 +1,80 @@
+const multer = require('multer');
+const path = require('path');
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB per file
+const MAX_FILES = 10;
+
+// Screenshots/photos, PDFs, log files and text crash dumps
+const ALLOWED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.pdf', '.txt', '.log', '.dmp'];
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+
+// Content types stored for the other files; images get theirs from services/images.js
+const FILE_MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.dmp': 'application/octet-stream'
+};
+
+const isImageFileName = (originalName) => IMAGE_EXTENSIONS.includes(path.extname(originalName).toLowerCase());
+
+// Content type for a non-image file by its extension (the client's is not trusted)
+const fileMimeType = (originalName) => (
+  FILE_MIME_TYPES[path.extname(originalName).toLowerCase()] || 'application/octet-stream'
+);
+
+// Returns an error message for files we do not accept, or null.
+// Also used for files that arrive outside multer (e.g. email attachments).
+const checkFile = (originalName, mimeType) => {
+  const extname = path.extname(originalName).toLowerCase();
+
+  if (!ALLOWED_EXTENSIONS.includes(extname)) {
+    return 'Only images, PDFs, .txt, .log and .dmp files are allowed!';
+  }
+
+  // Images must also be sent as images
+  if (IMAGE_EXTENSIONS.includes(extname) && !String(mimeType).startsWith('image/')) {
+    return 'Invalid image file!';
+  }
+
+  return null;
+};
+
+// Files are held in memory and written to the storage backend
+// (see storage/index.js) only once the request has been validated
+const storage = multer.memoryStorage();
+
+const upload = multer({
+  storage: storage,
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    const error = checkFile(file.originalname, file.mimetype);
+    cb(error ? new Error(error) : null, !error);
+  }
+});
+
+// Run a multer middleware and turn its errors into 400 responses
+const handleUpload = (uploader) => (req, res, next) => {
+  uploader(req, res, (err) => {
+    if (!err) return next();
+
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ message: `Files must be ${MAX_FILE_SIZE / (1024 * 1024)}MB or smaller` });
+    }
+    if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ message: `You can upload up to ${MAX_FILES} files at a time` });
+    }
+
+    res.status(400).json({ message: err.message });
+  });
+};
+
+module.exports = {
+  MAX_FILE_SIZE,
+  MAX_FILES,
+  checkFile,
+  isImageFileName,
+  fileMimeType,
+  upload,
+  handleUpload
+};
@@ -0,0 +1,195 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { auth, requireUser } = require('../middleware/auth');
+const { upload, handleUpload, MAX_FILES } = require('../middleware/upload');
+const attachments = require('../services/attachments');
+const watchers = require('../services/watchers');
+const images = require('../services/images');
+
+// Mounted at /api/tickets/:id/attachments
+const router = express.Router({ mergeParams: true });
+
+// Verify ticket exists and user has access (same rules as GET /api/tickets/:id).
+// Watchers may read attachments; only the requester and IT change them.
+const findTicket = async (id, user, { allowWatchers = false } = {}) => {
+  let query = 'SELECT id, status, created_by FROM tickets WHERE id = ?';
+  const queryParams = [id];
+
+  if (user.role === 'user' && allowWatchers) {
+    query += ` AND ${watchers.accessCondition()}`;
+    queryParams.push(user.id, user.id);
+  } else if (user.role === 'user') {
+    query += ' AND created_by = ?';
+    queryParams.push(user.id);
+  }
+
+  const [tickets] = await pool.execute(query, queryParams);
+  return tickets[0] || null;
+};
+
+// List attachments for a ticket
+router.get('/', auth, requireUser, async (req, res) => {
+  try {
+    const ticket = await findTicket(req.params.id, req.user, { allowWatchers: true });
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found' });
+    }
+
+    res.json({ attachments: await attachments.listAttachments(pool, ticket.id) });
+  } catch (error) {
+    console.error('List attachments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Content-Disposition with an ASCII fallback and the UTF-8 original name
+const contentDisposition = (type, fileName) => {
+  const fallback = String(fileName).replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+// Accept a valid signed link (?expires=&sig=) in place of the Authorization header.
+// Signed links are only issued to users who could already see the ticket.
+const authOrSignedUrl = (req, res, next) => {
+  const { expires, sig } = req.query;
+  if (sig && attachments.verifyAttachmentSignature(req.params.id, req.params.attachmentId, expires, sig)) {
+    req.signedUrl = true;
+    return next();
+  }
+  if (sig) {
+    return res.status(403).json({ message: 'Download link is invalid or has expired' });
+  }
+  auth(req, res, () => requireUser(req, res, next));
+};
+
+// Download / view a single attachment
+router.get('/:attachmentId', authOrSignedUrl, async (req, res) => {
+  try {
+    if (!req.signedUrl) {
+      const ticket = await findTicket(req.params.id, req.user, { allowWatchers: true });
+      if (!ticket) {
+        return res.status(404).json({ message: 'Ticket not found' });
+      }
+    }
+
+    let attachment;
+    if (req.params.attachmentId === attachments.LEGACY_PHOTO_ID) {
+      attachment = await attachments.findLegacyPhoto(pool, req.params.id);
+    } else {
+      const [rows] = await pool.execute(
+        'SELECT * FROM ticket_attachments WHERE id = ? AND ticket_id = ?',
+        [req.params.attachmentId, req.params.id]
+      );
+      attachment = rows[0];
+    }
+
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    // ?variant=thumb|preview serves the resized copy of an image
+    const variant = ['thumb', 'preview'].includes(req.query.variant) ? req.query.variant : null;
+    const file = await attachments.openAttachment(attachment, variant);
+    if (!file) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    // Images we process and PDFs open in the browser unless ?download=1; everything
+    // else (including any other image/* type stored by older versions) downloads
+    const inline = !req.query.download &&
+      (images.isProcessableImage(attachment.mime_type) || attachment.mime_type === 'application/pdf');
+
+    res.setHeader('Content-Type', file.mimeType);
+    if (file.size !== undefined) {
+      res.setHeader('Content-Length', file.size);
+    }
+    res.setHeader('Content-Disposition', contentDisposition(inline ? 'inline' : 'attachment', attachment.original_name));
+    res.setHeader('Cache-Control', 'private, max-age=300');
+
+    file.stream
+      .on('error', (error) => {
+        console.error('Stream attachment error:', error);
+        res.destroy(error);
+      })
+      .pipe(res);
+  } catch (error) {
+    console.error('Get attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add attachments to an existing ticket (requester or IT)
+router.post('/', [
+  auth,
+  requireUser,
+  handleUpload(upload.array('attachments', MAX_FILES))
+], async (req, res) => {
+  const files = req.files || [];
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'No files uploaded' });
+    }
+
+    const ticket = await findTicket(req.params.id, req.user);
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found' });
+    }
+
+    // Prevent modifications to closed tickets
+    if (ticket.status === 'Closed') {
+      return res.status(400).json({ message: 'Cannot modify a closed ticket' });
+    }
+
+    const saved = await attachments.saveAttachments(pool, ticket.id, req.user.id, files);
+
+    res.status(201).json({
+      message: `${saved.length} file(s) attached successfully`,
+      attachments: saved
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_IMAGE') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Add attachments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete an attachment (uploader, or admin/IT)
+router.delete('/:attachmentId', auth, requireUser, async (req, res) => {
+  try {
+    const ticket = await findTicket(req.params.id, req.user);
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found' });
+    }
+
+    // Prevent modifications to closed tickets
+    if (ticket.status === 'Closed') {
+      return res.status(400).json({ message: 'Cannot modify a closed ticket' });
+    }
+
+    const [rows] = await pool.execute(
+      'SELECT id, file_name, thumbnail_name, preview_name, storage, uploaded_by FROM ticket_attachments WHERE id = ? AND ticket_id = ?',
+      [req.params.attachmentId, ticket.id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const isStaff = req.user.role === 'admin' || req.user.role === 'it';
+    if (!isStaff && rows[0].uploaded_by !== req.user.id) {
+      return res.status(403).json({ message: 'You can only delete files you uploaded' });
+    }
+
+    await pool.execute('DELETE FROM ticket_attachments WHERE id = ?', [rows[0].id]);
+    await attachments.removeAttachmentFile(rows[0]);
+
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const { pool } = require('../config/database');
 const { auth, requireAdmin } = require('../middleware/auth');
+const emailNotifications = require('../services/emailNotifications');
 
 const router = express.Router();
 
@@ -179,4 +180,43 @@ router.put('/change-password', [
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+// Get email notification preferences
+router.get('/notification-preferences', auth, async (req, res) => {
+  try {
+    const preferences = await emailNotifications.getPreferences(pool, req.user.id);
+    res.json({ preferences });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update email notification preferences (only the fields sent are changed)
+router.put('/notification-preferences', [
+  auth,
+  ...Object.keys(emailNotifications.DEFAULT_PREFERENCES).map(key => (
+    body(key).optional().isBoolean().withMessage(`${key} must be true or false`)
+  ))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const changes = {};
+    Object.keys(emailNotifications.DEFAULT_PREFERENCES).forEach(key => {
+      if (req.body[key] !== undefined) {
+        changes[key] = req.body[key] === true || req.body[key] === 'true';
+      }
+    });
+
+    const preferences = await emailNotifications.savePreferences(pool, req.user.id, changes);
+    res.json({ message: 'Notification preferences updated', preferences });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { auth, requireAdmin } = require('../middleware/auth');
+const { render } = require('../config/emailTemplates');
+
+const router = express.Router();
+
+// Placeholders a canned response may use, filled in from the ticket on insert
+const VARIABLES = ['requester', 'ticket_number', 'department', 'equipment_type', 'status', 'priority', 'assignee', 'agent'];
+
+const cannedResponseValidators = [
+  body('title').trim().notEmpty().withMessage('Title is required').isLength({ max: 100 }),
+  body('body').trim().notEmpty().withMessage('Text is required'),
+  body('scope').isIn(['personal', 'team']).withMessage('Scope must be personal or team')
+];
+
+// Team responses are shared with all IT staff; personal ones only with their owner
+const findVisible = async (id, user) => {
+  const [rows] = await pool.execute(`
+    SELECT cr.*, u.username as owner_name
+    FROM canned_responses cr
+    LEFT JOIN users u ON cr.owner_id = u.id
+    WHERE cr.id = ? AND (cr.scope = 'team' OR cr.owner_id = ?)
+  `, [id, user.id]);
+  return rows[0] || null;
+};
+
+// Owners manage their responses; admins may also manage team responses
+const canManage = (response, user) => (
+  Number(response.owner_id) === Number(user.id) ||
+  (response.scope === 'team' && user.role === 'admin')
+);
+
+// Get team responses plus your own personal ones (admin/IT only)
+router.get('/', auth, requireAdmin, async (req, res) => {
+  try {
+    const [responses] = await pool.execute(`
+      SELECT cr.id, cr.title, cr.body, cr.scope, cr.owner_id, u.username as owner_name, cr.updated_at
+      FROM canned_responses cr
+      LEFT JOIN users u ON cr.owner_id = u.id
+      WHERE cr.scope = 'team' OR cr.owner_id = ?
+      ORDER BY cr.scope = 'team', cr.title
+    `, [req.user.id]);
+
+    res.json({
+      responses: responses.map(response => ({ ...response, can_edit: canManage(response, req.user) })),
+      variables: VARIABLES
+    });
+  } catch (error) {
+    console.error('Get canned responses error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create canned response (admin/IT only)
+router.post('/', [auth, requireAdmin, ...cannedResponseValidators], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { title, body: text, scope } = req.body;
+    const [result] = await pool.execute(
+      'INSERT INTO canned_responses (title, body, scope, owner_id) VALUES (?, ?, ?, ?)',
+      [title, text, scope, req.user.id]
+    );
+
+    res.status(201).json({
+      message: 'Canned response created successfully',
+      response: await findVisible(result.insertId, req.user)
+    });
+  } catch (error) {
+    console.error('Create canned response error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update canned response (owner, or admin for team responses)
+router.put('/:id', [auth, requireAdmin, ...cannedResponseValidators], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const response = await findVisible(req.params.id, req.user);
+    if (!response) {
+      return res.status(404).json({ message: 'Canned response not found' });
+    }
+    if (!canManage(response, req.user)) {
+      return res.status(403).json({ message: 'You can only edit your own canned responses' });
+    }
+
+    const { title, body: text, scope } = req.body;
+    await pool.execute(
+      'UPDATE canned_responses SET title = ?, body = ?, scope = ? WHERE id = ?',
+      [title, text, scope, response.id]
+    );
+
+    res.json({
+      message: 'Canned response updated successfully',
+      response: await findVisible(response.id, req.user)
+    });
+  } catch (error) {
+    console.error('Update canned response error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete canned response (owner, or admin for team responses)
+router.delete('/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const response = await findVisible(req.params.id, req.user);
+    if (!response) {
+      return res.status(404).json({ message: 'Canned response not found' });
+    }
+    if (!canManage(response, req.user)) {
+      return res.status(403).json({ message: 'You can only delete your own canned responses' });
+    }
+
+    await pool.execute('DELETE FROM canned_responses WHERE id = ?', [response.id]);
+
+    res.json({ message: 'Canned response deleted successfully' });
+  } catch (error) {
+    console.error('Delete canned response error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Canned response text with the variables filled in for a ticket (admin/IT only)
+router.get('/:id/render', auth, requireAdmin, async (req, res) => {
+  try {
+    const response = await findVisible(req.params.id, req.user);
+    if (!response) {
+      return res.status(404).json({ message: 'Canned response not found' });
+    }
+
+    const [tickets] = await pool.execute(`
+      SELECT t.ticket_number, t.department, t.equipment_type, t.status, t.priority,
+        u.username as requester, a.username as assignee
+      FROM tickets t
+      LEFT JOIN users u ON t.created_by = u.id
+      LEFT JOIN users a ON t.assigned_to = a.id
+      WHERE t.id = ?
+    `, [req.query.ticket_id]);
+    if (tickets.length === 0) {
+      return res.status(404).json({ message: 'Ticket not found' });
+    }
+
+    const vars = {
+      ...tickets[0],
+      assignee: tickets[0].assignee || 'Unassigned',
+      agent: req.user.username
+    };
+
+    res.json({ text: render(response.body, vars) });
+  } catch (error) {
+    console.error('Render canned response error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
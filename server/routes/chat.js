@@ -0,0 +1,40 @@
+const express = require('express');
+const chatOps = require('../services/chatOps');
+
+// Mounted at /api/chat ahead of the global body parsers: Slack signatures are
+// computed over the raw request body, so this router parses it itself.
+const router = express.Router();
+
+const parseCommandBody = express.urlencoded({
+  extended: false,
+  limit: '100kb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+});
+
+// Slash command endpoint (/ticket ...) for Slack or Mattermost
+router.post('/command', parseCommandBody, async (req, res) => {
+  try {
+    if (!chatOps.isCommandEnabled()) {
+      return res.status(404).json({ message: 'Chat commands are not configured' });
+    }
+
+    const verified = chatOps.verifyCommandRequest({
+      headers: req.headers,
+      rawBody: req.rawBody || '',
+      body: req.body || {}
+    });
+    if (!verified) {
+      return res.status(401).json({ message: 'Invalid request signature' });
+    }
+
+    res.json(await chatOps.handleCommand(req.body));
+  } catch (error) {
+    console.error('Chat command error:', error);
+    // Chat servers show the body to the user, so answer in their format
+    res.json({ response_type: 'ephemeral', text: 'Something went wrong, please try again later.' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { pool } = require('../config/database');
 const { auth, requireAdmin } = require('../middleware/auth');
+const { computeTicketMetrics, computeRecentResolution, monthRange } = require('../services/metrics');
 
 const router = express.Router();
 
@@ -31,23 +32,19 @@ router.get('/stats', auth, requireAdmin, async (req, res) => {
       WHERE created_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)
     `);
     
-    // Average resolution time (for completed tickets)
-    const [avgResolution] = await pool.execute(`
-      SELECT AVG(TIMESTAMPDIFF(HOUR, created_at, updated_at)) as avg_hours
-      FROM tickets 
-      WHERE status IN ('Done', 'Closed')
-    `);
-
-    // Ensure avgResolutionHours is a valid number
-    const avgHours = avgResolution[0].avg_hours;
-    const avgResolutionHours = avgHours !== null && !isNaN(avgHours) ? parseFloat(avgHours) : null;
+    // Resolution times of recent tickets (updated_at changes on any edit, so
+    // these come from the stored first_response_at/resolved_at)
+    const metrics = await computeRecentResolution(pool);
 
     res.json({
       totalTickets: totalTickets[0].total,
       statusStats,
       departmentStats,
       recentTickets: recentTickets[0].count,
-      avgResolutionHours
+      avgResolutionHours: metrics.timeToDone.mean,
+      resolution: metrics.timeToDone,
+      firstResponse: metrics.firstResponse,
+      resolutionWindowDays: metrics.days
     });
   } catch (error) {
     console.error('Dashboard stats error:', error);
@@ -132,10 +129,22 @@ router.get('/report/monthly', auth, requireAdmin, async (req, res) => {
       GROUP BY equipment_type
     `, [targetMonth, targetYear]);
 
+    // Quality: share of this month's tickets that had to be reopened
+    const reopenedTickets = monthlyTickets.filter(t => t.reopen_count > 0).length;
+    const totalReopens = monthlyTickets.reduce((sum, t) => sum + (t.reopen_count || 0), 0);
+    const reopenRate = monthlyTickets.length > 0
+      ? Math.round((reopenedTickets / monthlyTickets.length) * 1000) / 10
+      : null;
+
     res.json({
       period: { month: targetMonth, year: targetYear },
       totalTickets: monthlyTickets.length,
       tickets: monthlyTickets,
+      reopenStats: {
+        reopenedTickets,
+        totalReopens,
+        reopenRate
+      },
       statusBreakdown,
       departmentBreakdown,
       equipmentBreakdown
@@ -146,6 +155,92 @@ router.get('/report/monthly', auth, requireAdmin, async (req, res) => {
   }
 });
 
+// Timing metrics (first response, time in status, on-hold, time-to-Done)
+// for tickets created in ?month=&year= (default: the current month)
+router.get('/metrics', auth, requireAdmin, async (req, res) => {
+  try {
+    const month = parseInt(req.query.month, 10) || new Date().getMonth() + 1;
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+    if (month < 1 || month > 12) {
+      return res.status(400).json({ message: 'Invalid month' });
+    }
+
+    const metrics = await computeTicketMetrics(pool, monthRange(month, year));
+
+    res.json({
+      period: { month, year },
+      ...metrics
+    });
+  } catch (error) {
+    console.error('Ticket metrics error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// SLA compliance report for tickets created in a month
+router.get('/report/sla', auth, requireAdmin, async (req, res) => {
+  try {
+    const { month, year } = req.query;
+    const targetMonth = month || new Date().getMonth() + 1;
+    const targetYear = year || new Date().getFullYear();
+
+    // Open tickets are measured against "now", or the start of their hold if On Hold
+    const [byPriority] = await pool.execute(`
+      SELECT
+        priority,
+        COUNT(*) as total,
+        SUM(first_response_at IS NOT NULL AND first_response_at <= response_due_at) as response_met,
+        SUM(COALESCE(first_response_at, sla_paused_at, NOW()) > response_due_at) as response_breached,
+        SUM(resolved_at IS NOT NULL AND resolved_at <= resolve_due_at) as resolution_met,
+        SUM(COALESCE(resolved_at, sla_paused_at, NOW()) > resolve_due_at) as resolution_breached
+      FROM tickets
+      WHERE MONTH(created_at) = ? AND YEAR(created_at) = ? AND resolve_due_at IS NOT NULL
+      GROUP BY priority
+      ORDER BY FIELD(priority, 'Critical', 'High', 'Medium', 'Low')
+    `, [targetMonth, targetYear]);
+
+    const breakdown = byPriority.map(row => ({
+      priority: row.priority,
+      total: Number(row.total),
+      responseMet: Number(row.response_met),
+      responseBreached: Number(row.response_breached),
+      resolutionMet: Number(row.resolution_met),
+      resolutionBreached: Number(row.resolution_breached)
+    }));
+
+    const totals = breakdown.reduce((acc, row) => ({
+      total: acc.total + row.total,
+      responseBreached: acc.responseBreached + row.responseBreached,
+      resolutionBreached: acc.resolutionBreached + row.resolutionBreached
+    }), { total: 0, responseBreached: 0, resolutionBreached: 0 });
+
+    const percent = (breached) => (totals.total > 0
+      ? Math.round(((totals.total - breached) / totals.total) * 1000) / 10
+      : null);
+
+    // Currently open tickets already past their resolution deadline
+    const [openBreaches] = await pool.execute(`
+      SELECT id, ticket_number, priority, department, status, resolve_due_at
+      FROM tickets
+      WHERE status NOT IN ('Done', 'Closed') AND COALESCE(sla_paused_at, NOW()) > resolve_due_at
+      ORDER BY resolve_due_at ASC
+      LIMIT 20
+    `);
+
+    res.json({
+      period: { month: targetMonth, year: targetYear },
+      totalTickets: totals.total,
+      responseCompliance: percent(totals.responseBreached),
+      resolutionCompliance: percent(totals.resolutionBreached),
+      byPriority: breakdown,
+      openBreaches
+    });
+  } catch (error) {
+    console.error('SLA report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get tickets assigned to current user
 router.get('/my-tickets', auth, requireAdmin, async (req, res) => {
   try {
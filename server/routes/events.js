@@ -0,0 +1,13 @@
+const express = require('express');
+const { auth, requireUser } = require('../middleware/auth');
+const realtime = require('../services/realtime');
+
+const router = express.Router();
+
+// Live ticket events as a Server-Sent Events stream. Clients send the usual
+// Authorization header (fetch-based reader; see client/src/contexts/RealtimeContext.js).
+router.get('/', auth, requireUser, (req, res) => {
+  realtime.addClient(req, res);
+});
+
+module.exports = router;
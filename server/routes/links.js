@@ -0,0 +1,101 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { auth, requireAdmin, requireUser } = require('../middleware/auth');
+const watchers = require('../services/watchers');
+const ticketLinks = require('../services/ticketLinks');
+
+// Mounted at /api/tickets/:id/links
+const router = express.Router({ mergeParams: true });
+
+const findTicket = async (id) => {
+  const [tickets] = await pool.execute(
+    'SELECT id, ticket_number, status, created_by FROM tickets WHERE id = ?',
+    [id]
+  );
+  return tickets[0] || null;
+};
+
+// List linked tickets (anyone who can read the ticket)
+router.get('/', auth, requireUser, async (req, res) => {
+  try {
+    const ticket = await findTicket(req.params.id);
+    if (!ticket || !(await watchers.canAccess(pool, ticket, req.user))) {
+      return res.status(404).json({ message: 'Ticket not found' });
+    }
+
+    res.json({ links: await ticketLinks.listLinks(pool, ticket.id, req.user) });
+  } catch (error) {
+    console.error('List links error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Link another ticket (admin/IT). ticket is its number or id; type reads from
+// this ticket, e.g. type child_of makes this ticket a child of the other one.
+router.post('/', [
+  auth,
+  requireAdmin,
+  body('ticket').trim().notEmpty().withMessage('Ticket to link is required'),
+  body('type').isIn(ticketLinks.LINK_TYPES).withMessage('Invalid link type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ticket = await findTicket(req.params.id);
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found' });
+    }
+
+    const other = String(req.body.ticket).trim();
+    const byId = /^\d+$/.test(other);
+    const [others] = await pool.execute(
+      `SELECT id, ticket_number FROM tickets WHERE ${byId ? 'id' : 'ticket_number'} = ?`,
+      [byId ? Number(other) : other.toUpperCase()]
+    );
+    if (others.length === 0) {
+      return res.status(404).json({ message: `Ticket ${other} not found` });
+    }
+
+    await ticketLinks.addLink(ticket, others[0], req.body.type, req.user);
+
+    res.status(201).json({
+      message: `Linked to ${others[0].ticket_number}`,
+      links: await ticketLinks.listLinks(pool, ticket.id, req.user)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Add link error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a link (admin/IT)
+router.delete('/:linkId', auth, requireAdmin, async (req, res) => {
+  try {
+    const ticket = await findTicket(req.params.id);
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found' });
+    }
+
+    const removed = await ticketLinks.removeLink(ticket.id, req.params.linkId, req.user);
+    if (!removed) {
+      return res.status(404).json({ message: 'Link not found' });
+    }
+
+    res.json({
+      message: 'Link removed',
+      links: await ticketLinks.listLinks(pool, ticket.id, req.user)
+    });
+  } catch (error) {
+    console.error('Remove link error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const countUnread = async (userId) => {
+  const [rows] = await pool.execute(
+    'SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND read_at IS NULL',
+    [userId]
+  );
+  return rows[0].count;
+};
+
+// List your notifications, newest first (?unread=true for unread only)
+router.get('/', auth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const unreadOnly = req.query.unread === 'true';
+
+    const [notifications] = await pool.execute(`
+      SELECT n.id, n.ticket_id, n.type, n.message, n.read_at, n.created_at,
+        t.ticket_number, a.username as actor_name
+      FROM notifications n
+      JOIN tickets t ON n.ticket_id = t.id
+      LEFT JOIN users a ON n.actor_id = a.id
+      WHERE n.user_id = ? ${unreadOnly ? 'AND n.read_at IS NULL' : ''}
+      ORDER BY n.created_at DESC, n.id DESC
+      LIMIT ?
+    `, [req.user.id, limit]);
+
+    res.json({
+      notifications,
+      unreadCount: await countUnread(req.user.id)
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unread count for the header badge
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    res.json({ unreadCount: await countUnread(req.user.id) });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark all of your notifications as read
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    await pool.execute(
+      'UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({ message: 'All notifications marked as read', unreadCount: 0 });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark one notification as read
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      'UPDATE notifications SET read_at = COALESCE(read_at, NOW()) WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification marked as read', unreadCount: await countUnread(req.user.id) });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
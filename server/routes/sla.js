@@ -0,0 +1,126 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { auth, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+const PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+// Get all SLA policies (admin/IT only)
+router.get('/policies', auth, requireAdmin, async (req, res) => {
+  try {
+    const [policies] = await pool.execute(`
+      SELECT id, priority, department, response_minutes, resolution_minutes, updated_at
+      FROM sla_policies
+      ORDER BY department IS NOT NULL, department, FIELD(priority, 'Critical', 'High', 'Medium', 'Low')
+    `);
+
+    res.json({ policies });
+  } catch (error) {
+    console.error('Get SLA policies error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create SLA policy (admin/IT only)
+router.post('/policies', [
+  auth,
+  requireAdmin,
+  body('priority').isIn(PRIORITIES).withMessage('Invalid priority'),
+  body('department').optional({ nullable: true }).isString().trim(),
+  body('response_minutes').isInt({ min: 1 }).withMessage('Response target must be a positive number of minutes'),
+  body('resolution_minutes').isInt({ min: 1 }).withMessage('Resolution target must be a positive number of minutes')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { priority, response_minutes, resolution_minutes } = req.body;
+    // empty department = default policy for all departments
+    const department = req.body.department || null;
+
+    // UNIQUE(priority, department) does not catch duplicate NULL departments
+    const [existing] = await pool.execute(
+      'SELECT id FROM sla_policies WHERE priority = ? AND department <=> ?',
+      [priority, department]
+    );
+    if (existing.length > 0) {
+      return res.status(400).json({ message: 'A policy for this priority and department already exists' });
+    }
+
+    const [result] = await pool.execute(
+      'INSERT INTO sla_policies (priority, department, response_minutes, resolution_minutes) VALUES (?, ?, ?, ?)',
+      [priority, department, response_minutes, resolution_minutes]
+    );
+
+    res.status(201).json({
+      message: 'SLA policy created successfully',
+      policy: {
+        id: result.insertId,
+        priority,
+        department,
+        response_minutes: Number(response_minutes),
+        resolution_minutes: Number(resolution_minutes)
+      }
+    });
+  } catch (error) {
+    console.error('Create SLA policy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update SLA policy targets (admin/IT only)
+router.put('/policies/:id', [
+  auth,
+  requireAdmin,
+  body('response_minutes').isInt({ min: 1 }).withMessage('Response target must be a positive number of minutes'),
+  body('resolution_minutes').isInt({ min: 1 }).withMessage('Resolution target must be a positive number of minutes')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { response_minutes, resolution_minutes } = req.body;
+
+    const [result] = await pool.execute(
+      'UPDATE sla_policies SET response_minutes = ?, resolution_minutes = ? WHERE id = ?',
+      [response_minutes, resolution_minutes, id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'SLA policy not found' });
+    }
+
+    // Existing tickets keep the deadlines they were given
+    res.json({ message: 'SLA policy updated successfully' });
+  } catch (error) {
+    console.error('Update SLA policy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete SLA policy (admin/IT only)
+router.delete('/policies/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [result] = await pool.execute('DELETE FROM sla_policies WHERE id = ?', [id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'SLA policy not found' });
+    }
+
+    res.json({ message: 'SLA policy deleted successfully' });
+  } catch (error) {
+    console.error('Delete SLA policy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,57 +1,68 @@
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const { body, validationResult } = require('express-validator');
 const { pool } = require('../config/database');
 const { auth, requireUser, requireAdmin } = require('../middleware/auth');
+const { upload, handleUpload, MAX_FILES } = require('../middleware/upload');
+const sla = require('../services/sla');
+const workflow = require('../config/workflow');
+const attachments = require('../services/attachments');
+const ticketService = require('../services/tickets');
+const bulkTickets = require('../services/bulkTickets');
+const duplicates = require('../services/duplicates');
+const watchers = require('../services/watchers');
+const ticketLinks = require('../services/ticketLinks');
+const ticketQuery = require('../services/ticketQuery');
+const { emitTicketEvent } = require('../services/events');
+const attachmentRoutes = require('./attachments');
+const watcherRoutes = require('./watchers');
+const linkRoutes = require('./links');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../uploads');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'ticket-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+const PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
 
-const upload = multer({
-  storage: storage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-    
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed!'));
-    }
-  }
-});
+// Days after closing during which the requester may reopen their own ticket
+const REOPEN_WINDOW_DAYS = parseInt(process.env.REOPEN_WINDOW_DAYS || '14', 10);
+
+// When the ticket was last closed (null if it never was)
+const getClosedAt = async (ticketId) => {
+  const [rows] = await pool.execute(`
+    SELECT MAX(created_at) as closed_at
+    FROM ticket_updates
+    WHERE ticket_id = ? AND update_type = 'status_change' AND new_value = 'Closed'
+  `, [ticketId]);
+  return rows[0].closed_at;
+};
+
+// Admin/IT can always reopen; the requester only within REOPEN_WINDOW_DAYS
+const canReopen = async (ticket, user) => {
+  if (ticket.status !== 'Closed') return false;
+  if (user.role === 'admin' || user.role === 'it') return true;
+  if (Number(ticket.created_by) !== Number(user.id)) return false;
+
+  const closedAt = await getClosedAt(ticket.id);
+  if (!closedAt) return false;
+  return Date.now() - new Date(closedAt).getTime() <= REOPEN_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+};
 
 // Create new ticket
 router.post('/', [
   auth,
   requireUser,
-  upload.single('photo'),
+  // 'photo' is the original single-image field; 'attachments' takes several files
+  handleUpload(upload.fields([
+    { name: 'photo', maxCount: 1 },
+    { name: 'attachments', maxCount: MAX_FILES }
+  ])),
   // department will be taken from req.user for non-admins.
   // Make department optional in validators; enforce for admins in handler below.
   body('department').optional().isString(),
   body('equipment_type').notEmpty().withMessage('Equipment type is required').isString().trim(),
   body('problem_description').notEmpty().withMessage('Problem description is required'),
-  body('issue_date').isISO8601().withMessage('Valid issue date is required')
+  body('issue_date').isISO8601().withMessage('Valid issue date is required'),
+  body('priority').optional().isIn(PRIORITIES).withMessage('Invalid priority')
 ], async (req, res) => {
-  let conn;
+  const files = [...(req.files?.photo || []), ...(req.files?.attachments || [])];
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -70,69 +81,27 @@ router.post('/', [
       department = req.user.department; // enforce server-side
     }
     const { equipment_type, problem_description, issue_date } = req.body;
-    const photo_url = req.file ? `/uploads/${req.file.filename}` : null;
-
-    // Use a transaction + SELECT ... FOR UPDATE to generate a unique sequential ticket number
-    conn = await pool.getConnection();
-    await conn.beginTransaction();
-
-    const prefix = 'TKT';
-    const year = new Date().getFullYear();
-
-    // Lock the relevant rows while we compute the next number
-    const [rows] = await conn.execute(
-      `SELECT ticket_number
-       FROM tickets
-       WHERE YEAR(created_at) = ?
-       ORDER BY ticket_number DESC
-       LIMIT 1 FOR UPDATE`,
-      [year]
-    );
-
-    let nextCount = 1;
-    if (rows.length > 0 && rows[0].ticket_number) {
-      const last = rows[0].ticket_number;
-      const lastNumStr = last.replace(`${prefix}${year}`, '');
-      const parsed = parseInt(lastNumStr, 10);
-      if (!Number.isNaN(parsed)) {
-        nextCount = parsed + 1;
-      }
-    }
-
-    const ticket_number = `${prefix}${year}${nextCount.toString().padStart(4, '0')}`;
-
-    const [result] = await conn.execute(
-      `INSERT INTO tickets (ticket_number, department, equipment_type, problem_description, 
-        issue_date, photo_url, created_by) VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [ticket_number, department, equipment_type, problem_description, issue_date, photo_url, req.user.id]
-    );
-
-    await conn.execute(
-      'INSERT INTO ticket_updates (ticket_id, user_id, update_type, new_value, notes) VALUES (?, ?, ?, ?, ?)',
-      [result.insertId, req.user.id, 'status_change', 'Pending', 'Ticket created']
-    );
-
-    await conn.commit();
-    conn.release();
-    conn = null;
+    // requester's suggested priority; IT can adjust it later via PUT /:id/priority
+    const priority = req.body.priority || 'Medium';
+
+    const ticket = await ticketService.createTicket({
+      user: req.user,
+      department,
+      equipment_type,
+      problem_description,
+      issue_date,
+      priority,
+      files
+    });
 
     res.status(201).json({
       message: 'Ticket created successfully',
-      ticket: {
-        id: result.insertId,
-        ticket_number,
-        department,
-        equipment_type,
-        problem_description,
-        issue_date,
-        photo_url,
-        status: 'Pending'
-      }
+      ticket
     });
   } catch (error) {
     console.error('Create ticket error:', error);
-    if (conn) {
-      try { await conn.rollback(); conn.release(); } catch (e) { /* ignore */ }
+    if (error && error.code === 'INVALID_IMAGE') {
+      return res.status(400).json({ message: error.message });
     }
     // If duplicate still somehow occurs, return 409 so client can retry
     if (error && error.code === 'ER_DUP_ENTRY') {
@@ -148,65 +117,56 @@ router.get('/', auth, requireUser, async (req, res) => {
     const page = Math.max(1, parseInt(req.query.page, 10) || 1);
     const limit = Math.max(1, parseInt(req.query.limit, 10) || 10);
     const offset = (page - 1) * limit;
-    const { status, department, search, created_by } = req.query;
-
-    const where = [];
-    const params = [];
-
-    // non-admin users only see their tickets regardless of created_by param
-    if (String(req.user.role || '').toLowerCase() !== 'admin') {
-      where.push('t.created_by = ?');
-      params.push(req.user.id);
-    } else {
-      // admin may filter by created_by query param
-      if (created_by && String(created_by).trim().length > 0 && !Number.isNaN(Number(created_by))) {
-        where.push('t.created_by = ?');
-        params.push(Number(created_by));
+    const { sort } = req.query;
+
+    let filters;
+    try {
+      filters = ticketQuery.buildTicketFilters(req.query, req.user);
+    } catch (error) {
+      if (error.code === 'INVALID_QUERY') {
+        return res.status(400).json({ message: error.message });
       }
+      throw error;
     }
-
-    if (status) {
-      where.push('t.status = ?');
-      params.push(status);
-    }
-
-    if (department) {
-      where.push('t.department = ?');
-      params.push(department);
-    }
-
-    if (search && String(search).trim().length > 0) {
-      const term = `%${String(search).trim()}%`;
-      where.push('(t.ticket_number LIKE ? OR t.problem_description LIKE ? OR t.equipment_type LIKE ? OR t.department LIKE ?)');
-      params.push(term, term, term, term);
-    }
-
-    const whereSQL = where.length ? 'WHERE ' + where.join(' AND ') : '';
+    const { whereSQL, params, searchQuery } = filters;
 
     const countQuery = `SELECT COUNT(*) as total FROM tickets t ${whereSQL}`;
     const [countRows] = await pool.execute(countQuery, params);
     const totalItems = countRows[0].total || 0;
     const totalPages = Math.max(1, Math.ceil(totalItems / limit));
 
+    const orderSQL = ticketQuery.orderByFor(sort, searchQuery);
+
     const listQuery = `
-      SELECT t.*
+      SELECT t.*${searchQuery ? searchQuery.select : ''}
       FROM tickets t
       ${whereSQL}
-      ORDER BY t.created_at DESC
+      ${orderSQL}
       LIMIT ? OFFSET ?
     `;
-    const listParams = params.slice();
+    const listParams = [...(searchQuery ? searchQuery.selectParams : []), ...params];
     listParams.push(limit, offset);
 
     const [rows] = await pool.execute(listQuery, listParams);
 
+    // Thumbnail of the first image for the list view
+    const attachmentSummaries = await attachments.summarizeForTickets(pool, rows.map(t => t.id));
+
     res.json({
-      tickets: rows,
+      tickets: rows.map(ticket => {
+        const summary = attachmentSummaries.get(ticket.id);
+        return {
+          ...sla.withSlaFlags(ticket),
+          attachment_count: summary ? summary.count : 0,
+          thumbnail: summary ? summary.image : null
+        };
+      }),
       pagination: {
         current: page,
         total: totalPages,
         totalItems
-      }
+      },
+      ...(searchQuery ? { search: { terms: searchQuery.terms } } : {})
     });
   } catch (error) {
     console.error('Error fetching tickets:', error);
@@ -214,24 +174,126 @@ router.get('/', auth, requireUser, async (req, res) => {
   }
 });
 
+// Apply one action to many tickets at once (admin/IT only). Closed tickets and
+// disallowed moves are skipped; the response lists the outcome per ticket.
+router.post('/bulk', [
+  auth,
+  requireAdmin,
+  body('ticket_ids').isArray({ min: 1, max: bulkTickets.MAX_BULK_TICKETS })
+    .withMessage(`Select between 1 and ${bulkTickets.MAX_BULK_TICKETS} tickets`),
+  body('ticket_ids.*').isInt({ min: 1 }).withMessage('Invalid ticket id'),
+  body('action').isIn(bulkTickets.ACTIONS).withMessage('Invalid action'),
+  body('status').if(body('action').equals('status'))
+    .isIn(['Pending', 'In Progress', 'On Hold', 'Done', 'Closed']).withMessage('Invalid status'),
+  body('priority').if(body('action').equals('priority'))
+    .isIn(PRIORITIES).withMessage('Invalid priority'),
+  body('assigned_to').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Invalid assignee'),
+  body('notes').if(body('action').equals('note'))
+    .trim().notEmpty().withMessage('Notes are required'),
+  body('notes').optional().isString(),
+  body('visibility').optional().isIn(['public', 'internal']).withMessage('Visibility must be public or internal')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { ticket_ids: ticketIds, action, status, priority, notes, visibility } = req.body;
+
+    // null / missing assigned_to means "unassign"
+    let assignee = null;
+    if (action === 'assign' && req.body.assigned_to) {
+      const [users] = await pool.execute(
+        'SELECT id, username, role FROM users WHERE id = ?',
+        [Number(req.body.assigned_to)]
+      );
+
+      if (users.length === 0) {
+        return res.status(404).json({ message: 'Assignee not found' });
+      }
+
+      if (!['it', 'admin'].includes(users[0].role)) {
+        return res.status(400).json({ message: 'Tickets can only be assigned to IT or admin users' });
+      }
+
+      assignee = users[0];
+    }
+
+    const results = await bulkTickets.runBulkAction(ticketIds, req.user, action, {
+      status,
+      priority,
+      assignee,
+      notes: notes && String(notes).trim() ? String(notes).trim() : null,
+      visibility
+    });
+
+    const succeeded = results.filter(result => result.success).length;
+    res.json({
+      message: `${succeeded} of ${results.length} tickets updated`,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+  } catch (error) {
+    console.error('Bulk ticket update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Possible duplicates of a ticket being written: open tickets from the same
+// department with similar descriptions. Users only search their own department
+// and only get tickets they can open (their own and watched ones), as elsewhere.
+router.get('/similar', auth, requireUser, async (req, res) => {
+  try {
+    const isStaff = req.user.role === 'admin' || req.user.role === 'it';
+    const department = isStaff ? req.query.department : req.user.department;
+    const excludeId = parseInt(req.query.exclude, 10) || null;
+
+    const similar = await duplicates.findSimilarTickets(department, req.query.description, {
+      excludeId,
+      user: req.user
+    });
+
+    const tickets = similar.map(ticket => ({
+      id: ticket.id,
+      ticket_number: ticket.ticket_number,
+      status: ticket.status,
+      priority: ticket.priority,
+      equipment_type: ticket.equipment_type,
+      problem_description: ticket.problem_description,
+      created_at: ticket.created_at,
+      created_by_name: ticket.created_by_name
+    }));
+
+    res.json({ tickets });
+  } catch (error) {
+    console.error('Find similar tickets error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get single ticket with updates
 router.get('/:id', auth, requireUser, async (req, res) => {
   try {
     const { id } = req.params;
     
     let query = `
-      SELECT t.*, u.username as created_by_name
+      SELECT t.*, u.username as created_by_name, a.username as assigned_to_name,
+        m.ticket_number as merged_into_number
       FROM tickets t
       LEFT JOIN users u ON t.created_by = u.id
+      LEFT JOIN users a ON t.assigned_to = a.id
+      LEFT JOIN tickets m ON t.merged_into = m.id
       WHERE t.id = ?
     `;
     
     const queryParams = [id];
 
-    // Add user role filter
+    // Add user role filter (requester or watcher)
     if (req.user.role === 'user') {
-      query += ' AND t.created_by = ?';
-      queryParams.push(req.user.id);
+      query += ` AND ${watchers.accessCondition('t')}`;
+      queryParams.push(req.user.id, req.user.id);
     }
 
     const [tickets] = await pool.execute(query, queryParams);
@@ -240,20 +302,32 @@ router.get('/:id', auth, requireUser, async (req, res) => {
       return res.status(404).json({ message: 'Ticket not found' });
     }
 
-    const ticket = tickets[0];
+    const ticket = sla.withSlaFlags(tickets[0]);
 
-    // Get ticket updates
+    // Get ticket updates (internal notes are for admin/IT only)
     const [updates] = await pool.execute(`
-      SELECT tu.*, u.username
+      SELECT tu.*, COALESCE(u.username, 'System') as username
       FROM ticket_updates tu
-      JOIN users u ON tu.user_id = u.id
-      WHERE tu.ticket_id = ?
+      LEFT JOIN users u ON tu.user_id = u.id
+      WHERE tu.ticket_id = ?${req.user.role === 'user' ? " AND tu.visibility = 'public'" : ''}
       ORDER BY tu.created_at DESC
     `, [id]);
 
+    // Duplicates that were merged into this ticket
+    const [mergedFrom] = await pool.execute(
+      'SELECT id, ticket_number FROM tickets WHERE merged_into = ? ORDER BY id',
+      [id]
+    );
+
     res.json({
       ticket,
-      updates
+      updates,
+      mergedFrom,
+      attachments: await attachments.listAttachments(pool, id),
+      watchers: await watchers.listWatchers(pool, id),
+      links: await ticketLinks.listLinks(pool, id, req.user),
+      allowedTransitions: workflow.getAllowedTransitions(ticket, req.user),
+      canReopen: await canReopen(ticket, req.user)
     });
   } catch (error) {
     console.error('Get ticket error:', error);
@@ -261,12 +335,14 @@ router.get('/:id', auth, requireUser, async (req, res) => {
   }
 });
 
-// Update ticket status (admin/IT only)
+// Update ticket status (allowed moves and roles come from config/workflow.js).
+// With cascade, resolving a parent ticket moves its open children along.
 router.put('/:id/status', [
   auth,
-  requireAdmin,
+  requireUser,
   body('status').isIn(['Pending', 'In Progress', 'On Hold', 'Done', 'Closed']).withMessage('Invalid status'),
-  body('notes').optional().isString()
+  body('notes').optional().isString(),
+  body('cascade').optional().isBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -278,8 +354,240 @@ router.put('/:id/status', [
     const { status, notes } = req.body;
 
     // Get current ticket
+    let query = 'SELECT id, ticket_number, status, created_by FROM tickets WHERE id = ?';
+    const queryParams = [id];
+
+    if (req.user.role === 'user') {
+      query += ' AND created_by = ?';
+      queryParams.push(req.user.id);
+    }
+
+    const cascade = (req.body.cascade === true || req.body.cascade === 'true') &&
+      ticketLinks.RESOLVED_STATUSES.includes(status);
+
+    // The parent and (with cascade) its children change together or not at all
+    const events = [];
+    let children = null;
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      const [tickets] = await conn.execute(`${query} FOR UPDATE`, queryParams);
+
+      if (tickets.length === 0) {
+        await conn.rollback();
+        return res.status(404).json({ message: 'Ticket not found' });
+      }
+
+      // Prevent modifications to closed tickets
+      if (tickets[0].status === 'Closed') {
+        await conn.rollback();
+        return res.status(400).json({ message: 'Cannot modify a closed ticket' });
+      }
+
+      const oldStatus = tickets[0].status;
+
+      const transition = workflow.checkTransition(tickets[0], req.user, status);
+      if (!transition.allowed) {
+        await conn.rollback();
+        return res.status(409).json({
+          message: `Cannot change status from ${oldStatus} to ${status}`,
+          allowedStatuses: transition.allowedStatuses
+        });
+      }
+
+      if (transition.requiresNote && !(notes && String(notes).trim())) {
+        await conn.rollback();
+        return res.status(400).json({ message: `A note is required when moving a ticket to ${status}` });
+      }
+
+      await ticketService.changeStatus(conn, tickets[0], req.user, status, notes || null, events);
+
+      if (cascade) {
+        children = await ticketLinks.cascadeStatus(conn, tickets[0], req.user, status, notes || null, events);
+      }
+
+      await conn.commit();
+    } catch (error) {
+      try { await conn.rollback(); } catch (e) { /* ignore */ }
+      throw error;
+    } finally {
+      conn.release();
+    }
+
+    events.forEach(args => emitTicketEvent(...args));
+
+    if (children) {
+      const moved = children.filter(child => child.success).length;
+      return res.json({
+        message: `Ticket status updated successfully (${moved} of ${children.length} child tickets updated)`,
+        children
+      });
+    }
+
+    res.json({ message: 'Ticket status updated successfully' });
+  } catch (error) {
+    console.error('Update status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Requester confirms a Done ticket is fixed (closes it) or still broken (back to In Progress)
+router.post('/:id/confirm', [
+  auth,
+  requireUser,
+  body('fixed').isBoolean().withMessage('fixed must be true or false'),
+  body('reason').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const fixed = req.body.fixed === true || req.body.fixed === 'true';
+    const reason = req.body.reason ? String(req.body.reason).trim() : '';
+
+    if (!fixed && !reason) {
+      return res.status(400).json({ message: 'Please describe what is still broken' });
+    }
+
+    const newStatus = fixed ? 'Closed' : 'In Progress';
+    const notes = fixed
+      ? (reason ? `Confirmed fixed by requester: ${reason}` : 'Confirmed fixed by requester')
+      : `Reported still broken by requester: ${reason}`;
+
+    // Same status path as PUT /:id/status; the lock keeps a concurrent change
+    // from slipping in between the Done check and the update
+    const events = [];
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      const [tickets] = await conn.execute(
+        'SELECT id, status, created_by FROM tickets WHERE id = ? AND created_by = ? FOR UPDATE',
+        [id, req.user.id]
+      );
+
+      if (tickets.length === 0) {
+        await conn.rollback();
+        return res.status(404).json({ message: 'Ticket not found' });
+      }
+
+      if (tickets[0].status !== 'Done') {
+        await conn.rollback();
+        return res.status(409).json({ message: 'Only tickets marked Done can be confirmed' });
+      }
+
+      await ticketService.changeStatus(conn, tickets[0], req.user, newStatus, notes, events);
+
+      await conn.commit();
+    } catch (error) {
+      try { await conn.rollback(); } catch (e) { /* ignore */ }
+      throw error;
+    } finally {
+      conn.release();
+    }
+
+    events.forEach(args => emitTicketEvent(...args));
+
+    res.json({
+      message: fixed ? 'Ticket closed. Thank you for confirming!' : 'Ticket reopened for IT',
+      status: newStatus
+    });
+  } catch (error) {
+    console.error('Confirm ticket error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reopen a closed ticket (admin/IT, or the requester within REOPEN_WINDOW_DAYS)
+router.post('/:id/reopen', [
+  auth,
+  requireUser,
+  body('reason').trim().notEmpty().withMessage('A reason is required to reopen a ticket')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    let query = 'SELECT id, status, created_by FROM tickets WHERE id = ?';
+    const queryParams = [id];
+
+    if (req.user.role === 'user') {
+      query += ' AND created_by = ?';
+      queryParams.push(req.user.id);
+    }
+
+    // Same status path as PUT /:id/status; the lock keeps two reopens (or a
+    // reopen and another change) from both passing the Closed check
+    const events = [];
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      const [tickets] = await conn.execute(`${query} FOR UPDATE`, queryParams);
+
+      if (tickets.length === 0) {
+        await conn.rollback();
+        return res.status(404).json({ message: 'Ticket not found' });
+      }
+
+      if (tickets[0].status !== 'Closed') {
+        await conn.rollback();
+        return res.status(409).json({ message: 'Only closed tickets can be reopened' });
+      }
+
+      if (!(await canReopen(tickets[0], req.user))) {
+        await conn.rollback();
+        return res.status(403).json({
+          message: `Tickets can only be reopened by the requester within ${REOPEN_WINDOW_DAYS} days of closing`
+        });
+      }
+
+      await ticketService.changeStatus(conn, tickets[0], req.user, 'In Progress', reason, events, { reopen: true });
+
+      await conn.commit();
+    } catch (error) {
+      try { await conn.rollback(); } catch (e) { /* ignore */ }
+      throw error;
+    } finally {
+      conn.release();
+    }
+
+    events.forEach(args => emitTicketEvent(...args));
+
+    res.json({ message: 'Ticket reopened successfully', status: 'In Progress' });
+  } catch (error) {
+    console.error('Reopen ticket error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update ticket priority (admin/IT only)
+router.put('/:id/priority', [
+  auth,
+  requireAdmin,
+  body('priority').isIn(PRIORITIES).withMessage('Invalid priority'),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { priority, notes } = req.body;
+
     const [tickets] = await pool.execute(
-      'SELECT status FROM tickets WHERE id = ?',
+      'SELECT status, priority FROM tickets WHERE id = ?',
       [id]
     );
 
@@ -292,32 +600,97 @@ router.put('/:id/status', [
       return res.status(400).json({ message: 'Cannot modify a closed ticket' });
     }
 
-    const oldStatus = tickets[0].status;
+    const oldPriority = tickets[0].priority;
+    if (oldPriority === priority) {
+      return res.status(400).json({ message: `Ticket priority is already ${priority}` });
+    }
 
-    // Update ticket status
-    await pool.execute(
-      'UPDATE tickets SET status = ? WHERE id = ?',
-      [status, id]
-    );
+    await ticketService.changePriority(pool, { id, priority: oldPriority }, req.user, priority, notes || null);
 
-    // Add status update record
-    await pool.execute(
-      'INSERT INTO ticket_updates (ticket_id, user_id, update_type, old_value, new_value, notes) VALUES (?, ?, ?, ?, ?, ?)',
-      [id, req.user.id, 'status_change', oldStatus, status, notes]
-    );
+    res.json({ message: 'Ticket priority updated successfully', priority });
+  } catch (error) {
+    console.error('Update priority error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    res.json({ message: 'Ticket status updated successfully' });
+// Assign ticket to an IT team member (admin/IT only)
+router.put('/:id/assign', [
+  auth,
+  requireAdmin,
+  body('assigned_to').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Invalid assignee'),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { notes } = req.body;
+    // null / missing assigned_to means "unassign"
+    const assigneeId = req.body.assigned_to ? Number(req.body.assigned_to) : null;
+
+    // Get current ticket with current assignee name
+    const [tickets] = await pool.execute(`
+      SELECT t.status, t.assigned_to, a.username as assigned_to_name
+      FROM tickets t
+      LEFT JOIN users a ON t.assigned_to = a.id
+      WHERE t.id = ?
+    `, [id]);
+
+    if (tickets.length === 0) {
+      return res.status(404).json({ message: 'Ticket not found' });
+    }
+
+    // Prevent modifications to closed tickets
+    if (tickets[0].status === 'Closed') {
+      return res.status(400).json({ message: 'Cannot modify a closed ticket' });
+    }
+
+    let assignee = null;
+    if (assigneeId !== null) {
+      const [users] = await pool.execute(
+        'SELECT id, username, role FROM users WHERE id = ?',
+        [assigneeId]
+      );
+
+      if (users.length === 0) {
+        return res.status(404).json({ message: 'Assignee not found' });
+      }
+
+      if (!['it', 'admin'].includes(users[0].role)) {
+        return res.status(400).json({ message: 'Tickets can only be assigned to IT or admin users' });
+      }
+
+      assignee = users[0];
+    }
+
+    const oldAssigneeId = tickets[0].assigned_to;
+    if (oldAssigneeId === assigneeId) {
+      return res.status(400).json({ message: assignee ? 'Ticket is already assigned to this user' : 'Ticket is already unassigned' });
+    }
+
+    await ticketService.assignTicket(pool, { ...tickets[0], id }, req.user, assignee, notes || null);
+
+    res.json({
+      message: assignee ? 'Ticket assigned successfully' : 'Ticket unassigned successfully',
+      assigned_to: assigneeId,
+      assigned_to_name: assignee ? assignee.username : null
+    });
   } catch (error) {
-    console.error('Update status error:', error);
+    console.error('Assign ticket error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Add note to ticket
+// Add note to ticket; admin/IT may mark it internal (hidden from the requester and watchers)
 router.post('/:id/notes', [
   auth,
   requireUser,
-  body('notes').notEmpty().withMessage('Notes are required')
+  body('notes').notEmpty().withMessage('Notes are required'),
+  body('visibility').optional().isIn(['public', 'internal']).withMessage('Visibility must be public or internal')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -327,14 +700,19 @@ router.post('/:id/notes', [
 
     const { id } = req.params;
     const { notes } = req.body;
+    const visibility = req.body.visibility || 'public';
 
-    // Verify ticket exists and user has access
+    if (visibility === 'internal' && req.user.role === 'user') {
+      return res.status(403).json({ message: 'Only IT staff can add internal notes' });
+    }
+
+    // Verify ticket exists and user has access (requester or watcher)
     let query = 'SELECT id, status FROM tickets WHERE id = ?';
     const queryParams = [id];
 
     if (req.user.role === 'user') {
-      query += ' AND created_by = ?';
-      queryParams.push(req.user.id);
+      query += ` AND ${watchers.accessCondition()}`;
+      queryParams.push(req.user.id, req.user.id);
     }
 
     const [tickets] = await pool.execute(query, queryParams);
@@ -348,31 +726,66 @@ router.post('/:id/notes', [
       return res.status(400).json({ message: 'Cannot modify a closed ticket' });
     }
 
-    // Add note
-    await pool.execute(
-      'INSERT INTO ticket_updates (ticket_id, user_id, update_type, notes) VALUES (?, ?, ?, ?)',
-      [id, req.user.id, 'note', notes]
-    );
+    await ticketService.addNote(pool, id, req.user, notes, visibility);
 
-    res.json({ message: 'Note added successfully' });
+    res.json({ message: visibility === 'internal' ? 'Internal note added successfully' : 'Note added successfully' });
   } catch (error) {
     console.error('Add note error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Merge this ticket (a duplicate) into another one (admin/IT only).
+// into is the primary ticket's number or id.
+router.post('/:id/merge', [
+  auth,
+  requireAdmin,
+  body('into').trim().notEmpty().withMessage('Ticket to merge into is required'),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const into = String(req.body.into).trim();
+    const byId = /^\d+$/.test(into);
+    const [primary] = await pool.execute(
+      `SELECT id FROM tickets WHERE ${byId ? 'id' : 'ticket_number'} = ?`,
+      [byId ? Number(into) : into.toUpperCase()]
+    );
+    if (primary.length === 0) {
+      return res.status(404).json({ message: `Ticket ${into} not found` });
+    }
+
+    const result = await duplicates.mergeTickets(Number(req.params.id), primary[0].id, req.user, req.body.notes || null);
+
+    res.json({
+      message: `${result.duplicate.ticket_number} merged into ${result.primary.ticket_number}`,
+      ...result
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Merge ticket error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get ticket history
 router.get('/:id/history', auth, requireUser, async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Verify ticket exists and user has access
+    // Verify ticket exists and user has access (requester or watcher)
     let query = 'SELECT id FROM tickets WHERE id = ?';
     const queryParams = [id];
 
     if (req.user.role === 'user') {
-      query += ' AND created_by = ?';
-      queryParams.push(req.user.id);
+      query += ` AND ${watchers.accessCondition()}`;
+      queryParams.push(req.user.id, req.user.id);
     }
 
     const [tickets] = await pool.execute(query, queryParams);
@@ -381,12 +794,12 @@ router.get('/:id/history', auth, requireUser, async (req, res) => {
       return res.status(404).json({ message: 'Ticket not found' });
     }
 
-    // Get all updates
+    // Get all updates (internal notes are for admin/IT only)
     const [updates] = await pool.execute(`
-      SELECT tu.*, u.username, u.department
+      SELECT tu.*, COALESCE(u.username, 'System') as username, u.department
       FROM ticket_updates tu
-      JOIN users u ON tu.user_id = u.id
-      WHERE tu.ticket_id = ?
+      LEFT JOIN users u ON tu.user_id = u.id
+      WHERE tu.ticket_id = ?${req.user.role === 'user' ? " AND tu.visibility = 'public'" : ''}
       ORDER BY tu.created_at ASC
     `, [id]);
 
@@ -402,8 +815,9 @@ router.delete('/:id', auth, requireUser, async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Verify ticket exists and user has access
-    let query = 'SELECT id, photo_url, status FROM tickets WHERE id = ?';
+    // Verify ticket exists and user has access (the row is kept for the 'deleted' event)
+    let query = `SELECT id, ticket_number, status, priority, department, equipment_type,
+      created_by, assigned_to, created_at FROM tickets WHERE id = ?`;
     const queryParams = [id];
 
     if (req.user.role === 'user') {
@@ -424,17 +838,21 @@ router.delete('/:id', auth, requireUser, async (req, res) => {
       return res.status(400).json({ message: 'Cannot delete a closed ticket' });
     }
 
-    // Delete associated photo file if it exists
-    if (ticket.photo_url) {
-      const photoPath = path.join(__dirname, '..', ticket.photo_url);
-      if (fs.existsSync(photoPath)) {
-        fs.unlinkSync(photoPath);
-      }
-    }
+    // Delete attachment files (their rows go with the ticket)
+    const [files] = await pool.execute(
+      'SELECT file_name, thumbnail_name, preview_name, storage FROM ticket_attachments WHERE ticket_id = ?',
+      [id]
+    );
+    await attachments.removeStoredFiles(files);
+
+    // watchers go with the ticket, but still hear that it was deleted
+    const watcherIds = await watchers.getWatcherIds(pool, id);
 
-    // Delete ticket (ticket_updates will be deleted automatically due to CASCADE)
+    // Delete ticket (ticket_updates and ticket_attachments will be deleted automatically due to CASCADE)
     await pool.execute('DELETE FROM tickets WHERE id = ?', [id]);
 
+    emitTicketEvent('deleted', id, req.user, { ticket, watcherIds });
+
     res.json({ message: 'Ticket deleted successfully' });
   } catch (error) {
     console.error('Delete ticket error:', error);
@@ -442,4 +860,13 @@ router.delete('/:id', auth, requireUser, async (req, res) => {
   }
 });
 
+// Attachments: /api/tickets/:id/attachments
+router.use('/:id/attachments', attachmentRoutes);
+
+// Watchers: /api/tickets/:id/watchers
+router.use('/:id/watchers', watcherRoutes);
+
+// Linked tickets: /api/tickets/:id/links
+router.use('/:id/links', linkRoutes);
+
 module.exports = router;
\ No newline at end of file
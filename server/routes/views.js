@@ -0,0 +1,202 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { auth, requireUser } = require('../middleware/auth');
+const ticketQuery = require('../services/ticketQuery');
+
+const router = express.Router();
+
+// Optional columns of the ticket list (the ticket number and actions are always shown)
+const COLUMNS = ['department', 'equipment', 'priority', 'status', 'created'];
+
+const isStaff = (user) => user.role === 'admin' || user.role === 'it';
+
+const viewValidators = [
+  body('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+  body('scope').optional().isIn(['personal', 'team']).withMessage('Scope must be personal or team'),
+  body('filters').optional().isObject().withMessage('Filters must be an object'),
+  body('sort').optional().isIn(ticketQuery.SORTS).withMessage('Unknown sort order'),
+  body('columns').optional().isArray().withMessage('Columns must be a list'),
+  body('columns.*').isIn(COLUMNS).withMessage('Unknown column'),
+  body('pinned').optional().isBoolean()
+];
+
+// Keep only known, non-empty filters as strings
+const cleanFilters = (filters = {}) => ticketQuery.FILTER_KEYS.reduce((clean, key) => {
+  const value = filters[key];
+  if (value !== undefined && value !== null && String(value).trim() !== '') {
+    clean[key] = String(value).trim();
+  }
+  return clean;
+}, {});
+
+// Personal views belong to their owner; team views are shared with all admin/IT staff
+const visibleCondition = (user) => (
+  isStaff(user)
+    ? { sql: "(sv.owner_id = ? OR sv.scope = 'team')", params: [user.id] }
+    : { sql: 'sv.owner_id = ?', params: [user.id] }
+);
+
+// Owners manage their views; admins may also manage team views
+const canManage = (view, user) => (
+  Number(view.owner_id) === Number(user.id) ||
+  (view.scope === 'team' && user.role === 'admin')
+);
+
+const loadViews = async (user, id = null) => {
+  const visible = visibleCondition(user);
+  const [rows] = await pool.execute(`
+    SELECT sv.*, u.username as owner_name,
+      EXISTS (SELECT 1 FROM saved_view_pins p WHERE p.view_id = sv.id AND p.user_id = ?) as pinned
+    FROM saved_views sv
+    LEFT JOIN users u ON sv.owner_id = u.id
+    WHERE ${visible.sql}${id ? ' AND sv.id = ?' : ''}
+    ORDER BY sv.scope = 'team', sv.name
+  `, [user.id, ...visible.params, ...(id ? [id] : [])]);
+
+  return rows.map(row => ({
+    id: row.id,
+    name: row.name,
+    filters: JSON.parse(row.filters || '{}'),
+    sort: row.sort,
+    columns: row.visible_columns ? row.visible_columns.split(',') : COLUMNS,
+    scope: row.scope,
+    owner_id: row.owner_id,
+    owner_name: row.owner_name,
+    pinned: !!row.pinned,
+    can_edit: canManage(row, user)
+  }));
+};
+
+// Number of tickets a view currently matches for this user
+const withCount = async (view, user) => {
+  try {
+    return { ...view, count: await ticketQuery.countTickets(pool, view.filters, user) };
+  } catch (error) {
+    if (error.code !== 'INVALID_QUERY') throw error;
+    return { ...view, count: null };
+  }
+};
+
+// Get your views and team views; pinned views include their ticket count
+router.get('/', auth, requireUser, async (req, res) => {
+  try {
+    const views = await loadViews(req.user);
+    const withCounts = [];
+    for (const view of views) {
+      withCounts.push(view.pinned ? await withCount(view, req.user) : view);
+    }
+
+    res.json({ views: withCounts, columns: COLUMNS });
+  } catch (error) {
+    console.error('Get saved views error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Save the current filters, sort order and columns as a view
+router.post('/', [auth, requireUser, ...viewValidators], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const scope = req.body.scope || 'personal';
+    if (scope === 'team' && !isStaff(req.user)) {
+      return res.status(403).json({ message: 'Only admin/IT can share views with the team' });
+    }
+
+    const filters = cleanFilters(req.body.filters);
+    try {
+      ticketQuery.buildTicketFilters(filters, req.user);
+    } catch (error) {
+      if (error.code === 'INVALID_QUERY') {
+        return res.status(400).json({ message: error.message });
+      }
+      throw error;
+    }
+
+    const columns = req.body.columns ? COLUMNS.filter(column => req.body.columns.includes(column)) : null;
+
+    const [result] = await pool.execute(
+      'INSERT INTO saved_views (name, filters, sort, visible_columns, scope, owner_id) VALUES (?, ?, ?, ?, ?, ?)',
+      [req.body.name, JSON.stringify(filters), req.body.sort || '', columns ? columns.join(',') : null, scope, req.user.id]
+    );
+
+    if (req.body.pinned) {
+      await pool.execute(
+        'INSERT INTO saved_view_pins (view_id, user_id) VALUES (?, ?)',
+        [result.insertId, req.user.id]
+      );
+    }
+
+    const [view] = await loadViews(req.user, result.insertId);
+    res.status(201).json({
+      message: 'View saved successfully',
+      view: view.pinned ? await withCount(view, req.user) : view
+    });
+  } catch (error) {
+    console.error('Create saved view error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Pin a view to (or unpin it from) your sidebar
+router.put('/:id/pin', [
+  auth,
+  requireUser,
+  body('pinned').isBoolean().withMessage('pinned must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const [view] = await loadViews(req.user, req.params.id);
+    if (!view) {
+      return res.status(404).json({ message: 'View not found' });
+    }
+
+    if (req.body.pinned === true || req.body.pinned === 'true') {
+      await pool.execute(
+        'INSERT IGNORE INTO saved_view_pins (view_id, user_id) VALUES (?, ?)',
+        [view.id, req.user.id]
+      );
+    } else {
+      await pool.execute(
+        'DELETE FROM saved_view_pins WHERE view_id = ? AND user_id = ?',
+        [view.id, req.user.id]
+      );
+    }
+
+    const [updated] = await loadViews(req.user, view.id);
+    res.json({ view: updated.pinned ? await withCount(updated, req.user) : updated });
+  } catch (error) {
+    console.error('Pin saved view error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a view (owner, or admin for team views)
+router.delete('/:id', auth, requireUser, async (req, res) => {
+  try {
+    const [view] = await loadViews(req.user, req.params.id);
+    if (!view) {
+      return res.status(404).json({ message: 'View not found' });
+    }
+    if (!view.can_edit) {
+      return res.status(403).json({ message: 'You can only delete your own views' });
+    }
+
+    await pool.execute('DELETE FROM saved_views WHERE id = ?', [view.id]);
+
+    res.json({ message: 'View deleted successfully' });
+  } catch (error) {
+    console.error('Delete saved view error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { auth, requireUser } = require('../middleware/auth');
+const watchers = require('../services/watchers');
+
+// Mounted at /api/tickets/:id/watchers
+const router = express.Router({ mergeParams: true });
+
+const isStaff = (user) => user.role === 'admin' || user.role === 'it';
+
+const findTicket = async (id) => {
+  const [tickets] = await pool.execute(
+    'SELECT id, ticket_number, status, created_by FROM tickets WHERE id = ?',
+    [id]
+  );
+  return tickets[0] || null;
+};
+
+// List watchers (anyone who can read the ticket)
+router.get('/', auth, requireUser, async (req, res) => {
+  try {
+    const ticket = await findTicket(req.params.id);
+    if (!ticket || !(await watchers.canAccess(pool, ticket, req.user))) {
+      return res.status(404).json({ message: 'Ticket not found' });
+    }
+
+    res.json({ watchers: await watchers.listWatchers(pool, ticket.id) });
+  } catch (error) {
+    console.error('List watchers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a watcher by username or email (requester or admin/IT)
+router.post('/', [
+  auth,
+  requireUser,
+  body('user').trim().notEmpty().withMessage('Username or email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ticket = await findTicket(req.params.id);
+    if (!ticket || !(await watchers.canAccess(pool, ticket, req.user))) {
+      return res.status(404).json({ message: 'Ticket not found' });
+    }
+
+    if (!isStaff(req.user) && Number(ticket.created_by) !== Number(req.user.id)) {
+      return res.status(403).json({ message: 'Only the requester or IT can add watchers' });
+    }
+
+    const [users] = await pool.execute(
+      'SELECT id, username, email, department FROM users WHERE username = ? OR email = ?',
+      [req.body.user, req.body.user]
+    );
+    if (users.length === 0) {
+      return res.status(404).json({ message: `No user found for ${req.body.user}` });
+    }
+    const watcher = users[0];
+
+    if (Number(watcher.id) === Number(ticket.created_by)) {
+      return res.status(400).json({ message: `${watcher.username} is the requester and already follows this ticket` });
+    }
+
+    const [result] = await pool.execute(
+      'INSERT IGNORE INTO ticket_watchers (ticket_id, user_id, added_by) VALUES (?, ?, ?)',
+      [ticket.id, watcher.id, req.user.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ message: `${watcher.username} is already watching this ticket` });
+    }
+
+    await pool.execute(
+      'INSERT INTO ticket_updates (ticket_id, user_id, update_type, new_value) VALUES (?, ?, ?, ?)',
+      [ticket.id, req.user.id, 'watcher', watcher.username]
+    );
+
+    res.status(201).json({
+      message: `${watcher.username} is now watching this ticket`,
+      watchers: await watchers.listWatchers(pool, ticket.id)
+    });
+  } catch (error) {
+    console.error('Add watcher error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a watcher (requester, admin/IT, or watchers removing themselves)
+router.delete('/:userId', auth, requireUser, async (req, res) => {
+  try {
+    const ticket = await findTicket(req.params.id);
+    if (!ticket || !(await watchers.canAccess(pool, ticket, req.user))) {
+      return res.status(404).json({ message: 'Ticket not found' });
+    }
+
+    const userId = Number(req.params.userId);
+    const isSelf = userId === Number(req.user.id);
+    if (!isSelf && !isStaff(req.user) && Number(ticket.created_by) !== Number(req.user.id)) {
+      return res.status(403).json({ message: 'Only the requester or IT can remove other watchers' });
+    }
+
+    const [rows] = await pool.execute(`
+      SELECT tw.id, u.username
+      FROM ticket_watchers tw
+      JOIN users u ON tw.user_id = u.id
+      WHERE tw.ticket_id = ? AND tw.user_id = ?
+    `, [ticket.id, userId]);
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Watcher not found' });
+    }
+
+    await pool.execute('DELETE FROM ticket_watchers WHERE id = ?', [rows[0].id]);
+
+    await pool.execute(
+      'INSERT INTO ticket_updates (ticket_id, user_id, update_type, old_value) VALUES (?, ?, ?, ?)',
+      [ticket.id, req.user.id, 'watcher', rows[0].username]
+    );
+
+    res.json({
+      message: isSelf ? 'You are no longer watching this ticket' : `${rows[0].username} removed from watchers`,
+      watchers: await watchers.listWatchers(pool, ticket.id)
+    });
+  } catch (error) {
+    console.error('Remove watcher error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,232 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { auth, requireAdmin } = require('../middleware/auth');
+const webhooks = require('../services/webhooks');
+
+const router = express.Router();
+
+const webhookValidators = [
+  body('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+  body('url').isURL({ protocols: ['http', 'https'], require_tld: false }).withMessage('A valid http(s) URL is required'),
+  body('events').isArray({ min: 1 }).withMessage('Select at least one event'),
+  body('events.*').isIn(webhooks.EVENTS).withMessage('Unknown event'),
+  body('secret').optional({ checkFalsy: true }).isString().isLength({ min: 16 }).withMessage('Secret must be at least 16 characters'),
+  body('is_active').optional().isBoolean()
+];
+
+// Get all webhook subscriptions (admin/IT only)
+router.get('/', auth, requireAdmin, async (req, res) => {
+  try {
+    const [rows] = await pool.execute(`
+      SELECT w.*,
+        (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'failed') as failed_deliveries
+      FROM webhooks w
+      ORDER BY w.created_at DESC
+    `);
+
+    res.json({
+      webhooks: rows.map(row => ({ ...webhooks.toWebhookResponse(row), failed_deliveries: row.failed_deliveries })),
+      events: webhooks.EVENTS
+    });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create webhook subscription (admin/IT only); the secret is only shown here
+router.post('/', [auth, requireAdmin, ...webhookValidators], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, url, events } = req.body;
+    const secret = req.body.secret || webhooks.generateSecret();
+    const isActive = req.body.is_active === undefined ? true : !!req.body.is_active;
+
+    const [result] = await pool.execute(
+      'INSERT INTO webhooks (name, url, secret, events, is_active, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+      [name, url, secret, [...new Set(events)].join(','), isActive, req.user.id]
+    );
+
+    const [rows] = await pool.execute('SELECT * FROM webhooks WHERE id = ?', [result.insertId]);
+
+    res.status(201).json({
+      message: 'Webhook created successfully',
+      webhook: webhooks.toWebhookResponse(rows[0], { includeSecret: true })
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update webhook subscription (admin/IT only); rotate_secret=true issues a new secret
+router.put('/:id', [
+  auth,
+  requireAdmin,
+  ...webhookValidators,
+  body('rotate_secret').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const [existing] = await pool.execute('SELECT * FROM webhooks WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const { name, url, events } = req.body;
+    const rotate = req.body.rotate_secret === true || req.body.rotate_secret === 'true';
+    const secret = req.body.secret || (rotate ? webhooks.generateSecret() : existing[0].secret);
+    const isActive = req.body.is_active === undefined ? !!existing[0].is_active : !!req.body.is_active;
+
+    await pool.execute(
+      'UPDATE webhooks SET name = ?, url = ?, secret = ?, events = ?, is_active = ? WHERE id = ?',
+      [name, url, secret, [...new Set(events)].join(','), isActive, id]
+    );
+
+    const [rows] = await pool.execute('SELECT * FROM webhooks WHERE id = ?', [id]);
+    const secretChanged = secret !== existing[0].secret;
+
+    res.json({
+      message: 'Webhook updated successfully',
+      webhook: webhooks.toWebhookResponse(rows[0], { includeSecret: secretChanged })
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete webhook subscription and its delivery log (admin/IT only)
+router.delete('/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const [result] = await pool.execute('DELETE FROM webhooks WHERE id = ?', [req.params.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send a ping delivery to check the endpoint (admin/IT only)
+router.post('/:id/test', auth, requireAdmin, async (req, res) => {
+  try {
+    const [rows] = await pool.execute('SELECT id FROM webhooks WHERE id = ?', [req.params.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const delivery = await webhooks.queueDelivery(rows[0].id, 'ping', {
+      event: 'ping',
+      occurred_at: new Date(),
+      actor: { id: req.user.id, username: req.user.username, role: req.user.role }
+    });
+
+    res.json({ message: 'Test delivery sent', delivery });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delivery log, newest first (admin/IT only); filter by webhook_id and status
+router.get('/deliveries', auth, requireAdmin, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 25));
+    const offset = (page - 1) * limit;
+
+    const where = [];
+    const params = [];
+    if (req.query.webhook_id) {
+      where.push('d.webhook_id = ?');
+      params.push(req.query.webhook_id);
+    }
+    if (req.query.status) {
+      where.push('d.status = ?');
+      params.push(req.query.status);
+    }
+    const whereSQL = where.length ? 'WHERE ' + where.join(' AND ') : '';
+
+    const [countRows] = await pool.execute(
+      `SELECT COUNT(*) as total FROM webhook_deliveries d ${whereSQL}`,
+      params
+    );
+    const totalItems = countRows[0].total;
+
+    const [deliveries] = await pool.execute(`
+      SELECT d.id, d.webhook_id, w.name as webhook_name, d.event_type, d.status, d.attempts,
+        d.response_status, d.error, d.next_attempt_at, d.delivered_at, d.created_at, d.updated_at
+      FROM webhook_deliveries d
+      JOIN webhooks w ON d.webhook_id = w.id
+      ${whereSQL}
+      ORDER BY d.created_at DESC, d.id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+
+    res.json({
+      deliveries,
+      pagination: {
+        current: page,
+        total: Math.max(1, Math.ceil(totalItems / limit)),
+        totalItems
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Single delivery with payload and response body (admin/IT only)
+router.get('/deliveries/:deliveryId', auth, requireAdmin, async (req, res) => {
+  try {
+    const [rows] = await pool.execute(`
+      SELECT d.*, w.name as webhook_name, w.url
+      FROM webhook_deliveries d
+      JOIN webhooks w ON d.webhook_id = w.id
+      WHERE d.id = ?
+    `, [req.params.deliveryId]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    res.json({ delivery: { ...rows[0], payload: JSON.parse(rows[0].payload) } });
+  } catch (error) {
+    console.error('Get webhook delivery error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replay a delivery: sends the same payload again as a new delivery (admin/IT only)
+router.post('/deliveries/:deliveryId/replay', auth, requireAdmin, async (req, res) => {
+  try {
+    const delivery = await webhooks.replayDelivery(req.params.deliveryId);
+
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    res.json({ message: 'Delivery replayed', delivery });
+  } catch (error) {
+    console.error('Replay webhook delivery error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+// Local stand-in for Slack/Mattermost, for trying chat-ops without a workspace.
+//
+//   npm run chat:mock -- receive [--port 4100] [--user U123=admin@company.com ...]
+//     Prints messages posted to http://localhost:4100/<anything> (use it as
+//     CHAT_WEBHOOK_URL) and answers user lookups for CHAT_API_URL=http://localhost:4100
+//     (Slack users.info and Mattermost /api/v4/users/:id).
+//
+//   npm run chat:mock -- send [--user U123] [--url http://localhost:5000/api/chat/command] close TKT20250012 fixed fan
+//     Sends a /ticket command signed with CHAT_SIGNING_SECRET (or carrying
+//     CHAT_COMMAND_TOKEN) and prints the reply.
+require('dotenv').config();
+const http = require('http');
+const { signSlackRequest } = require('../services/chatOps');
+
+const parseArgs = (argv) => {
+  const args = { mode: argv[0], port: 4100, users: {}, user: 'U123', text: [] };
+  for (let i = 1; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--port': args.port = parseInt(argv[++i], 10); break;
+      case '--url': args.url = argv[++i]; break;
+      case '--user': {
+        const value = argv[++i];
+        if (value.includes('=')) {
+          const [id, email] = value.split('=');
+          args.users[id] = email;
+        } else {
+          args.user = value;
+        }
+        break;
+      }
+      default: args.text.push(argv[i]);
+    }
+  }
+  return args;
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+const sendJson = (res, status, data) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+const receive = ({ port, users }) => {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${port}`);
+
+    if (req.method === 'GET' && url.pathname.endsWith('/users.info')) {
+      const email = users[url.searchParams.get('user')];
+      return sendJson(res, 200, email
+        ? { ok: true, user: { id: url.searchParams.get('user'), profile: { email } } }
+        : { ok: false, error: 'user_not_found' });
+    }
+
+    const mattermostUser = url.pathname.match(/\/api\/v4\/users\/([^/]+)$/);
+    if (req.method === 'GET' && mattermostUser) {
+      const email = users[mattermostUser[1]];
+      return email
+        ? sendJson(res, 200, { id: mattermostUser[1], email })
+        : sendJson(res, 404, { message: 'user not found' });
+    }
+
+    if (req.method === 'POST') {
+      const body = await readBody(req);
+      console.log(`\n[${new Date().toISOString()}] POST ${url.pathname}`);
+      try {
+        console.log(JSON.stringify(JSON.parse(body), null, 2));
+      } catch (error) {
+        console.log(body);
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      return res.end('ok');
+    }
+
+    sendJson(res, 404, { message: 'Not found' });
+  });
+
+  server.listen(port, () => {
+    console.log(`Mock chat server listening on http://localhost:${port}`);
+    console.log(`  CHAT_WEBHOOK_URL=http://localhost:${port}/hooks/helpdesk`);
+    console.log(`  CHAT_API_URL=http://localhost:${port}`);
+  });
+};
+
+const send = async ({ url, user, text }) => {
+  const target = url || `http://localhost:${process.env.PORT || 5000}/api/chat/command`;
+  const params = new URLSearchParams({
+    command: '/ticket',
+    text: text.join(' '),
+    user_id: user,
+    user_name: user
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  if (process.env.CHAT_SIGNING_SECRET) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    headers['X-Slack-Request-Timestamp'] = timestamp;
+    headers['X-Slack-Signature'] = signSlackRequest(process.env.CHAT_SIGNING_SECRET, timestamp, params.toString());
+  } else if (process.env.CHAT_COMMAND_TOKEN) {
+    params.set('token', process.env.CHAT_COMMAND_TOKEN);
+  } else {
+    throw new Error('Set CHAT_SIGNING_SECRET or CHAT_COMMAND_TOKEN');
+  }
+
+  const response = await fetch(target, { method: 'POST', headers, body: params.toString() });
+  console.log(`HTTP ${response.status}`);
+  console.log(JSON.stringify(await response.json(), null, 2));
+};
+
+const main = async () => {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.mode === 'receive') {
+      receive(args);
+    } else if (args.mode === 'send') {
+      await send(args);
+    } else {
+      throw new Error('Usage: chatMock.js receive|send [options]');
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+};
+
+main();
@@ -0,0 +1,19 @@
+// Process waiting email once and exit, e.g. to test a drop folder:
+//
+//   MAIL_INGEST_SOURCE=eml MAIL_DROP_DIR=./mail-drop npm run mail:ingest
+const { pool } = require('../config/database');
+const { pollMailbox } = require('../jobs/mailIngest');
+
+const main = async () => {
+  try {
+    const count = await pollMailbox(process.env.MAIL_INGEST_SOURCE);
+    console.log(`Processed ${count} message(s)`);
+  } catch (error) {
+    console.error('Mail ingestion failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+main();
@@ -0,0 +1,91 @@
+// Move legacy single photos (tickets.photo_url) into ticket_attachments.
+//
+//   npm run photos:migrate [-- --dry-run]
+//
+// The photos live in the "local" storage backend. For each ticket the
+// attachment row is added and photo_url cleared in one transaction, and only
+// once the file is confirmed to exist; tickets whose photo is missing keep
+// their photo_url. Safe to re-run. Afterwards, `npm run images:process`
+// creates thumbnails and strips metadata from the moved photos.
+const { pool } = require('../config/database');
+const { getStorage } = require('../storage');
+const { legacyPhotoRow } = require('../services/attachments');
+
+const migrate = async ({ dryRun }) => {
+  const storage = getStorage('local');
+
+  const [tickets] = await pool.execute(
+    'SELECT id, created_by, photo_url, created_at FROM tickets WHERE photo_url IS NOT NULL ORDER BY id'
+  );
+  console.log(`${tickets.length} ticket(s) with a legacy photo${dryRun ? ' (dry run)' : ''}`);
+
+  const summary = { moved: 0, missing: 0, failed: 0 };
+  for (const ticket of tickets) {
+    const photo = legacyPhotoRow(ticket);
+    const fileName = photo.file_name;
+    try {
+      const file = await storage.getObject(fileName);
+      if (!file) {
+        console.warn(`  ticket ${ticket.id} ${fileName}: file missing, photo_url kept`);
+        summary.missing += 1;
+        continue;
+      }
+      file.stream.destroy?.();
+
+      if (dryRun) {
+        summary.moved += 1;
+        continue;
+      }
+
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        const [existing] = await conn.execute(
+          'SELECT id FROM ticket_attachments WHERE ticket_id = ? AND file_name = ?',
+          [ticket.id, fileName]
+        );
+        if (existing.length === 0) {
+          await conn.execute(
+            `INSERT INTO ticket_attachments (ticket_id, uploaded_by, file_name, storage, original_name, mime_type, size_bytes, created_at)
+             VALUES (?, ?, ?, 'local', ?, ?, ?, ?)`,
+            [ticket.id, ticket.created_by, fileName, fileName, photo.mime_type, file.size, ticket.created_at]
+          );
+        }
+        await conn.execute(
+          'UPDATE tickets SET photo_url = NULL WHERE id = ? AND photo_url = ?',
+          [ticket.id, ticket.photo_url]
+        );
+        await conn.commit();
+      } catch (error) {
+        try { await conn.rollback(); } catch (e) { /* ignore */ }
+        throw error;
+      } finally {
+        conn.release();
+      }
+
+      summary.moved += 1;
+      console.log(`  ticket ${ticket.id} ${fileName}: moved`);
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`  ticket ${ticket.id} ${fileName}: ${error.message}`);
+    }
+  }
+
+  return summary;
+};
+
+const main = async () => {
+  try {
+    const dryRun = process.argv.slice(2).includes('--dry-run');
+    const summary = await migrate({ dryRun });
+    console.log(`Done: ${summary.moved} moved, ${summary.missing} missing, ${summary.failed} failed`);
+    process.exitCode = summary.failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('Photo migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+main();
@@ -0,0 +1,99 @@
+// Copy attachment files between storage backends.
+//
+//   npm run storage:migrate -- --from local --to s3 [--delete-source] [--dry-run]
+//
+// Each file (with its image variants) is copied, then its ticket_attachments row is pointed at the new
+// backend. The source copy is only removed with --delete-source. Safe to re-run:
+// rows already on the target backend are skipped.
+const { pool } = require('../config/database');
+const { DRIVERS, getStorage } = require('../storage');
+const { attachmentFileNames } = require('../services/attachments');
+
+const parseArgs = (argv) => {
+  const args = { deleteSource: false, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--from': args.from = argv[++i]; break;
+      case '--to': args.to = argv[++i]; break;
+      case '--delete-source': args.deleteSource = true; break;
+      case '--dry-run': args.dryRun = true; break;
+      default: throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return args;
+};
+
+const migrate = async ({ from, to, deleteSource, dryRun }) => {
+  if (!DRIVERS.includes(from) || !DRIVERS.includes(to) || from === to) {
+    throw new Error(`--from and --to must be two different drivers (${DRIVERS.join(', ')})`);
+  }
+
+  const source = getStorage(from);
+  const target = getStorage(to);
+
+  const [rows] = await pool.execute(
+    'SELECT id, file_name, thumbnail_name, preview_name, mime_type FROM ticket_attachments WHERE storage = ? ORDER BY id',
+    [from]
+  );
+  console.log(`${rows.length} attachment(s) stored in "${from}"${dryRun ? ' (dry run)' : ''}`);
+
+  const summary = { copied: 0, missing: 0, failed: 0 };
+  for (const row of rows) {
+    try {
+      const original = await source.getObject(row.file_name);
+      if (!original) {
+        console.warn(`  #${row.id} ${row.file_name}: missing in "${from}", skipped`);
+        summary.missing += 1;
+        continue;
+      }
+      original.stream.destroy?.();
+
+      if (dryRun) {
+        summary.copied += 1;
+        continue;
+      }
+
+      // original plus any image variants; a missing variant falls back to the original when served
+      const fileNames = attachmentFileNames(row);
+      for (const fileName of fileNames) {
+        const object = await source.getObject(fileName);
+        if (!object) continue;
+        await target.putObject(fileName, object.stream, {
+          contentType: fileName === row.file_name ? row.mime_type : 'image/webp',
+          size: object.size
+        });
+      }
+
+      await pool.execute('UPDATE ticket_attachments SET storage = ? WHERE id = ?', [to, row.id]);
+      if (deleteSource) {
+        for (const fileName of fileNames) {
+          await source.deleteObject(fileName);
+        }
+      }
+
+      summary.copied += 1;
+      console.log(`  #${row.id} ${row.file_name}: copied`);
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`  #${row.id} ${row.file_name}: ${error.message}`);
+    }
+  }
+
+  return summary;
+};
+
+const main = async () => {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const summary = await migrate(args);
+    console.log(`Done: ${summary.copied} copied, ${summary.missing} missing, ${summary.failed} failed`);
+    process.exitCode = summary.failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('Storage migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+main();
@@ -0,0 +1,48 @@
+// Run image attachments uploaded before the image pipeline existed through it:
+// strips EXIF/GPS metadata, applies orientation and creates thumbnail/preview.
+//
+//   npm run images:process
+//
+// Only rows without a thumbnail are touched, so it is safe to re-run.
+const { pool } = require('../config/database');
+const { processStoredImage } = require('../services/attachments');
+const { isProcessableImage } = require('../services/images');
+
+const main = async () => {
+  const summary = { processed: 0, missing: 0, failed: 0 };
+  try {
+    const [rows] = await pool.execute(
+      `SELECT id, file_name, storage, mime_type
+       FROM ticket_attachments
+       WHERE thumbnail_name IS NULL AND mime_type LIKE 'image/%'
+       ORDER BY id`
+    );
+    const pending = rows.filter(row => isProcessableImage(row.mime_type));
+    console.log(`${pending.length} image attachment(s) to process`);
+
+    for (const row of pending) {
+      try {
+        if (await processStoredImage(pool, row)) {
+          summary.processed += 1;
+          console.log(`  #${row.id} ${row.file_name}: processed`);
+        } else {
+          summary.missing += 1;
+          console.warn(`  #${row.id} ${row.file_name}: file missing, skipped`);
+        }
+      } catch (error) {
+        summary.failed += 1;
+        console.error(`  #${row.id} ${row.file_name}: ${error.message}`);
+      }
+    }
+
+    console.log(`Done: ${summary.processed} processed, ${summary.missing} missing, ${summary.failed} failed`);
+    process.exitCode = summary.failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('Image processing failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+main();
@@ -0,0 +1,318 @@
+const path = require('path');
+const crypto = require('crypto');
+const { getStorage } = require('../storage');
+const images = require('./images');
+const { isImageFileName, fileMimeType } = require('../middleware/upload');
+
+// Lifetime of signed download links handed to the client (e.g. for <img> tags)
+const URL_TTL_SECONDS = parseInt(process.env.ATTACHMENT_URL_TTL_SECONDS || '300', 10);
+
+const getSigningSecret = () => (
+  process.env.ATTACHMENT_URL_SECRET || process.env.JWT_SECRET || 'your-secret-key'
+);
+
+// Signed over the ticket too: a legacy photo's id ('photo') is the same on every ticket
+const computeSignature = (ticketId, attachmentId, expires) => crypto
+  .createHmac('sha256', getSigningSecret())
+  .update(`${ticketId}:${attachmentId}:${expires}`)
+  .digest('hex');
+
+const urlExpiry = () => Math.floor(Date.now() / 1000) + URL_TTL_SECONDS;
+
+// Short-lived link that works without an Authorization header
+const signAttachmentUrl = (ticketId, attachmentId, expires = urlExpiry()) => {
+  const sig = computeSignature(ticketId, attachmentId, expires);
+  return `/api/tickets/${ticketId}/attachments/${attachmentId}?expires=${expires}&sig=${sig}`;
+};
+
+const verifyAttachmentSignature = (ticketId, attachmentId, expires, sig) => {
+  if (!expires || !sig || !/^[0-9a-f]{64}$/.test(String(sig))) return false;
+  if (Number(expires) < Math.floor(Date.now() / 1000)) return false;
+
+  const expected = Buffer.from(computeSignature(ticketId, attachmentId, expires), 'hex');
+  return crypto.timingSafeEqual(expected, Buffer.from(String(sig), 'hex'));
+};
+
+// Public fields of an attachment row plus signed URLs the client loads it from.
+// thumbnail_url / preview_url fall back to the original for unprocessed images.
+// The URLs stop working at url_expires_at; list the attachments again for new ones.
+const toAttachmentResponse = (row) => {
+  const expires = urlExpiry();
+  const url = signAttachmentUrl(row.ticket_id, row.id, expires);
+  const isImage = String(row.mime_type || '').startsWith('image/');
+  return {
+    id: row.id,
+    ticket_id: row.ticket_id,
+    original_name: row.original_name,
+    mime_type: row.mime_type,
+    size_bytes: row.size_bytes,
+    uploaded_by: row.uploaded_by,
+    uploaded_by_name: row.uploaded_by_name || null,
+    legacy: row.id === LEGACY_PHOTO_ID,
+    is_image: isImage,
+    width: row.width || null,
+    height: row.height || null,
+    url,
+    download_url: `${url}&download=1`,
+    thumbnail_url: isImage ? (row.thumbnail_name ? `${url}&variant=thumb` : url) : null,
+    preview_url: isImage ? (row.preview_name ? `${url}&variant=preview` : url) : null,
+    url_expires_at: new Date(expires * 1000).toISOString(),
+    created_at: row.created_at
+  };
+};
+
+// Photos from before multiple attachments (tickets.photo_url) stay in the "local"
+// backend until `npm run photos:migrate` moves them into ticket_attachments.
+// Until then they are served as a read-only attachment with the id 'photo'.
+const LEGACY_PHOTO_ID = 'photo';
+
+const LEGACY_PHOTO_MIME_TYPES = {
+  '.png': 'image/png',
+  '.gif': 'image/gif'
+};
+
+// Attachment row for a ticket's legacy photo ({ id, photo_url, created_by, created_at })
+const legacyPhotoRow = (ticket) => {
+  const fileName = path.basename(ticket.photo_url);
+  return {
+    id: LEGACY_PHOTO_ID,
+    ticket_id: ticket.id,
+    uploaded_by: ticket.created_by,
+    uploaded_by_name: ticket.created_by_name || null,
+    file_name: fileName,
+    storage: 'local',
+    original_name: fileName,
+    mime_type: LEGACY_PHOTO_MIME_TYPES[path.extname(fileName).toLowerCase()] || 'image/jpeg',
+    size_bytes: null,
+    created_at: ticket.created_at
+  };
+};
+
+// Legacy photo rows of the given tickets that still have one
+const findLegacyPhotos = async (db, ticketIds) => {
+  if (ticketIds.length === 0) return [];
+  const [tickets] = await db.execute(`
+    SELECT t.id, t.photo_url, t.created_by, u.username as created_by_name, t.created_at
+    FROM tickets t
+    LEFT JOIN users u ON t.created_by = u.id
+    WHERE t.id IN (${ticketIds.map(() => '?').join(', ')}) AND t.photo_url IS NOT NULL
+  `, ticketIds);
+  return tickets.map(legacyPhotoRow);
+};
+
+const findLegacyPhoto = async (db, ticketId) => (await findLegacyPhotos(db, [ticketId]))[0] || null;
+
+const listAttachments = async (db, ticketId) => {
+  const legacy = await findLegacyPhotos(db, [ticketId]);
+  const [rows] = await db.execute(`
+    SELECT ta.*, u.username as uploaded_by_name
+    FROM ticket_attachments ta
+    LEFT JOIN users u ON ta.uploaded_by = u.id
+    WHERE ta.ticket_id = ?
+    ORDER BY ta.created_at ASC, ta.id ASC
+  `, [ticketId]);
+
+  return [...legacy, ...rows].map(toAttachmentResponse);
+};
+
+// First image (as a response object) and attachment count for each ticket in a list page
+const summarizeForTickets = async (db, ticketIds) => {
+  const summaries = new Map();
+  if (ticketIds.length === 0) return summaries;
+
+  const legacy = await findLegacyPhotos(db, ticketIds);
+  const [rows] = await db.execute(`
+    SELECT * FROM ticket_attachments
+    WHERE ticket_id IN (${ticketIds.map(() => '?').join(', ')})
+    ORDER BY created_at ASC, id ASC
+  `, ticketIds);
+
+  [...legacy, ...rows].forEach(row => {
+    if (!summaries.has(row.ticket_id)) {
+      summaries.set(row.ticket_id, { count: 0, image: null });
+    }
+    const summary = summaries.get(row.ticket_id);
+    summary.count += 1;
+    if (!summary.image && String(row.mime_type).startsWith('image/')) {
+      summary.image = toAttachmentResponse(row);
+    }
+  });
+  return summaries;
+};
+
+// Unique object key for an uploaded file, keeping its (lowercased) extension
+const generateFileName = (originalName) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return 'ticket-' + uniqueSuffix + path.extname(originalName).toLowerCase();
+};
+
+// Object key of an image variant, e.g. ticket-123-456-thumb.webp
+const variantFileName = (fileName, variant) => (
+  `${path.basename(fileName, path.extname(fileName))}-${variant}.webp`
+);
+
+// Run an image through services/images.js and write the cleaned original
+// plus its variants. Returns the columns to store on the attachment row.
+const storeImage = async (storage, fileName, buffer, mimeType) => {
+  const processed = await images.processImage(buffer, mimeType);
+  const columns = {
+    size_bytes: processed.size,
+    width: processed.width || null,
+    height: processed.height || null,
+    thumbnail_name: variantFileName(fileName, 'thumb'),
+    preview_name: variantFileName(fileName, 'preview')
+  };
+
+  await storage.putObject(fileName, processed.buffer, { contentType: mimeType, size: processed.size });
+  await storage.putObject(columns.thumbnail_name, processed.variants.thumb, { contentType: images.VARIANT_MIME_TYPE });
+  await storage.putObject(columns.preview_name, processed.variants.preview, { contentType: images.VARIANT_MIME_TYPE });
+  return columns;
+};
+
+// Content type to store and serve a file with. Images are identified by their
+// content and must decode; other files go by their extension.
+const resolveMimeType = async (file) => (
+  isImageFileName(file.originalname)
+    ? images.identifyImage(file.buffer)
+    : fileMimeType(file.originalname)
+);
+
+// Write multer (memory) files to the current storage backend, processing images
+// on the way. Returns descriptors for recordAttachments / removeStoredFiles.
+const storeFiles = async (files = []) => {
+  const storage = getStorage();
+  const stored = [];
+  try {
+    for (const file of files) {
+      const mimeType = await resolveMimeType(file);
+      const entry = {
+        file_name: generateFileName(file.originalname),
+        storage: storage.name,
+        original_name: file.originalname,
+        mime_type: mimeType,
+        size_bytes: file.size
+      };
+      // pushed first so a failure part-way through still cleans up
+      stored.push(entry);
+
+      if (images.isProcessableImage(mimeType)) {
+        Object.assign(entry, await storeImage(storage, entry.file_name, file.buffer, mimeType));
+      } else {
+        await storage.putObject(entry.file_name, file.buffer, { contentType: mimeType, size: file.size });
+      }
+    }
+  } catch (error) {
+    await removeStoredFiles(stored);
+    throw error;
+  }
+  return stored;
+};
+
+// Record stored files against a ticket
+const recordAttachments = async (db, ticketId, userId, stored = []) => {
+  const saved = [];
+  for (const file of stored) {
+    const [result] = await db.execute(
+      `INSERT INTO ticket_attachments (ticket_id, uploaded_by, file_name, thumbnail_name, preview_name, storage,
+        original_name, mime_type, size_bytes, width, height)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [ticketId, userId, file.file_name, file.thumbnail_name || null, file.preview_name || null, file.storage,
+        file.original_name, file.mime_type, file.size_bytes, file.width || null, file.height || null]
+    );
+    saved.push({ ...file, id: result.insertId, ticket_id: ticketId, uploaded_by: userId });
+  }
+  return saved.map(toAttachmentResponse);
+};
+
+// Store and record in one step; stored objects are removed if recording fails
+const saveAttachments = async (db, ticketId, userId, files = []) => {
+  const stored = await storeFiles(files);
+  try {
+    return await recordAttachments(db, ticketId, userId, stored);
+  } catch (error) {
+    await removeStoredFiles(stored);
+    throw error;
+  }
+};
+
+// Object keys belonging to an attachment (original plus any image variants)
+const attachmentFileNames = (attachment) => (
+  [attachment.file_name, attachment.thumbnail_name, attachment.preview_name].filter(Boolean)
+);
+
+// Open a stored file for reading: { stream, size, mimeType } or null if it is missing.
+// variant is 'thumb' or 'preview'; images without that variant get the original.
+const openAttachment = async (attachment, variant) => {
+  const storage = getStorage(attachment.storage);
+  const variantName = variant && attachment[`${variant === 'thumb' ? 'thumbnail' : variant}_name`];
+  if (variantName) {
+    const file = await storage.getObject(variantName);
+    if (file) return { ...file, mimeType: images.VARIANT_MIME_TYPE };
+  }
+
+  const file = await storage.getObject(attachment.file_name);
+  return file && { ...file, mimeType: attachment.mime_type };
+};
+
+// Delete an attachment's stored files; failures are logged so they never block the caller
+const removeAttachmentFile = async (attachment) => {
+  const storage = getStorage(attachment.storage);
+  for (const fileName of attachmentFileNames(attachment)) {
+    try {
+      await storage.deleteObject(fileName);
+    } catch (error) {
+      console.error(`Remove attachment file ${fileName} error:`, error);
+    }
+  }
+};
+
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+// Run an already stored image (e.g. uploaded before the pipeline existed)
+// through the image pipeline. Returns false when the original is missing.
+const processStoredImage = async (db, attachment) => {
+  const storage = getStorage(attachment.storage);
+  const file = await storage.getObject(attachment.file_name);
+  if (!file) return false;
+
+  const buffer = await streamToBuffer(file.stream);
+  const columns = await storeImage(storage, attachment.file_name, buffer, attachment.mime_type);
+  await db.execute(
+    `UPDATE ticket_attachments
+     SET thumbnail_name = ?, preview_name = ?, size_bytes = ?, width = ?, height = ?
+     WHERE id = ?`,
+    [columns.thumbnail_name, columns.preview_name, columns.size_bytes, columns.width, columns.height, attachment.id]
+  );
+  return true;
+};
+
+const removeStoredFiles = async (stored = []) => {
+  for (const file of stored) {
+    await removeAttachmentFile(file);
+  }
+};
+
+module.exports = {
+  LEGACY_PHOTO_ID,
+  legacyPhotoRow,
+  findLegacyPhoto,
+  signAttachmentUrl,
+  verifyAttachmentSignature,
+  toAttachmentResponse,
+  listAttachments,
+  summarizeForTickets,
+  storeFiles,
+  recordAttachments,
+  saveAttachments,
+  openAttachment,
+  attachmentFileNames,
+  processStoredImage,
+  removeAttachmentFile,
+  removeStoredFiles
+};
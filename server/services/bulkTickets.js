@@ -0,0 +1,127 @@
+const { pool } = require('../config/database');
+const workflow = require('../config/workflow');
+const attachments = require('./attachments');
+const ticketService = require('./tickets');
+const watchers = require('./watchers');
+const { emitTicketEvent } = require('./events');
+
+// Bulk ticket operations (POST /api/tickets/bulk). The batch runs in one
+// transaction: tickets that fail a check (closed, workflow, no change) are
+// skipped and reported, the rest are changed together. A database error rolls
+// the whole batch back. Events and attachment file removal wait for the commit.
+
+const ACTIONS = ['status', 'assign', 'priority', 'note', 'delete'];
+const MAX_BULK_TICKETS = 100;
+
+const skip = (ticket, message) => ({ id: ticket.id, ticket_number: ticket.ticket_number, success: false, message });
+const done = (ticket, message) => ({ id: ticket.id, ticket_number: ticket.ticket_number, success: true, message });
+
+// Apply one action to one locked ticket; returns its result entry
+const applyToTicket = async (conn, ticket, user, action, options, pending) => {
+  if (ticket.status === 'Closed') {
+    return skip(ticket, action === 'delete' ? 'Cannot delete a closed ticket' : 'Cannot modify a closed ticket');
+  }
+
+  const notes = options.notes || null;
+
+  switch (action) {
+    case 'status': {
+      const transition = workflow.checkTransition(ticket, user, options.status);
+      if (!transition.allowed) {
+        return skip(ticket, `Cannot change status from ${ticket.status} to ${options.status}`);
+      }
+      if (transition.requiresNote && !notes) {
+        return skip(ticket, `A note is required when moving a ticket to ${options.status}`);
+      }
+      await ticketService.changeStatus(conn, ticket, user, options.status, notes, pending.events);
+      return done(ticket, `Status changed to ${options.status}`);
+    }
+
+    case 'assign': {
+      const assigneeId = options.assignee ? options.assignee.id : null;
+      if (ticket.assigned_to === assigneeId) {
+        return skip(ticket, assigneeId ? 'Already assigned to this user' : 'Already unassigned');
+      }
+      await ticketService.assignTicket(conn, ticket, user, options.assignee, notes, pending.events);
+      return done(ticket, options.assignee ? `Assigned to ${options.assignee.username}` : 'Unassigned');
+    }
+
+    case 'priority':
+      if (ticket.priority === options.priority) {
+        return skip(ticket, `Priority is already ${options.priority}`);
+      }
+      await ticketService.changePriority(conn, ticket, user, options.priority, notes);
+      return done(ticket, `Priority set to ${options.priority}`);
+
+    case 'note':
+      await ticketService.addNote(conn, ticket.id, user, notes, options.visibility || 'public', pending.events);
+      return done(ticket, options.visibility === 'internal' ? 'Internal note added' : 'Note added');
+
+    case 'delete': {
+      const [files] = await conn.execute(
+        'SELECT file_name, thumbnail_name, preview_name, storage FROM ticket_attachments WHERE ticket_id = ?',
+        [ticket.id]
+      );
+      pending.files.push(...files);
+
+      // ticket_updates and ticket_watchers rows go with the ticket (CASCADE); the
+      // 'deleted' event carries the row and who watched it
+      const watcherIds = await watchers.getWatcherIds(conn, ticket.id);
+      await conn.execute('DELETE FROM tickets WHERE id = ?', [ticket.id]);
+      pending.events.push(['deleted', ticket.id, user, { ticket, watcherIds }]);
+      return done(ticket, 'Deleted');
+    }
+
+    default:
+      throw new Error(`Unknown bulk action ${action}`);
+  }
+};
+
+// Run action on ticketIds as user. options: { status, assignee, priority, notes, visibility }.
+// Returns one { id, ticket_number, success, message } per requested id.
+const runBulkAction = async (ticketIds, user, action, options) => {
+  const ids = [...new Set(ticketIds.map(Number))];
+  const pending = { events: [], files: [] };
+  const results = [];
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    // Lock the batch so nobody changes these tickets halfway through
+    const [rows] = await conn.execute(`
+      SELECT t.id, t.ticket_number, t.status, t.priority, t.department, t.equipment_type,
+        t.created_by, t.assigned_to, t.created_at, a.username as assigned_to_name
+      FROM tickets t
+      LEFT JOIN users a ON t.assigned_to = a.id
+      WHERE t.id IN (${ids.map(() => '?').join(', ')})
+      FOR UPDATE
+    `, ids);
+    const ticketsById = new Map(rows.map(row => [row.id, row]));
+
+    for (const id of ids) {
+      const ticket = ticketsById.get(id);
+      results.push(ticket
+        ? await applyToTicket(conn, ticket, user, action, options, pending)
+        : { id, ticket_number: null, success: false, message: 'Ticket not found' });
+    }
+
+    await conn.commit();
+  } catch (error) {
+    try { await conn.rollback(); } catch (e) { /* ignore */ }
+    throw error;
+  } finally {
+    conn.release();
+  }
+
+  await attachments.removeStoredFiles(pending.files);
+  pending.events.forEach(args => emitTicketEvent(...args));
+
+  return results;
+};
+
+module.exports = {
+  ACTIONS,
+  MAX_BULK_TICKETS,
+  runBulkAction
+};
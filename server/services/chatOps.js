@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { onTicketEvent } = require('./events');
+const sla = require('./sla');
+const workflow = require('../config/workflow');
+const ticketService = require('./tickets');
+const watchers = require('./watchers');
+
+// Chat-ops for Slack and Mattermost.
+//
+// Outgoing: new tickets and SLA breaches are posted to an incoming webhook,
+// one channel per department (CHAT_DEPARTMENT_WEBHOOKS) with CHAT_WEBHOOK_URL
+// as the fallback. Messages use the Slack "attachments" format, which
+// Mattermost accepts as well.
+//
+// Incoming: the /ticket slash command (routes/chat.js). Slack requests are
+// verified with CHAT_SIGNING_SECRET, Mattermost requests with
+// CHAT_COMMAND_TOKEN. The chat user is looked up through the platform API
+// and matched to users.email.
+
+const PLATFORM = process.env.CHAT_PLATFORM === 'mattermost' ? 'mattermost' : 'slack';
+const APP_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+const TIMEOUT_MS = 10 * 1000;
+// Slack rejects replayed requests older than five minutes; so do we
+const MAX_REQUEST_AGE_SECONDS = 5 * 60;
+const USER_CACHE_MS = 10 * 60 * 1000;
+
+const PRIORITY_COLORS = {
+  Low: '#6b7280',
+  Medium: '#3b82f6',
+  High: '#f59e0b',
+  Critical: '#ef4444'
+};
+const BREACH_COLOR = '#ef4444';
+
+const parseDepartmentWebhooks = () => {
+  if (!process.env.CHAT_DEPARTMENT_WEBHOOKS) return {};
+  try {
+    return JSON.parse(process.env.CHAT_DEPARTMENT_WEBHOOKS);
+  } catch (error) {
+    console.error('CHAT_DEPARTMENT_WEBHOOKS is not valid JSON, ignoring it:', error.message);
+    return {};
+  }
+};
+
+const departmentWebhooks = parseDepartmentWebhooks();
+
+// Incoming webhook URL for a department's channel, or null if chat is not set up
+const channelFor = (department) => departmentWebhooks[department] || process.env.CHAT_WEBHOOK_URL || null;
+
+const isEnabled = () => !!process.env.CHAT_WEBHOOK_URL || Object.keys(departmentWebhooks).length > 0;
+
+const ticketUrl = (ticketId) => `${APP_URL}/tickets/${ticketId}`;
+
+const truncate = (text, length) => {
+  const value = String(text || '');
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+};
+
+// Slack/Mattermost message describing a ticket
+const buildTicketMessage = (ticket, { text, color }) => ({
+  text,
+  attachments: [{
+    fallback: `${text}: ${ticket.ticket_number}`,
+    color: color || PRIORITY_COLORS[ticket.priority],
+    title: `${ticket.ticket_number} · ${ticket.equipment_type}`,
+    title_link: ticketUrl(ticket.id),
+    text: truncate(ticket.problem_description, 500),
+    fields: [
+      { title: 'Status', value: ticket.status, short: true },
+      { title: 'Priority', value: ticket.priority, short: true },
+      { title: 'Department', value: ticket.department, short: true },
+      { title: 'Requester', value: ticket.created_by_name || 'Unknown', short: true },
+      { title: 'Assignee', value: ticket.assigned_to_name || 'Unassigned', short: true },
+      ...(ticket.sla && ticket.sla.resolve_due_at
+        ? [{ title: 'Resolve by', value: new Date(ticket.sla.resolve_due_at).toLocaleString(), short: true }]
+        : [])
+    ]
+  }]
+});
+
+const findTicket = async (where, value) => {
+  const [tickets] = await pool.execute(`
+    SELECT t.*, u.username as created_by_name, a.username as assigned_to_name
+    FROM tickets t
+    LEFT JOIN users u ON t.created_by = u.id
+    LEFT JOIN users a ON t.assigned_to = a.id
+    WHERE ${where} = ?
+  `, [value]);
+  return tickets[0] ? sla.withSlaFlags(tickets[0]) : null;
+};
+
+// POST a message to an incoming webhook; failures are logged, never thrown
+const postMessage = async (url, message) => {
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      console.error(`Chat webhook responded with HTTP ${response.status}`);
+    }
+  } catch (error) {
+    console.error('Chat webhook error:', error.message);
+  }
+};
+
+const handleCreated = async (event) => {
+  const ticket = await findTicket('t.id', event.ticketId);
+  if (!ticket) return;
+  const url = channelFor(ticket.department);
+  if (!url) return;
+
+  await postMessage(url, buildTicketMessage(ticket, {
+    text: `New ${ticket.priority.toLowerCase()} priority ticket from ${ticket.created_by_name || 'Unknown'}`
+  }));
+};
+
+const handleSlaBreached = async (event) => {
+  const ticket = await findTicket('t.id', event.ticketId);
+  if (!ticket) return;
+  const url = channelFor(ticket.department);
+  if (!url) return;
+
+  await postMessage(url, buildTicketMessage(ticket, {
+    text: `:rotating_light: ${ticket.ticket_number} missed its ${event.data.breach} target`,
+    color: BREACH_COLOR
+  }));
+};
+
+const registerChatOps = () => {
+  if (!isEnabled()) return;
+  onTicketEvent('created', handleCreated);
+  onTicketEvent('sla_breached', handleSlaBreached);
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Slack: X-Slack-Signature = v0=HMAC_SHA256(secret, `v0:${timestamp}:${rawBody}`)
+const signSlackRequest = (secret, timestamp, rawBody) => 'v0=' + crypto
+  .createHmac('sha256', secret)
+  .update(`v0:${timestamp}:${rawBody}`)
+  .digest('hex');
+
+// True if a slash command request really comes from the chat server.
+// rawBody is the unparsed request body (needed for Slack signatures).
+const verifyCommandRequest = ({ headers, rawBody, body }) => {
+  if (process.env.CHAT_SIGNING_SECRET) {
+    const timestamp = headers['x-slack-request-timestamp'];
+    const signature = headers['x-slack-signature'];
+    if (!timestamp || !signature) return false;
+    if (Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp)) > MAX_REQUEST_AGE_SECONDS) return false;
+    return safeEqual(signSlackRequest(process.env.CHAT_SIGNING_SECRET, timestamp, rawBody), signature);
+  }
+  if (process.env.CHAT_COMMAND_TOKEN) {
+    return !!body.token && safeEqual(body.token, process.env.CHAT_COMMAND_TOKEN);
+  }
+  return false;
+};
+
+const isCommandEnabled = () => !!(process.env.CHAT_SIGNING_SECRET || process.env.CHAT_COMMAND_TOKEN);
+
+const userEmailCache = new Map();
+
+// Email address of a chat user from the Slack or Mattermost API
+const fetchChatUserEmail = async (chatUserId) => {
+  const token = process.env.CHAT_API_TOKEN;
+  if (!token) throw new Error('CHAT_API_TOKEN is not set');
+
+  const url = PLATFORM === 'mattermost'
+    ? `${process.env.CHAT_API_URL}/api/v4/users/${encodeURIComponent(chatUserId)}`
+    : `${process.env.CHAT_API_URL || 'https://slack.com/api'}/users.info?user=${encodeURIComponent(chatUserId)}`;
+
+  const response = await fetch(url, {
+    headers: { Authorization: `Bearer ${token}` },
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  });
+  if (!response.ok) throw new Error(`Chat user lookup failed with HTTP ${response.status}`);
+  const data = await response.json();
+
+  if (PLATFORM === 'mattermost') return data.email || null;
+  if (!data.ok) throw new Error(`Chat user lookup failed: ${data.error}`);
+  return (data.user && data.user.profile && data.user.profile.email) || null;
+};
+
+// The helpdesk user behind a chat user (matched on users.email), or null
+const resolveChatUser = async (chatUserId) => {
+  const cached = userEmailCache.get(chatUserId);
+  let email = cached && cached.expires > Date.now() ? cached.email : undefined;
+  if (email === undefined) {
+    email = await fetchChatUserEmail(chatUserId);
+    userEmailCache.set(chatUserId, { email, expires: Date.now() + USER_CACHE_MS });
+  }
+  if (!email) return null;
+
+  const [users] = await pool.execute(
+    'SELECT id, username, email, role FROM users WHERE email = ?',
+    [email]
+  );
+  return users[0] || null;
+};
+
+const USAGE = [
+  '*Usage*',
+  '`/ticket TKT20250012` - show a ticket',
+  '`/ticket close TKT20250012 <reason>` - close (or mark Done) a ticket'
+].join('\n');
+
+const reply = (text, extra = {}) => ({ response_type: 'ephemeral', text, ...extra });
+
+const showTicket = async (user, ticketNumber) => {
+  const ticket = await findTicket('t.ticket_number', ticketNumber);
+  if (!ticket || !(await watchers.canAccess(pool, ticket, user))) {
+    return reply(`Ticket ${ticketNumber} not found`);
+  }
+  return reply('', buildTicketMessage(ticket, { text: `${ticket.ticket_number} is ${ticket.status}` }));
+};
+
+// "close" moves the ticket to Closed when the workflow lets this user do so,
+// otherwise to Done so the requester can confirm
+const closeTicket = async (user, ticketNumber, reason) => {
+  const ticket = await findTicket('t.ticket_number', ticketNumber);
+  if (!ticket || !(await watchers.canAccess(pool, ticket, user))) {
+    return reply(`Ticket ${ticketNumber} not found`);
+  }
+  if (ticket.status === 'Closed') {
+    return reply(`${ticketNumber} is already closed`);
+  }
+  if (!reason) {
+    return reply(`Please give a reason, e.g. \`/ticket close ${ticketNumber} replaced the fan\``);
+  }
+
+  const target = ['Closed', 'Done'].find(status => workflow.checkTransition(ticket, user, status).allowed);
+  if (!target) {
+    return reply(`You cannot close ${ticketNumber} while it is ${ticket.status}`);
+  }
+
+  await ticketService.changeStatus(pool, ticket, user, target, `${reason} (via chat)`);
+
+  return {
+    response_type: 'in_channel',
+    text: target === 'Closed'
+      ? `${user.username} closed ${ticketNumber}: ${reason}`
+      : `${user.username} marked ${ticketNumber} as Done: ${reason}. The requester will be asked to confirm.`
+  };
+};
+
+// Run a /ticket command; body is the slash command form payload.
+// Returns the JSON response for the chat server.
+const handleCommand = async (body) => {
+  const args = String(body.text || '').trim().split(/\s+/).filter(Boolean);
+  if (args.length === 0 || args[0].toLowerCase() === 'help') {
+    return reply(USAGE);
+  }
+
+  const user = await resolveChatUser(body.user_id);
+  if (!user) {
+    return reply('Your chat account is not linked to a helpdesk user. Ask IT to check that your email addresses match.');
+  }
+
+  const action = args[0].toLowerCase();
+  if (action === 'close' && args[1]) {
+    return closeTicket(user, args[1].toUpperCase(), args.slice(2).join(' '));
+  }
+  if (action === 'status' && args[1]) {
+    return showTicket(user, args[1].toUpperCase());
+  }
+  if (/^TKT\d+$/i.test(args[0])) {
+    return showTicket(user, args[0].toUpperCase());
+  }
+  return reply(USAGE);
+};
+
+module.exports = {
+  buildTicketMessage,
+  signSlackRequest,
+  verifyCommandRequest,
+  isCommandEnabled,
+  resolveChatUser,
+  handleCommand,
+  registerChatOps
+};
@@ -0,0 +1,132 @@
+const { pool } = require('../config/database');
+const ticketService = require('./tickets');
+const watchers = require('./watchers');
+const { emitTicketEvent } = require('./events');
+
+// Duplicate tickets: suggestions while a ticket is being written, and merging
+// a duplicate into the ticket that stays open.
+
+const OPEN_STATUSES = ['Pending', 'In Progress', 'On Hold'];
+const MAX_SUGGESTIONS = 5;
+const MIN_DESCRIPTION_LENGTH = 10;
+
+// Open tickets from the same department whose description resembles text.
+// Like /api/dashboard/recurring-problems this looks for the same problem
+// reported again, but ranks similar rather than identical wording (FULLTEXT
+// natural language search on problem_description). With user, only tickets
+// that user may open count (users: their own and watched tickets).
+const findSimilarTickets = async (department, text, { excludeId = null, user = null } = {}) => {
+  const description = String(text || '').trim();
+  if (!department || description.length < MIN_DESCRIPTION_LENGTH) return [];
+
+  const access = user && user.role === 'user'
+    ? { sql: `AND ${watchers.accessCondition('t')}`, params: [user.id, user.id] }
+    : { sql: '', params: [] };
+
+  const [rows] = await pool.execute(`
+    SELECT t.id, t.ticket_number, t.status, t.priority, t.equipment_type, t.problem_description,
+      t.created_by, t.created_at, u.username as created_by_name,
+      MATCH(t.problem_description) AGAINST (? IN NATURAL LANGUAGE MODE) as score
+    FROM tickets t
+    LEFT JOIN users u ON t.created_by = u.id
+    WHERE t.department = ?
+      AND t.status IN (${OPEN_STATUSES.map(() => '?').join(', ')})
+      AND t.id <> ?
+      AND MATCH(t.problem_description) AGAINST (? IN NATURAL LANGUAGE MODE)
+      ${access.sql}
+    ORDER BY score DESC, t.created_at DESC
+    LIMIT ${MAX_SUGGESTIONS}
+  `, [description, department, ...OPEN_STATUSES, excludeId || 0, description, ...access.params]);
+
+  return rows;
+};
+
+const lockTicket = async (conn, id) => {
+  const [rows] = await conn.execute(
+    'SELECT id, ticket_number, status, created_by, merged_into FROM tickets WHERE id = ? FOR UPDATE',
+    [id]
+  );
+  return rows[0] || null;
+};
+
+const mergeError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Fold duplicate into primary: notes, attachments and watchers move over, the
+// duplicate's requester starts watching the primary, and the duplicate is
+// closed with merged_into set. Both tickets get a 'merge' history entry.
+// Throws an error with .status (404/400) when the merge is not possible.
+const mergeTickets = async (duplicateId, primaryId, user, notes = null) => {
+  const events = [];
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const duplicate = await lockTicket(conn, duplicateId);
+    const primary = await lockTicket(conn, primaryId);
+    if (!duplicate) throw mergeError(404, 'Ticket not found');
+    if (!primary) throw mergeError(404, 'Ticket to merge into not found');
+    if (duplicate.id === primary.id) throw mergeError(400, 'A ticket cannot be merged into itself');
+    if (duplicate.status === 'Closed') throw mergeError(400, 'Cannot modify a closed ticket');
+    if (primary.status === 'Closed') throw mergeError(400, 'Cannot merge into a closed ticket');
+
+    // Notes keep their author, date and visibility; status and other history stays put
+    const [movedNotes] = await conn.execute(
+      "UPDATE ticket_updates SET ticket_id = ? WHERE ticket_id = ? AND update_type = 'note'",
+      [primary.id, duplicate.id]
+    );
+
+    const [movedAttachments] = await conn.execute(
+      'UPDATE ticket_attachments SET ticket_id = ? WHERE ticket_id = ?',
+      [primary.id, duplicate.id]
+    );
+
+    // Watchers (and the duplicate's requester) follow the primary ticket from now on
+    await conn.execute(`
+      INSERT IGNORE INTO ticket_watchers (ticket_id, user_id, added_by)
+      SELECT ?, user_id, added_by FROM ticket_watchers WHERE ticket_id = ? AND user_id <> ?
+    `, [primary.id, duplicate.id, primary.created_by]);
+    if (Number(duplicate.created_by) !== Number(primary.created_by)) {
+      await conn.execute(
+        'INSERT IGNORE INTO ticket_watchers (ticket_id, user_id, added_by) VALUES (?, ?, ?)',
+        [primary.id, duplicate.created_by, user.id]
+      );
+    }
+    await conn.execute('DELETE FROM ticket_watchers WHERE ticket_id = ?', [duplicate.id]);
+
+    await conn.execute(
+      'INSERT INTO ticket_updates (ticket_id, user_id, update_type, old_value, notes) VALUES (?, ?, ?, ?, ?)',
+      [primary.id, user.id, 'merge', duplicate.ticket_number, notes]
+    );
+    await conn.execute(
+      'INSERT INTO ticket_updates (ticket_id, user_id, update_type, new_value, notes) VALUES (?, ?, ?, ?, ?)',
+      [duplicate.id, user.id, 'merge', primary.ticket_number, notes]
+    );
+
+    await conn.execute('UPDATE tickets SET merged_into = ? WHERE id = ?', [primary.id, duplicate.id]);
+    await ticketService.changeStatus(conn, duplicate, user, 'Closed', `Merged into ${primary.ticket_number}`, events);
+
+    await conn.commit();
+
+    events.forEach(args => emitTicketEvent(...args));
+
+    return {
+      duplicate: { id: duplicate.id, ticket_number: duplicate.ticket_number },
+      primary: { id: primary.id, ticket_number: primary.ticket_number },
+      moved: { notes: movedNotes.affectedRows, attachments: movedAttachments.affectedRows }
+    };
+  } catch (error) {
+    try { await conn.rollback(); } catch (e) { /* ignore */ }
+    throw error;
+  } finally {
+    conn.release();
+  }
+};
+
+module.exports = {
+  findSimilarTickets,
+  mergeTickets
+};
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { pool } = require('../config/database');
+const { templates, render } = require('../config/emailTemplates');
+const { onTicketEvent } = require('./events');
+const watchers = require('./watchers');
+
+// Email notifications for ticket events (see services/events.js).
+//
+// The requester and assignee are notified; people are not emailed about their
+// own changes, except for the "ticket received" confirmation. Each user can
+// opt out per event type or switch to an hourly digest (jobs/emailDigest.js).
+// Sending is disabled unless EMAIL_HOST is set.
+
+// Event type -> notification_preferences column
+const PREFERENCE_COLUMNS = {
+  created: 'notify_created',
+  status_changed: 'notify_status',
+  note_added: 'notify_note',
+  assigned: 'notify_assignment'
+};
+
+const DEFAULT_PREFERENCES = {
+  email_enabled: true,
+  notify_created: true,
+  notify_status: true,
+  notify_note: true,
+  notify_assignment: true,
+  digest: false
+};
+
+const APP_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+let transporter = null;
+
+const isEmailEnabled = () => !!process.env.EMAIL_HOST;
+
+const getTransporter = () => {
+  if (!transporter) {
+    const port = parseInt(process.env.EMAIL_PORT || '587', 10);
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port,
+      secure: process.env.EMAIL_SECURE ? process.env.EMAIL_SECURE === 'true' : port === 465,
+      auth: process.env.EMAIL_USER ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS } : undefined
+    });
+  }
+  return transporter;
+};
+
+const sendMail = ({ to, subject, text }) => getTransporter().sendMail({
+  from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+  to,
+  subject,
+  text
+});
+
+// Preference row for a user, with defaults for users who never saved one
+const toPreferences = (row) => {
+  const preferences = {};
+  Object.keys(DEFAULT_PREFERENCES).forEach(key => {
+    preferences[key] = row && row[key] !== null && row[key] !== undefined
+      ? !!row[key]
+      : DEFAULT_PREFERENCES[key];
+  });
+  return preferences;
+};
+
+const getPreferences = async (db, userId) => {
+  const [rows] = await db.execute('SELECT * FROM notification_preferences WHERE user_id = ?', [userId]);
+  return toPreferences(rows[0]);
+};
+
+const savePreferences = async (db, userId, changes) => {
+  const preferences = { ...(await getPreferences(db, userId)), ...changes };
+  const columns = Object.keys(DEFAULT_PREFERENCES);
+  await db.execute(
+    `INSERT INTO notification_preferences (user_id, ${columns.join(', ')})
+     VALUES (?, ${columns.map(() => '?').join(', ')})
+     ON DUPLICATE KEY UPDATE ${columns.map(c => `${c} = VALUES(${c})`).join(', ')}`,
+    [userId, ...columns.map(c => (preferences[c] ? 1 : 0))]
+  );
+  return preferences;
+};
+
+const ticketUrl = (ticketId) => `${APP_URL}/tickets/${ticketId}`;
+
+// People to notify about a ticket (requester, assignee and watchers), with their preferences
+const getRecipients = async (ticket) => {
+  const watcherIds = await watchers.getWatcherIds(pool, ticket.id);
+  const ids = [...new Set([ticket.created_by, ticket.assigned_to, ...watcherIds].filter(Boolean))];
+  if (ids.length === 0) return [];
+
+  const [rows] = await pool.execute(`
+    SELECT u.id, u.username, u.email, u.role, np.email_enabled, np.notify_created, np.notify_status,
+      np.notify_note, np.notify_assignment, np.digest
+    FROM users u
+    LEFT JOIN notification_preferences np ON np.user_id = u.id
+    WHERE u.id IN (${ids.map(() => '?').join(', ')})
+  `, ids);
+
+  return rows.map(row => ({
+    id: row.id,
+    username: row.username,
+    email: row.email,
+    role: row.role,
+    preferences: toPreferences(row)
+  }));
+};
+
+const buildVariables = (ticket, event, recipient) => ({
+  recipient: recipient.username,
+  actor: event.actor ? event.actor.username : 'System',
+  ticket_number: ticket.ticket_number,
+  department: ticket.department,
+  equipment_type: ticket.equipment_type,
+  priority: ticket.priority,
+  status: ticket.status,
+  problem_description: ticket.problem_description,
+  requester: ticket.created_by_name,
+  assignee: event.data.assignee || ticket.assigned_to_name || 'nobody',
+  old_status: event.data.oldStatus,
+  new_status: event.data.newStatus,
+  notes: event.data.notes,
+  ticket_url: ticketUrl(ticket.id),
+  app_url: APP_URL
+});
+
+const handleTicketEvent = async (event) => {
+  if (!isEmailEnabled() || !templates[event.type]) return;
+
+  const [tickets] = await pool.execute(`
+    SELECT t.*, u.username as created_by_name, a.username as assigned_to_name
+    FROM tickets t
+    LEFT JOIN users u ON t.created_by = u.id
+    LEFT JOIN users a ON t.assigned_to = a.id
+    WHERE t.id = ?
+  `, [event.ticketId]);
+  if (tickets.length === 0) return;
+  const ticket = tickets[0];
+
+  const recipients = (await getRecipients(ticket)).filter(recipient => (
+    recipient.email &&
+    recipient.preferences.email_enabled &&
+    recipient.preferences[PREFERENCE_COLUMNS[event.type]] &&
+    (event.type === 'created' || !event.actor || recipient.id !== event.actor.id) &&
+    // internal notes only go to admin/IT
+    (event.data.visibility !== 'internal' || recipient.role !== 'user')
+  ));
+
+  for (const recipient of recipients) {
+    const vars = buildVariables(ticket, event, recipient);
+    const subject = render(templates[event.type].subject, vars);
+    const text = render(templates[event.type].text, vars);
+
+    if (recipient.preferences.digest) {
+      await pool.execute(
+        'INSERT INTO email_digest_queue (user_id, ticket_id, event_type, subject, body) VALUES (?, ?, ?, ?, ?)',
+        [recipient.id, ticket.id, event.type, subject.slice(0, 255), text]
+      );
+      continue;
+    }
+
+    try {
+      await sendMail({ to: recipient.email, subject, text });
+    } catch (error) {
+      console.error(`Failed to email ${recipient.email} about ${ticket.ticket_number}:`, error.message);
+    }
+  }
+};
+
+// How long a claim on queued digest rows holds if its sender dies mid-send
+const DIGEST_CLAIM_SECONDS = 10 * 60;
+
+// Claim a user's unclaimed (or expired) queued rows for one sender; returns
+// the claimed rows with the recipient, oldest first
+const claimDigestRows = async (userId) => {
+  const token = crypto.randomUUID();
+  await pool.execute(`
+    UPDATE email_digest_queue
+    SET claim_token = ?, claimed_until = DATE_ADD(NOW(), INTERVAL ? SECOND)
+    WHERE user_id = ? AND (claimed_until IS NULL OR claimed_until <= NOW())
+  `, [token, DIGEST_CLAIM_SECONDS, userId]);
+
+  const [rows] = await pool.execute(`
+    SELECT q.id, q.ticket_id, q.subject, u.username, u.email
+    FROM email_digest_queue q
+    JOIN users u ON q.user_id = u.id
+    WHERE q.claim_token = ?
+    ORDER BY q.created_at, q.id
+  `, [token]);
+  return { token, items: rows };
+};
+
+// Send one email per user summarizing their queued updates. Each user's rows
+// are claimed first so two instances never send the same digest, and only
+// removed once it was sent; a failed send releases them for the next run.
+const sendDigests = async () => {
+  if (!isEmailEnabled()) return 0;
+
+  const [users] = await pool.execute(`
+    SELECT DISTINCT user_id FROM email_digest_queue
+    WHERE claimed_until IS NULL OR claimed_until <= NOW()
+    ORDER BY user_id
+  `);
+
+  let sent = 0;
+  for (const { user_id: userId } of users) {
+    const { token, items } = await claimDigestRows(userId);
+    if (items.length === 0) continue;
+
+    const { username, email } = items[0];
+    const vars = {
+      recipient: username,
+      count: items.length,
+      app_url: APP_URL,
+      items: items.map(item => render(templates.digest_item.text, {
+        subject: item.subject,
+        ticket_url: ticketUrl(item.ticket_id)
+      })).join('\n')
+    };
+
+    try {
+      await sendMail({
+        to: email,
+        subject: render(templates.digest.subject, vars),
+        text: render(templates.digest.text, vars)
+      });
+      await pool.execute('DELETE FROM email_digest_queue WHERE claim_token = ?', [token]);
+      sent += 1;
+    } catch (error) {
+      console.error(`Failed to send digest to ${email}:`, error.message);
+      await pool.execute(
+        'UPDATE email_digest_queue SET claim_token = NULL, claimed_until = NULL WHERE claim_token = ?',
+        [token]
+      );
+    }
+  }
+  return sent;
+};
+
+const registerEmailNotifications = () => {
+  if (!isEmailEnabled()) {
+    console.log('Email notifications disabled (EMAIL_HOST not set)');
+  }
+  Object.keys(PREFERENCE_COLUMNS).forEach(type => onTicketEvent(type, handleTicketEvent));
+};
+
+module.exports = {
+  DEFAULT_PREFERENCES,
+  getPreferences,
+  savePreferences,
+  sendDigests,
+  registerEmailNotifications
+};
@@ -0,0 +1,36 @@
+const EventEmitter = require('events');
+
+// In-process ticket event bus. Routes and jobs emit after their changes are
+// saved; notification channels subscribe with onTicketEvent.
+//
+// Events: 'created', 'status_changed', 'note_added', 'assigned', 'deleted',
+// 'sla_breached' ('deleted' carries the removed row in data.ticket and its
+// former watchers in data.watcherIds;
+// 'note_added' has data.visibility = 'public' | 'internal';
+// 'sla_breached' has data.breach = 'response' | 'resolution')
+// Payload: { type, ticketId, actor: { id, username, role } | null, data, at }
+const emitter = new EventEmitter();
+emitter.setMaxListeners(50);
+
+const toActor = (user) => (user ? { id: user.id, username: user.username, role: user.role } : null);
+
+const emitTicketEvent = (type, ticketId, user, data = {}) => {
+  const event = { type, ticketId: Number(ticketId), actor: toActor(user), data, at: new Date() };
+  emitter.emit(type, event);
+  emitter.emit('*', event);
+};
+
+// Subscribe to one event type, or '*' for all. Handler errors are logged so a
+// failing channel never breaks the request that emitted the event.
+const onTicketEvent = (type, handler) => {
+  emitter.on(type, (event) => {
+    Promise.resolve()
+      .then(() => handler(event))
+      .catch(error => console.error(`Ticket event handler (${event.type}) error:`, error));
+  });
+};
+
+module.exports = {
+  emitTicketEvent,
+  onTicketEvent
+};
@@ -0,0 +1,86 @@
+const sharp = require('sharp');
+
+// Upload pipeline for images: apply the EXIF orientation, drop all metadata
+// (EXIF/GPS, camera details) and render smaller variants for the UI.
+const VARIANTS = {
+  thumb: { width: 240, height: 240, fit: 'cover' },
+  preview: { width: 1280, height: 1280, fit: 'inside' }
+};
+
+const VARIANT_MIME_TYPE = 'image/webp';
+
+// Formats re-encoded in place; GIFs have no EXIF and keep their animation
+const REENCODE = {
+  'image/jpeg': (image) => image.jpeg({ quality: 90, mozjpeg: true }),
+  'image/png': (image) => image.png(),
+  'image/webp': (image) => image.webp({ quality: 90 })
+};
+
+const isProcessableImage = (mimeType) => /^image\/(jpeg|png|webp|gif)$/.test(String(mimeType));
+
+// sharp's format names for the image types we accept
+const FORMAT_MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif'
+};
+
+const invalidImage = (cause) => {
+  const error = new Error('Could not process image file');
+  error.code = 'INVALID_IMAGE';
+  error.cause = cause;
+  return error;
+};
+
+// MIME type of an uploaded image, read from its content: the client's
+// Content-Type is not trusted (a .png sent as image/svg+xml must not be served
+// as SVG). Throws 'INVALID_IMAGE' for anything that is not a JPEG, PNG, WebP or GIF.
+const identifyImage = async (buffer) => {
+  let format;
+  try {
+    ({ format } = await sharp(buffer).metadata());
+  } catch (error) {
+    throw invalidImage(error);
+  }
+  if (!FORMAT_MIME_TYPES[format]) throw invalidImage();
+  return FORMAT_MIME_TYPES[format];
+};
+
+const renderVariant = (buffer, { width, height, fit }) => sharp(buffer)
+  .rotate()
+  .resize({ width, height, fit, withoutEnlargement: true })
+  .webp({ quality: 80 })
+  .toBuffer();
+
+// Returns { buffer, size, width, height, variants: { thumb, preview } }.
+// Throws an error with code 'INVALID_IMAGE' when the file cannot be decoded.
+const processImage = async (buffer, mimeType) => {
+  try {
+    let original = buffer;
+    const encode = REENCODE[mimeType];
+    if (encode) {
+      // sharp writes no metadata unless asked to, so this also strips EXIF/GPS
+      original = await encode(sharp(buffer).rotate()).toBuffer();
+    }
+
+    const { width, height } = await sharp(original).metadata();
+
+    const variants = {};
+    for (const [name, options] of Object.entries(VARIANTS)) {
+      variants[name] = await renderVariant(original, options);
+    }
+
+    return { buffer: original, size: original.length, width, height, variants };
+  } catch (error) {
+    throw invalidImage(error);
+  }
+};
+
+module.exports = {
+  VARIANTS,
+  VARIANT_MIME_TYPE,
+  isProcessableImage,
+  identifyImage,
+  processImage
+};
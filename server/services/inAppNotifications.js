@@ -0,0 +1,68 @@
+const { pool } = require('../config/database');
+const { onTicketEvent } = require('./events');
+const watchers = require('./watchers');
+
+// In-app notifications (the bell in the header). The requester, assignee and
+// watchers hear about status changes and notes on their tickets; assignees
+// hear when a ticket is assigned to them. Nobody is notified about their own
+// changes, and only admin/IT hear about internal notes.
+
+const describeEvent = (event, ticketNumber) => {
+  const actor = event.actor ? event.actor.username : 'System';
+  switch (event.type) {
+    case 'status_changed':
+      return event.data.reopened
+        ? `${actor} reopened ${ticketNumber}`
+        : `${actor} changed ${ticketNumber} to ${event.data.newStatus}`;
+    case 'note_added':
+      return `${actor} added a note to ${ticketNumber}`;
+    case 'assigned':
+      return `${actor} assigned ${ticketNumber} to you`;
+    default:
+      return null;
+  }
+};
+
+const getRecipientIds = async (event, ticket) => {
+  if (event.type === 'assigned') {
+    return event.data.assigneeId ? [event.data.assigneeId] : [];
+  }
+  return [ticket.created_by, ticket.assigned_to, ...(await watchers.getWatcherIds(pool, ticket.id))];
+};
+
+const handleTicketEvent = async (event) => {
+  const [tickets] = await pool.execute(
+    'SELECT id, ticket_number, created_by, assigned_to FROM tickets WHERE id = ?',
+    [event.ticketId]
+  );
+  if (tickets.length === 0) return;
+  const ticket = tickets[0];
+
+  const message = describeEvent(event, ticket.ticket_number);
+  const actorId = event.actor ? event.actor.id : null;
+  let recipientIds = [...new Set(await getRecipientIds(event, ticket))]
+    .filter(id => id && id !== actorId);
+
+  if (event.data.visibility === 'internal' && recipientIds.length > 0) {
+    const [staff] = await pool.execute(
+      `SELECT id FROM users WHERE role IN ('admin', 'it') AND id IN (${recipientIds.map(() => '?').join(', ')})`,
+      recipientIds
+    );
+    recipientIds = staff.map(row => row.id);
+  }
+
+  for (const userId of recipientIds) {
+    await pool.execute(
+      'INSERT INTO notifications (user_id, ticket_id, actor_id, type, message) VALUES (?, ?, ?, ?, ?)',
+      [userId, ticket.id, actorId, event.type, message.slice(0, 255)]
+    );
+  }
+};
+
+const registerInAppNotifications = () => {
+  ['status_changed', 'note_added', 'assigned'].forEach(type => onTicketEvent(type, handleTicketEvent));
+};
+
+module.exports = {
+  registerInAppNotifications
+};
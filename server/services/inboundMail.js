@@ -0,0 +1,225 @@
+const { simpleParser } = require('mailparser');
+const { pool, EQUIPMENT_TYPES } = require('../config/database');
+const { MAX_FILE_SIZE, MAX_FILES, checkFile, isImageFileName } = require('../middleware/upload');
+const attachments = require('./attachments');
+const images = require('./images');
+const ticketService = require('./tickets');
+const watchers = require('./watchers');
+const { emitTicketEvent } = require('./events');
+
+// Turns inbound emails into tickets, or into notes when the subject names an
+// existing ticket (e.g. "Re: [TKT20250042] Printer jammed"). Mailbox polling
+// lives in jobs/mailIngest.js.
+
+const TICKET_NUMBER_PATTERN = /\bTKT\d{8,}\b/i;
+
+// Equipment types (tickets.equipment_type) are matched against the subject;
+// anything else gets the default, which must be one of them too
+const DEFAULT_EQUIPMENT = EQUIPMENT_TYPES.includes(process.env.MAIL_DEFAULT_EQUIPMENT)
+  ? process.env.MAIL_DEFAULT_EQUIPMENT
+  : 'Other';
+
+const guessEquipmentType = (subject) => {
+  const match = EQUIPMENT_TYPES.find(type => type !== 'Other' && new RegExp(`\\b${type}\\b`, 'i').test(subject));
+  return match || DEFAULT_EQUIPMENT;
+};
+
+// Drop the quoted original from a reply so only the new text becomes the note
+const stripQuotedReply = (text) => {
+  const lines = String(text || '').split(/\r?\n/);
+  const kept = [];
+  for (const line of lines) {
+    if (/^On .+ wrote:\s*$/.test(line) || /^-+\s*Original Message\s*-+$/i.test(line) ||
+        /^_{10,}$/.test(line)) {
+      break;
+    }
+    if (!line.startsWith('>')) kept.push(line);
+  }
+  const stripped = kept.join('\n').trim();
+  return stripped || String(text || '').trim();
+};
+
+// Mail attachments in the shape storeFiles expects; unsupported files are skipped
+const toUploadFiles = (mailAttachments = []) => {
+  const files = [];
+  const skipped = [];
+  for (const attachment of mailAttachments) {
+    const file = {
+      originalname: attachment.filename || 'attachment',
+      mimetype: attachment.contentType || 'application/octet-stream',
+      size: attachment.size || attachment.content.length,
+      buffer: attachment.content
+    };
+    const error = checkFile(file.originalname, file.mimetype) ||
+      (file.size > MAX_FILE_SIZE ? 'File too large' : null) ||
+      (files.length >= MAX_FILES ? 'Too many files' : null);
+    if (error) {
+      skipped.push(`${file.originalname} (${error})`);
+    } else {
+      files.push(file);
+    }
+  }
+  return { files, skipped };
+};
+
+// Images that do not decode would fail the whole message in storeFiles; leave
+// them out (added to skipped) so the text and the other files still arrive
+const dropInvalidImages = async ({ files, skipped }) => {
+  const valid = [];
+  for (const file of files) {
+    if (!isImageFileName(file.originalname)) {
+      valid.push(file);
+      continue;
+    }
+    try {
+      await images.identifyImage(file.buffer);
+      valid.push(file);
+    } catch (error) {
+      if (error.code !== 'INVALID_IMAGE') throw error;
+      skipped.push(`${file.originalname} (${error.message})`);
+    }
+  }
+  return { files: valid, skipped };
+};
+
+// Date header of a message, or the time it is processed if missing or unparseable
+const messageDate = (date) => (
+  date instanceof Date && !Number.isNaN(date.getTime()) ? date : new Date()
+);
+
+const recordInboundEmail = (entry) => pool.execute(
+  `INSERT INTO inbound_emails (message_id, from_address, subject, status, ticket_id, error)
+   VALUES (?, ?, ?, ?, ?, ?)`,
+  [
+    entry.messageId || null,
+    entry.from || null,
+    String(entry.subject || '').slice(0, 255),
+    entry.status,
+    entry.ticketId || null,
+    entry.error ? String(entry.error).slice(0, 255) : null
+  ]
+);
+
+const alreadyProcessed = async (messageId) => {
+  if (!messageId) return false;
+  const [rows] = await pool.execute(
+    "SELECT id FROM inbound_emails WHERE message_id = ? AND status IN ('ticket', 'note') LIMIT 1",
+    [messageId]
+  );
+  return rows.length > 0;
+};
+
+// Add a reply as a note on the ticket named in its subject. The note and its
+// attachments are saved together, so a failed message can be retried without
+// leaving a duplicate note behind.
+const threadReply = async (user, ticketNumber, text, files) => {
+  const events = [];
+  let storedFiles = [];
+  let conn;
+  try {
+    storedFiles = await attachments.storeFiles(files);
+
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const [tickets] = await conn.execute(
+      'SELECT id, status, created_by FROM tickets WHERE ticket_number = ? FOR UPDATE',
+      [ticketNumber]
+    );
+
+    let rejected = null;
+    const ticket = tickets[0];
+    if (!ticket) {
+      rejected = { status: 'rejected', error: `Ticket ${ticketNumber} not found` };
+    } else if (user.role === 'user' && !(await watchers.canAccess(conn, ticket, user))) {
+      // Same access rule as POST /api/tickets/:id/notes (requester or watcher)
+      rejected = { status: 'rejected', ticketId: ticket.id, error: `${user.email} cannot comment on ${ticketNumber}` };
+    } else if (ticket.status === 'Closed') {
+      rejected = { status: 'rejected', ticketId: ticket.id, error: `${ticketNumber} is closed` };
+    }
+    if (rejected) {
+      await conn.rollback();
+      conn.release();
+      conn = null;
+      await attachments.removeStoredFiles(storedFiles);
+      return rejected;
+    }
+
+    await ticketService.addNote(conn, ticket.id, user, stripQuotedReply(text) || '(empty reply)', 'public', events);
+    await attachments.recordAttachments(conn, ticket.id, user.id, storedFiles);
+
+    await conn.commit();
+    conn.release();
+    conn = null;
+
+    events.forEach(args => emitTicketEvent(...args));
+    return { status: 'note', ticketId: ticket.id };
+  } catch (error) {
+    if (conn) {
+      try { await conn.rollback(); conn.release(); } catch (e) { /* ignore */ }
+    }
+    await attachments.removeStoredFiles(storedFiles);
+    throw error;
+  }
+};
+
+const createTicketFromEmail = async (user, subject, text, date, files) => {
+  const body = String(text || '').trim();
+  const ticket = await ticketService.createTicket({
+    user,
+    department: user.department,
+    equipment_type: guessEquipmentType(subject),
+    problem_description: [subject, body].filter(Boolean).join('\n\n') || '(no description)',
+    issue_date: messageDate(date).toISOString().slice(0, 10),
+    files,
+    notes: 'Ticket created from email'
+  });
+  return { status: 'ticket', ticketId: ticket.id, ticketNumber: ticket.ticket_number };
+};
+
+// Process one raw RFC 822 message. Returns { status, ticketId, error } where
+// status is 'ticket', 'note', 'rejected', 'duplicate' or 'failed'.
+const processMessage = async (raw) => {
+  const parsed = await simpleParser(raw);
+  const from = (parsed.from?.value?.[0]?.address || '').toLowerCase();
+  const subject = (parsed.subject || '').trim();
+  const entry = { messageId: parsed.messageId, from, subject };
+
+  try {
+    if (await alreadyProcessed(parsed.messageId)) {
+      return { status: 'duplicate' };
+    }
+
+    const [users] = await pool.execute(
+      'SELECT id, username, email, department, role FROM users WHERE LOWER(email) = ?',
+      [from]
+    );
+    if (users.length === 0) {
+      Object.assign(entry, { status: 'rejected', error: `Unknown sender ${from || '(none)'}` });
+    } else {
+      const { files, skipped } = await dropInvalidImages(toUploadFiles(parsed.attachments));
+      if (skipped.length > 0) {
+        console.warn(`Inbound email from ${from}: skipped attachments ${skipped.join(', ')}`);
+      }
+
+      const ticketNumber = subject.match(TICKET_NUMBER_PATTERN);
+      const result = ticketNumber
+        ? await threadReply(users[0], ticketNumber[0].toUpperCase(), parsed.text, files)
+        : await createTicketFromEmail(users[0], subject, parsed.text, parsed.date, files);
+      Object.assign(entry, result);
+    }
+  } catch (error) {
+    console.error('Inbound email error:', error);
+    Object.assign(entry, { status: 'failed', error: error.message });
+  }
+
+  await recordInboundEmail(entry);
+  return { status: entry.status, ticketId: entry.ticketId || null, error: entry.error || null };
+};
+
+module.exports = {
+  TICKET_NUMBER_PATTERN,
+  stripQuotedReply,
+  guessEquipmentType,
+  processMessage
+};
@@ -0,0 +1,213 @@
+// Ticket timing metrics replayed from the ticket_updates timeline.
+//
+// tickets.updated_at changes on every edit, so durations are rebuilt from the
+// status_change rows instead: each ticket starts in Pending at created_at and
+// moves through the recorded transitions.
+
+const STATUSES = ['Pending', 'In Progress', 'On Hold', 'Done', 'Closed'];
+const RESOLVED_STATUSES = ['Done', 'Closed'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// The dashboard cards cover tickets created in this many days
+const STATS_WINDOW_DAYS = 90;
+
+const toHours = (ms) => ms / HOUR_MS;
+
+// Percentile with linear interpolation over a sorted array
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = (sorted.length - 1) * p;
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+// count / mean / median / p90 for a list of hour values
+const summarize = (values) => {
+  const sorted = values.filter(v => v !== null && !Number.isNaN(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return { count: 0, mean: null, median: null, p90: null };
+  }
+  const total = sorted.reduce((sum, v) => sum + v, 0);
+  return {
+    count: sorted.length,
+    mean: round(total / sorted.length),
+    median: round(percentile(sorted, 0.5)),
+    p90: round(percentile(sorted, 0.9))
+  };
+};
+
+const isStaffRole = (role) => role === 'admin' || role === 'it';
+
+// The updates that set tickets.first_response_at (services/tickets.js), so the
+// replay and the stored timestamp the dashboard and SLA report use agree: any
+// assignment, or a status change or public note by admin/IT. The creation row
+// (a status_change without old_value) does not count.
+const isFirstResponse = (update) => {
+  if (update.update_type === 'assignment') return true;
+  if (!isStaffRole(update.user_role)) return false;
+  if (update.update_type === 'note') return (update.visibility || 'public') === 'public';
+  return ['status_change', 'reopen'].includes(update.update_type) && update.old_value !== null;
+};
+
+// Replay one ticket's updates (sorted oldest first) into durations in hours
+const replayTicket = (ticket, updates, now = new Date()) => {
+  const statusMs = {};
+  STATUSES.forEach(status => { statusMs[status] = 0; });
+
+  let current = 'Pending';
+  let since = new Date(ticket.created_at);
+  let firstResponseAt = null;
+  let resolvedAt = null;
+
+  updates.forEach(update => {
+    const at = new Date(update.created_at);
+
+    if (!firstResponseAt && isFirstResponse(update)) {
+      firstResponseAt = at;
+    }
+
+    // reopen rows move a ticket out of Closed just like a status change
+    if (!['status_change', 'reopen'].includes(update.update_type) || !update.new_value) return;
+    // the creation row and no-op transitions do not move the clock
+    if (update.new_value === current) return;
+
+    statusMs[current] += Math.max(0, at - since);
+    current = update.new_value;
+    since = at;
+
+    if (RESOLVED_STATUSES.includes(current)) {
+      // Done -> Closed keeps the original resolution time
+      if (!resolvedAt) resolvedAt = at;
+    } else {
+      resolvedAt = null;
+    }
+  });
+
+  // Closed tickets stop accruing time; everything else runs until now
+  if (current !== 'Closed') {
+    statusMs[current] += Math.max(0, now - since);
+  }
+
+  const statusHours = {};
+  STATUSES.forEach(status => { statusHours[status] = round(toHours(statusMs[status])); });
+
+  return {
+    ticketId: ticket.id,
+    firstResponseHours: firstResponseAt ? toHours(firstResponseAt - new Date(ticket.created_at)) : null,
+    timeToDoneHours: resolvedAt ? toHours(resolvedAt - new Date(ticket.created_at)) : null,
+    onHoldHours: toHours(statusMs['On Hold']),
+    statusHours
+  };
+};
+
+// Group replayed tickets by a key and summarize each group
+const breakdown = (rows, keyFn) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = keyFn(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+
+  return Array.from(groups.entries()).map(([key, group]) => ({
+    key,
+    tickets: group.length,
+    firstResponse: summarize(group.map(r => r.firstResponseHours)),
+    timeToDone: summarize(group.map(r => r.timeToDoneHours)),
+    onHold: summarize(group.map(r => r.onHoldHours))
+  })).sort((a, b) => b.tickets - a.tickets);
+};
+
+// [from, to) covering a calendar month (month is 1-12)
+const monthRange = (month, year) => ({
+  from: new Date(year, month - 1, 1),
+  to: new Date(year, month, 1)
+});
+
+// Compute metrics for tickets created in [from, to). The replay loads every
+// update of those tickets, so callers always pass a bounded period.
+const computeTicketMetrics = async (db, { from, to }) => {
+  const whereSQL = 'WHERE t.created_at >= ? AND t.created_at < ?';
+  const params = [from, to];
+
+  const [tickets] = await db.execute(`
+    SELECT t.id, t.department, t.equipment_type, t.created_by, t.created_at,
+      a.username as assigned_to_name
+    FROM tickets t
+    LEFT JOIN users a ON t.assigned_to = a.id
+    ${whereSQL}
+  `, params);
+
+  const [updates] = await db.execute(`
+    SELECT tu.id, tu.ticket_id, tu.user_id, tu.update_type, tu.old_value, tu.new_value,
+      tu.visibility, tu.created_at, u.role as user_role
+    FROM ticket_updates tu
+    JOIN tickets t ON tu.ticket_id = t.id
+    LEFT JOIN users u ON tu.user_id = u.id
+    ${whereSQL}
+    ORDER BY tu.ticket_id, tu.created_at, tu.id
+  `, params);
+
+  const updatesByTicket = new Map();
+  updates.forEach(update => {
+    if (!updatesByTicket.has(update.ticket_id)) updatesByTicket.set(update.ticket_id, []);
+    updatesByTicket.get(update.ticket_id).push(update);
+  });
+
+  const now = new Date();
+  const rows = tickets.map(ticket => ({
+    ...replayTicket(ticket, updatesByTicket.get(ticket.id) || [], now),
+    department: ticket.department,
+    equipment_type: ticket.equipment_type,
+    assignee: ticket.assigned_to_name || 'Unassigned'
+  }));
+
+  const statusTime = {};
+  STATUSES.forEach(status => {
+    statusTime[status] = summarize(rows.map(r => r.statusHours[status]));
+  });
+
+  return {
+    totalTickets: rows.length,
+    firstResponse: summarize(rows.map(r => r.firstResponseHours)),
+    timeToDone: summarize(rows.map(r => r.timeToDoneHours)),
+    onHold: summarize(rows.map(r => r.onHoldHours)),
+    statusTime,
+    byDepartment: breakdown(rows, r => r.department),
+    byEquipment: breakdown(rows, r => r.equipment_type),
+    byAssignee: breakdown(rows, r => r.assignee)
+  };
+};
+
+// First response and time-to-Done for the dashboard cards, from the timestamps
+// the SLA code keeps on each ticket (services/sla.js) instead of a replay. Both
+// are defined as in the replay: first_response_at is set by the updates
+// isFirstResponse counts, and resolved_at is the first Done/Closed, cleared
+// when a ticket reopens.
+const computeRecentResolution = async (db, days = STATS_WINDOW_DAYS) => {
+  const [rows] = await db.execute(`
+    SELECT TIMESTAMPDIFF(SECOND, created_at, first_response_at) as first_response_seconds,
+      TIMESTAMPDIFF(SECOND, created_at, resolved_at) as time_to_done_seconds
+    FROM tickets
+    WHERE created_at >= DATE_SUB(NOW(), INTERVAL ${Number(days)} DAY)
+  `);
+
+  const hours = (seconds) => (seconds === null ? null : Number(seconds) / 3600);
+  return {
+    days,
+    firstResponse: summarize(rows.map(r => hours(r.first_response_seconds))),
+    timeToDone: summarize(rows.map(r => hours(r.time_to_done_seconds)))
+  };
+};
+
+module.exports = {
+  summarize,
+  replayTicket,
+  monthRange,
+  computeTicketMetrics,
+  computeRecentResolution
+};
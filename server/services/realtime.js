@@ -0,0 +1,98 @@
+const { pool } = require('../config/database');
+const { onTicketEvent } = require('./events');
+const watchers = require('./watchers');
+
+// Server-Sent Events push channel (GET /api/events).
+//
+// Every ticket event is forwarded to connected users who can see the ticket in
+// GET /api/tickets: admins see all tickets, everyone else their own and the
+// ones they watch. Internal notes are only announced to admin/IT.
+const HEARTBEAT_MS = 25 * 1000;
+
+const clients = new Set();
+
+const canSeeTicket = (user, ticket, watcherIds) => (
+  String(user.role || '').toLowerCase() === 'admin' ||
+  Number(ticket.created_by) === Number(user.id) ||
+  watcherIds.includes(Number(user.id))
+);
+
+const send = (res, eventName, payload) => {
+  res.write(`event: ${eventName}\ndata: ${JSON.stringify(payload)}\n\n`);
+};
+
+// Keep an authenticated response open as an event stream until the client leaves
+const addClient = (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps compression middleware and proxies from buffering
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+  send(res, 'ready', { userId: req.user.id });
+
+  const client = { user: req.user, res };
+  clients.add(client);
+
+  // comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+};
+
+// A deleted ticket is gone from the database; its event carries the removed
+// row and former watchers so the same users still hear about it
+const loadAudience = async (event) => {
+  if (event.type === 'deleted') {
+    return { ticket: event.data.ticket || null, watcherIds: (event.data.watcherIds || []).map(Number) };
+  }
+
+  const [tickets] = await pool.execute(`
+    SELECT t.id, t.ticket_number, t.status, t.priority, t.department, t.created_by,
+      t.assigned_to, a.username as assigned_to_name, t.updated_at
+    FROM tickets t
+    LEFT JOIN users a ON t.assigned_to = a.id
+    WHERE t.id = ?
+  `, [event.ticketId]);
+  if (tickets.length === 0) return { ticket: null, watcherIds: [] };
+  return { ticket: tickets[0], watcherIds: await watchers.getWatcherIds(pool, event.ticketId) };
+};
+
+const broadcastTicketEvent = async (event) => {
+  if (clients.size === 0) return;
+
+  const { ticket, watcherIds } = await loadAudience(event);
+  if (!ticket) return;
+
+  const data = { ...event.data };
+  delete data.watcherIds;
+  const payload = {
+    type: event.type,
+    ticketId: ticket.id,
+    actor: event.actor,
+    data,
+    ticket,
+    at: event.at
+  };
+
+  clients.forEach(client => {
+    const hidden = event.data.visibility === 'internal' && client.user.role === 'user';
+    if (!hidden && canSeeTicket(client.user, ticket, watcherIds)) {
+      send(client.res, 'ticket', payload);
+    }
+  });
+};
+
+const registerRealtime = () => {
+  onTicketEvent('*', broadcastTicketEvent);
+};
+
+module.exports = {
+  addClient,
+  registerRealtime
+};
@@ -0,0 +1,204 @@
+// Ticket search for GET /api/tickets?search=...
+//
+// Free text is matched against descriptions and notes through the FULLTEXT
+// indexes created in config/database.js and ranked by relevance; words also
+// match the ticket number, department and equipment type. A few field filters
+// can be mixed in:
+//
+//   status:"On Hold" dept:Sales equipment:Laptop priority:High
+//   assignee:me | assignee:none | assignee:<username>
+//   created:>2025-06-01 (also <, >=, <=, an exact day or 2025-06-01..2025-06-30)
+//   "blue screen" (phrase)   TKT20250012 (ticket number)
+//
+// Words are prefix-matched ("print" finds "printer"); every word or phrase
+// must appear somewhere in the ticket (a word in its number, department,
+// equipment, description or one of its notes).
+
+const STATUSES = ['Pending', 'In Progress', 'On Hold', 'Done', 'Closed'];
+const PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+// InnoDB ignores shorter words (innodb_ft_min_token_size); they fall back to LIKE
+const MIN_FULLTEXT_LENGTH = 3;
+
+const FIELD_ALIASES = {
+  status: 'status',
+  dept: 'department',
+  department: 'department',
+  equipment: 'equipment',
+  priority: 'priority',
+  assignee: 'assignee',
+  assigned: 'assignee',
+  created: 'created'
+};
+
+const TOKEN_PATTERN = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TICKET_NUMBER_PATTERN = /^TKT\d+$/i;
+
+const queryError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_QUERY';
+  return error;
+};
+
+// Split a query into field filters, words and phrases
+const parseQuery = (input) => {
+  const parsed = { filters: [], words: [], phrases: [] };
+  let match;
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(String(input || ''))) !== null) {
+    const [token, key, quotedValue, value, phrase, word] = match;
+    if (key) {
+      const field = FIELD_ALIASES[key.toLowerCase()];
+      if (field) {
+        parsed.filters.push({ field, value: quotedValue !== undefined ? quotedValue : value });
+      } else {
+        // not a known field (e.g. a URL or "error:0x1"): search for it as text
+        parsed.words.push(token);
+      }
+    } else if (phrase !== undefined) {
+      if (phrase.trim()) parsed.phrases.push(phrase.trim());
+    } else if (word) {
+      parsed.words.push(word);
+    }
+  }
+  return parsed;
+};
+
+// Canonical spelling of an enum value, ignoring case and spaces ("onhold" -> "On Hold")
+const matchOption = (options, value, label) => {
+  const normalize = (text) => String(text).toLowerCase().replace(/[\s_-]/g, '');
+  const found = options.find(option => normalize(option) === normalize(value));
+  if (!found) throw queryError(`Unknown ${label} "${value}" (use ${options.join(', ')})`);
+  return found;
+};
+
+const parseDate = (value) => {
+  if (!DATE_PATTERN.test(value) || Number.isNaN(new Date(value).getTime())) {
+    throw queryError(`Invalid date "${value}" (use YYYY-MM-DD)`);
+  }
+  return value;
+};
+
+// SQL for created:... (compares calendar days)
+const createdCondition = (value) => {
+  const range = value.split('..');
+  if (range.length === 2) {
+    return { sql: 'DATE(t.created_at) BETWEEN ? AND ?', params: [parseDate(range[0]), parseDate(range[1])] };
+  }
+  const [, operator, date] = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+  return { sql: `DATE(t.created_at) ${operator || '='} ?`, params: [parseDate(date)] };
+};
+
+const filterCondition = ({ field, value }, user) => {
+  switch (field) {
+    case 'status':
+      return { sql: 't.status = ?', params: [matchOption(STATUSES, value, 'status')] };
+    case 'priority':
+      return { sql: 't.priority = ?', params: [matchOption(PRIORITIES, value, 'priority')] };
+    case 'department':
+      return { sql: 't.department = ?', params: [value] };
+    case 'equipment':
+      return { sql: 't.equipment_type = ?', params: [value] };
+    case 'assignee':
+      if (value.toLowerCase() === 'me') return { sql: 't.assigned_to = ?', params: [user.id] };
+      if (['none', 'unassigned'].includes(value.toLowerCase())) return { sql: 't.assigned_to IS NULL', params: [] };
+      return { sql: 't.assigned_to = (SELECT id FROM users WHERE username = ?)', params: [value] };
+    case 'created':
+      return createdCondition(value);
+    default:
+      throw queryError(`Unknown field "${field}"`);
+  }
+};
+
+// Characters with a meaning in BOOLEAN MODE are dropped from user input
+const stripOperators = (text) => String(text).replace(/[+\-<>()~*"@]/g, ' ').trim();
+
+// Description or note matches a FULLTEXT boolean query (bind [against, against]).
+// The requester and watchers must not find tickets through internal notes.
+const fulltextCondition = (noteVisibility) => `(MATCH(t.problem_description) AGAINST (? IN BOOLEAN MODE) OR EXISTS (
+    SELECT 1 FROM ticket_updates tu WHERE tu.ticket_id = t.id${noteVisibility} AND MATCH(tu.notes) AGAINST (? IN BOOLEAN MODE)
+  ))`;
+
+// Same for words too short for the index (bind [pattern, pattern])
+const likeCondition = (noteVisibility) => `(t.problem_description LIKE ? OR EXISTS (
+    SELECT 1 FROM ticket_updates tu WHERE tu.ticket_id = t.id${noteVisibility} AND tu.notes LIKE ?
+  ))`;
+
+// Build WHERE conditions, a relevance column and the terms to highlight.
+// Returns { where, params, select, selectParams, ranked, terms }.
+const buildSearch = (input, user) => {
+  const parsed = parseQuery(input);
+  const where = [];
+  const params = [];
+  const noteVisibility = user.role === 'user' ? " AND tu.visibility = 'public'" : '';
+
+  parsed.filters.forEach(filter => {
+    const condition = filterCondition(filter, user);
+    where.push(condition.sql);
+    params.push(...condition.params);
+  });
+
+  // terms for ranking; a result only needs some of them to score
+  const rankTerms = [];
+  const highlightTerms = [];
+
+  parsed.words.forEach(word => {
+    if (TICKET_NUMBER_PATTERN.test(word)) {
+      where.push('t.ticket_number LIKE ?');
+      params.push(`${word.toUpperCase()}%`);
+      highlightTerms.push(word);
+      return;
+    }
+
+    const clean = stripOperators(word);
+    if (!clean) return;
+    highlightTerms.push(clean);
+    clean.split(/\s+/).forEach(part => {
+      const pattern = `%${part}%`;
+      // "Sales", "Laptop" or part of a number like "0012"
+      const fields = 't.ticket_number LIKE ? OR t.department LIKE ? OR t.equipment_type LIKE ?';
+      if (part.length >= MIN_FULLTEXT_LENGTH) {
+        where.push(`(${fields} OR ${fulltextCondition(noteVisibility)})`);
+        params.push(pattern, pattern, pattern, `+${part}*`, `+${part}*`);
+        rankTerms.push(`${part}*`);
+      } else {
+        where.push(`(${fields} OR ${likeCondition(noteVisibility)})`);
+        params.push(pattern, pattern, pattern, pattern, pattern);
+      }
+    });
+  });
+
+  parsed.phrases.forEach(phrase => {
+    const clean = stripOperators(phrase);
+    if (!clean) return;
+    where.push(fulltextCondition(noteVisibility));
+    params.push(`+"${clean}"`, `+"${clean}"`);
+    rankTerms.push(`"${clean}"`);
+    highlightTerms.push(clean);
+  });
+
+  const result = { where, params, select: '', selectParams: [], ranked: false, terms: highlightTerms };
+  if (rankTerms.length === 0) return result;
+
+  const against = rankTerms.join(' ');
+  const descriptionMatch = 'MATCH(t.problem_description) AGAINST (? IN BOOLEAN MODE)';
+  const noteMatch = 'MATCH(tu.notes) AGAINST (? IN BOOLEAN MODE)';
+
+  // description hits weigh double; matched_note is the best matching note for the result list
+  result.select = `,
+    (${descriptionMatch} * 2 + COALESCE((
+      SELECT MAX(${noteMatch}) FROM ticket_updates tu WHERE tu.ticket_id = t.id${noteVisibility}
+    ), 0)) as relevance,
+    (SELECT tu.notes FROM ticket_updates tu
+     WHERE tu.ticket_id = t.id${noteVisibility} AND ${noteMatch}
+     ORDER BY ${noteMatch} DESC LIMIT 1) as matched_note`;
+  result.selectParams = [against, against, against, against];
+  result.ranked = true;
+  return result;
+};
+
+module.exports = {
+  parseQuery,
+  buildSearch
+};
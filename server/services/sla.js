@@ -0,0 +1,132 @@
+// SLA deadline tracking for tickets.
+//
+// Due dates are always derived from created_at + policy target + total minutes
+// spent On Hold, so they can be recomputed safely after a priority change or
+// when a ticket comes off hold.
+
+// Share of the resolution window left before a ticket is flagged "at risk"
+const AT_RISK_PERCENT = parseInt(process.env.SLA_AT_RISK_PERCENT, 10) || 25;
+
+const RESOLVED_STATUSES = ['Done', 'Closed'];
+
+// Find the policy for a priority, preferring a department-specific one
+const getPolicy = async (db, priority, department) => {
+  const [policies] = await db.execute(`
+    SELECT id, priority, department, response_minutes, resolution_minutes
+    FROM sla_policies
+    WHERE priority = ? AND (department = ? OR department IS NULL)
+    ORDER BY department IS NULL
+    LIMIT 1
+  `, [priority, department]);
+
+  return policies[0] || null;
+};
+
+// (Re)compute response_due_at / resolve_due_at for a ticket
+const applySlaTargets = async (db, ticketId) => {
+  const [tickets] = await db.execute(
+    'SELECT priority, department FROM tickets WHERE id = ?',
+    [ticketId]
+  );
+  if (tickets.length === 0) return;
+
+  const policy = await getPolicy(db, tickets[0].priority, tickets[0].department);
+  if (!policy) {
+    await db.execute(
+      'UPDATE tickets SET response_due_at = NULL, resolve_due_at = NULL WHERE id = ?',
+      [ticketId]
+    );
+    return;
+  }
+
+  // The response deadline is frozen once IT has responded. A deadline moved
+  // back into the future may be breached (and announced) again.
+  await db.execute(`
+    UPDATE tickets SET
+      response_due_at = IF(first_response_at IS NULL,
+        DATE_ADD(created_at, INTERVAL (? + sla_paused_minutes) MINUTE), response_due_at),
+      resolve_due_at = DATE_ADD(created_at, INTERVAL (? + sla_paused_minutes) MINUTE),
+      response_breach_notified_at = IF(response_due_at > NOW(), NULL, response_breach_notified_at),
+      resolve_breach_notified_at = IF(resolve_due_at > NOW(), NULL, resolve_breach_notified_at)
+    WHERE id = ?
+  `, [policy.response_minutes, policy.resolution_minutes, ticketId]);
+};
+
+// Record the first IT/admin action on a ticket
+const recordFirstResponse = async (db, ticketId) => {
+  await db.execute(
+    'UPDATE tickets SET first_response_at = NOW() WHERE id = ? AND first_response_at IS NULL',
+    [ticketId]
+  );
+};
+
+// Pause/resume the SLA clock and track resolution time on status changes
+const onStatusChange = async (db, ticketId, oldStatus, newStatus) => {
+  if (newStatus === 'On Hold' && oldStatus !== 'On Hold') {
+    await db.execute(
+      'UPDATE tickets SET sla_paused_at = NOW() WHERE id = ? AND sla_paused_at IS NULL',
+      [ticketId]
+    );
+  } else if (oldStatus === 'On Hold' && newStatus !== 'On Hold') {
+    await db.execute(`
+      UPDATE tickets SET
+        sla_paused_minutes = sla_paused_minutes + TIMESTAMPDIFF(MINUTE, sla_paused_at, NOW()),
+        sla_paused_at = NULL
+      WHERE id = ? AND sla_paused_at IS NOT NULL
+    `, [ticketId]);
+    await applySlaTargets(db, ticketId);
+  }
+
+  if (RESOLVED_STATUSES.includes(newStatus)) {
+    await db.execute(
+      'UPDATE tickets SET resolved_at = NOW() WHERE id = ? AND resolved_at IS NULL',
+      [ticketId]
+    );
+  } else if (RESOLVED_STATUSES.includes(oldStatus)) {
+    await db.execute('UPDATE tickets SET resolved_at = NULL WHERE id = ?', [ticketId]);
+  }
+};
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+// Attach breach / at-risk flags to a ticket row
+const withSlaFlags = (ticket, now = new Date()) => {
+  const responseDue = toDate(ticket.response_due_at);
+  const resolveDue = toDate(ticket.resolve_due_at);
+  const firstResponse = toDate(ticket.first_response_at);
+  const resolved = toDate(ticket.resolved_at);
+  const pausedAt = toDate(ticket.sla_paused_at);
+
+  // While On Hold the clock is stopped at the moment the hold began
+  const clock = pausedAt || now;
+
+  const responseBreached = responseDue ? (firstResponse || clock) > responseDue : false;
+  const resolveBreached = resolveDue ? (resolved || clock) > resolveDue : false;
+
+  let atRisk = false;
+  if (resolveDue && !resolved && !resolveBreached) {
+    const windowMs = resolveDue - new Date(ticket.created_at);
+    atRisk = windowMs > 0 && (resolveDue - clock) / windowMs * 100 <= AT_RISK_PERCENT;
+  }
+
+  return {
+    ...ticket,
+    sla: {
+      response_due_at: ticket.response_due_at || null,
+      resolve_due_at: ticket.resolve_due_at || null,
+      response_breached: responseBreached,
+      resolve_breached: resolveBreached,
+      breached: responseBreached || resolveBreached,
+      at_risk: atRisk,
+      paused: !!pausedAt
+    }
+  };
+};
+
+module.exports = {
+  getPolicy,
+  applySlaTargets,
+  recordFirstResponse,
+  onStatusChange,
+  withSlaFlags
+};
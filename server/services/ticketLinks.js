@@ -0,0 +1,227 @@
+const { pool } = require('../config/database');
+const workflow = require('../config/workflow');
+const ticketService = require('./tickets');
+const watchers = require('./watchers');
+
+// Links between tickets: an outage's root-cause ticket and its symptoms
+// (parent_of/child_of), or earlier tickets a fault relates to. A link is one
+// row read from ticket_id to linked_ticket_id; seen from the other ticket it
+// reads as the inverse type (A parent_of B is B child_of A).
+
+const LINK_TYPES = ['parent_of', 'child_of', 'related_to', 'duplicate_of', 'caused_by'];
+
+const INVERSE_TYPES = {
+  parent_of: 'child_of',
+  child_of: 'parent_of',
+  related_to: 'related_to',
+  duplicate_of: 'duplicated_by',
+  caused_by: 'causes'
+};
+
+// Statuses that count as resolving a parent, so its children may follow
+const RESOLVED_STATUSES = ['Done', 'Closed'];
+
+const isStaff = (user) => user.role === 'admin' || user.role === 'it';
+
+const linkError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Links of a ticket as seen from it. Links to tickets the user cannot open are
+// left out (users only see their own and watched tickets).
+const listLinks = async (db, ticketId, user) => {
+  let accessSQL = '';
+  const params = [ticketId, ticketId, ticketId];
+  if (!isStaff(user)) {
+    accessSQL = `AND ${watchers.accessCondition('t')}`;
+    params.push(user.id, user.id);
+  }
+
+  const [rows] = await db.execute(`
+    SELECT l.id, l.ticket_id, l.link_type, l.created_at, cb.username as created_by_name,
+      t.id as other_id, t.ticket_number, t.status, t.priority, t.problem_description
+    FROM ticket_links l
+    JOIN tickets t ON t.id = IF(l.ticket_id = ?, l.linked_ticket_id, l.ticket_id)
+    LEFT JOIN users cb ON l.created_by = cb.id
+    WHERE (l.ticket_id = ? OR l.linked_ticket_id = ?) ${accessSQL}
+    ORDER BY l.created_at, l.id
+  `, params);
+
+  return rows.map(row => ({
+    id: row.id,
+    type: Number(row.ticket_id) === Number(ticketId) ? row.link_type : INVERSE_TYPES[row.link_type],
+    created_at: row.created_at,
+    created_by_name: row.created_by_name,
+    ticket: {
+      id: row.other_id,
+      ticket_number: row.ticket_number,
+      status: row.status,
+      priority: row.priority,
+      problem_description: row.problem_description
+    }
+  }));
+};
+
+// Parent of a ticket, whichever side the link was added from
+const getParentId = async (db, ticketId) => {
+  const [rows] = await db.execute(`
+    SELECT linked_ticket_id as parent_id FROM ticket_links WHERE ticket_id = ? AND link_type = 'child_of'
+    UNION
+    SELECT ticket_id as parent_id FROM ticket_links WHERE linked_ticket_id = ? AND link_type = 'parent_of'
+  `, [ticketId, ticketId]);
+  return rows.length > 0 ? rows[0].parent_id : null;
+};
+
+// A ticket has at most one parent, and may not end up as its own ancestor
+const checkParentLink = async (db, parentId, childId) => {
+  if (await getParentId(db, childId)) {
+    throw linkError(400, 'That ticket already has a parent');
+  }
+
+  const seen = new Set();
+  let ancestor = parentId;
+  while (ancestor && !seen.has(ancestor)) {
+    if (Number(ancestor) === Number(childId)) {
+      throw linkError(400, 'Links cannot make a ticket its own parent');
+    }
+    seen.add(ancestor);
+    ancestor = await getParentId(db, ancestor);
+  }
+};
+
+// Run work(conn) in a transaction and return its result
+const inTransaction = async (work) => {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await work(conn);
+    await conn.commit();
+    return result;
+  } catch (error) {
+    try { await conn.rollback(); } catch (e) { /* ignore */ }
+    throw error;
+  } finally {
+    conn.release();
+  }
+};
+
+// Link ticket to other (both { id, ticket_number }) as type, e.g. ticket
+// child_of other. Writes a 'link' history entry on both tickets, in the same
+// transaction as the link. Throws an error with .status (400/409) when the
+// link is not allowed.
+const addLink = async (ticket, other, type, user) => {
+  if (Number(ticket.id) === Number(other.id)) {
+    throw linkError(400, 'A ticket cannot be linked to itself');
+  }
+
+  return inTransaction(async (conn) => {
+    // Locking both tickets keeps concurrent links from both passing the checks
+    await conn.execute(
+      'SELECT id FROM tickets WHERE id IN (?, ?) ORDER BY id FOR UPDATE',
+      [ticket.id, other.id]
+    );
+
+    const [existing] = await conn.execute(`
+      SELECT id FROM ticket_links
+      WHERE (ticket_id = ? AND linked_ticket_id = ?) OR (ticket_id = ? AND linked_ticket_id = ?)
+    `, [ticket.id, other.id, other.id, ticket.id]);
+    if (existing.length > 0) {
+      throw linkError(409, `${ticket.ticket_number} is already linked to ${other.ticket_number}`);
+    }
+
+    if (type === 'parent_of') await checkParentLink(conn, ticket.id, other.id);
+    if (type === 'child_of') await checkParentLink(conn, other.id, ticket.id);
+
+    const [result] = await conn.execute(
+      'INSERT INTO ticket_links (ticket_id, linked_ticket_id, link_type, created_by) VALUES (?, ?, ?, ?)',
+      [ticket.id, other.id, type, user.id]
+    );
+
+    // History reads "<type> <ticket number>" from each ticket's side
+    await conn.execute(
+      'INSERT INTO ticket_updates (ticket_id, user_id, update_type, new_value) VALUES (?, ?, ?, ?), (?, ?, ?, ?)',
+      [
+        ticket.id, user.id, 'link', `${type} ${other.ticket_number}`,
+        other.id, user.id, 'link', `${INVERSE_TYPES[type]} ${ticket.ticket_number}`
+      ]
+    );
+
+    return result.insertId;
+  });
+};
+
+// Remove a link of ticket (by link id) with its history entries; returns false
+// if there is no such link
+const removeLink = async (ticketId, linkId, user) => inTransaction(async (conn) => {
+  const [rows] = await conn.execute(`
+    SELECT l.id, l.ticket_id, l.linked_ticket_id, l.link_type, t.ticket_number, lt.ticket_number as linked_ticket_number
+    FROM ticket_links l
+    JOIN tickets t ON l.ticket_id = t.id
+    JOIN tickets lt ON l.linked_ticket_id = lt.id
+    WHERE l.id = ? AND (l.ticket_id = ? OR l.linked_ticket_id = ?)
+    FOR UPDATE
+  `, [linkId, ticketId, ticketId]);
+  if (rows.length === 0) return false;
+  const link = rows[0];
+
+  await conn.execute('DELETE FROM ticket_links WHERE id = ?', [link.id]);
+
+  await conn.execute(
+    'INSERT INTO ticket_updates (ticket_id, user_id, update_type, old_value) VALUES (?, ?, ?, ?), (?, ?, ?, ?)',
+    [
+      link.ticket_id, user.id, 'link', `${link.link_type} ${link.linked_ticket_number}`,
+      link.linked_ticket_id, user.id, 'link', `${INVERSE_TYPES[link.link_type]} ${link.ticket_number}`
+    ]
+  );
+
+  return true;
+});
+
+// Move the open children of parent ({ id, ticket_number }) to status along
+// with the parent, each with a note pointing at the parent. Children the
+// workflow does not let the user move are skipped. Runs on conn inside the
+// caller's transaction (the one that changes the parent) and queues the
+// events there; returns one { id, ticket_number, success, message } per child.
+const cascadeStatus = async (conn, parent, user, status, notes, events) => {
+  const results = [];
+  const note = `${status} along with parent ticket ${parent.ticket_number}${notes ? `: ${notes}` : ''}`;
+
+  const [children] = await conn.execute(`
+    SELECT id, ticket_number, status, created_by
+    FROM tickets
+    WHERE id IN (
+      SELECT linked_ticket_id FROM ticket_links WHERE ticket_id = ? AND link_type = 'parent_of'
+      UNION
+      SELECT ticket_id FROM ticket_links WHERE linked_ticket_id = ? AND link_type = 'child_of'
+    ) AND status <> 'Closed'
+    ORDER BY id
+    FOR UPDATE
+  `, [parent.id, parent.id]);
+
+  for (const child of children) {
+    const result = { id: child.id, ticket_number: child.ticket_number };
+    if (child.status === status) {
+      results.push({ ...result, success: false, message: `Already ${status}` });
+      continue;
+    }
+    if (!workflow.checkTransition(child, user, status).allowed) {
+      results.push({ ...result, success: false, message: `Cannot change status from ${child.status} to ${status}` });
+      continue;
+    }
+    await ticketService.changeStatus(conn, child, user, status, note, events);
+    results.push({ ...result, success: true, message: `Status changed to ${status}` });
+  }
+
+  return results;
+};
+
+module.exports = {
+  LINK_TYPES,
+  RESOLVED_STATUSES,
+  listLinks,
+  addLink,
+  removeLink,
+  cascadeStatus
+};
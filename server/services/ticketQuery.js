@@ -0,0 +1,85 @@
+const search = require('./search');
+const watchers = require('./watchers');
+
+// WHERE clause and ordering for the ticket list (GET /api/tickets) and the
+// live counts of saved views, so both apply the same filters and access rules.
+
+// Filters a ticket list (and a saved view) may hold
+const FILTER_KEYS = ['status', 'department', 'priority', 'search', 'created_by'];
+const SORTS = ['', 'newest', 'priority'];
+
+// Build the conditions for a set of filters as seen by user.
+// Throws an INVALID_QUERY error for a malformed search (see services/search.js).
+// Returns { whereSQL, params, searchQuery }.
+const buildTicketFilters = (filters, user) => {
+  const { status, department, created_by, priority } = filters;
+  const where = [];
+  const params = [];
+
+  // non-admin users only see their tickets (and ones they watch) regardless of created_by param
+  if (String(user.role || '').toLowerCase() !== 'admin') {
+    where.push(watchers.accessCondition('t'));
+    params.push(user.id, user.id);
+  } else {
+    // admin may filter by created_by query param
+    if (created_by && String(created_by).trim().length > 0 && !Number.isNaN(Number(created_by))) {
+      where.push('t.created_by = ?');
+      params.push(Number(created_by));
+    }
+  }
+
+  if (status) {
+    where.push('t.status = ?');
+    params.push(status);
+  }
+
+  if (department) {
+    where.push('t.department = ?');
+    params.push(department);
+  }
+
+  if (priority) {
+    where.push('t.priority = ?');
+    params.push(priority);
+  }
+
+  // search supports field filters and free text (see services/search.js)
+  let searchQuery = null;
+  if (filters.search && String(filters.search).trim().length > 0) {
+    searchQuery = search.buildSearch(String(filters.search), user);
+    where.push(...searchQuery.where);
+    params.push(...searchQuery.params);
+  }
+
+  return {
+    whereSQL: where.length ? 'WHERE ' + where.join(' AND ') : '',
+    params,
+    searchQuery
+  };
+};
+
+// sort=priority puts Critical first, newest first within the same priority;
+// text searches are ranked by relevance unless another sort is requested
+const orderByFor = (sort, searchQuery) => {
+  if (sort === 'priority') {
+    return "ORDER BY FIELD(t.priority, 'Critical', 'High', 'Medium', 'Low'), t.created_at DESC";
+  }
+  if (searchQuery && searchQuery.ranked && sort !== 'newest') {
+    return 'ORDER BY relevance DESC, t.created_at DESC';
+  }
+  return 'ORDER BY t.created_at DESC';
+};
+
+const countTickets = async (db, filters, user) => {
+  const { whereSQL, params } = buildTicketFilters(filters, user);
+  const [rows] = await db.execute(`SELECT COUNT(*) as total FROM tickets t ${whereSQL}`, params);
+  return rows[0].total || 0;
+};
+
+module.exports = {
+  FILTER_KEYS,
+  SORTS,
+  buildTicketFilters,
+  orderByFor,
+  countTickets
+};
@@ -0,0 +1,198 @@
+const { pool } = require('../config/database');
+const sla = require('./sla');
+const attachments = require('./attachments');
+const { emitTicketEvent } = require('./events');
+
+// Ticket operations shared by the HTTP routes and background workers
+// (e.g. jobs/mailIngest.js), so every entry point numbers tickets and
+// records history the same way.
+
+const TICKET_PREFIX = 'TKT';
+
+// The operations below emit their ticket event right away, unless the caller
+// passes an events array: then the event is queued there and the caller emits
+// it once its transaction has committed (see services/bulkTickets.js).
+const emitOrQueue = (events, type, ticketId, user, data) => {
+  if (events) {
+    events.push([type, ticketId, user, data]);
+  } else {
+    emitTicketEvent(type, ticketId, user, data);
+  }
+};
+
+// Next TKT{year}{0001} number. Must run inside a transaction: the
+// SELECT ... FOR UPDATE lock keeps concurrent creates from sharing a number.
+const generateTicketNumber = async (conn) => {
+  const year = new Date().getFullYear();
+
+  // Lock the relevant rows while we compute the next number
+  const [rows] = await conn.execute(
+    `SELECT ticket_number
+     FROM tickets
+     WHERE YEAR(created_at) = ?
+     ORDER BY ticket_number DESC
+     LIMIT 1 FOR UPDATE`,
+    [year]
+  );
+
+  let nextCount = 1;
+  if (rows.length > 0 && rows[0].ticket_number) {
+    const last = rows[0].ticket_number;
+    const lastNumStr = last.replace(`${TICKET_PREFIX}${year}`, '');
+    const parsed = parseInt(lastNumStr, 10);
+    if (!Number.isNaN(parsed)) {
+      nextCount = parsed + 1;
+    }
+  }
+
+  return `${TICKET_PREFIX}${year}${nextCount.toString().padStart(4, '0')}`;
+};
+
+// Create a ticket with its "Ticket created" history row, SLA targets and
+// attachments. files are multer-style { originalname, mimetype, size, buffer }.
+// Stored files are removed again if anything fails.
+const createTicket = async ({ user, department, equipment_type, problem_description, issue_date, priority = 'Medium', files = [], notes = 'Ticket created' }) => {
+  let conn;
+  let storedFiles = [];
+  try {
+    // Write files to storage before taking the ticket-number lock
+    storedFiles = await attachments.storeFiles(files);
+
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const ticket_number = await generateTicketNumber(conn);
+
+    const [result] = await conn.execute(
+      `INSERT INTO tickets (ticket_number, department, equipment_type, problem_description, 
+        issue_date, priority, created_by) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [ticket_number, department, equipment_type, problem_description, issue_date, priority, user.id]
+    );
+
+    await conn.execute(
+      'INSERT INTO ticket_updates (ticket_id, user_id, update_type, new_value, notes) VALUES (?, ?, ?, ?, ?)',
+      [result.insertId, user.id, 'status_change', 'Pending', notes]
+    );
+
+    await sla.applySlaTargets(conn, result.insertId);
+
+    const savedAttachments = await attachments.recordAttachments(conn, result.insertId, user.id, storedFiles);
+
+    await conn.commit();
+    conn.release();
+    conn = null;
+
+    emitTicketEvent('created', result.insertId, user, { ticketNumber: ticket_number });
+
+    return {
+      id: result.insertId,
+      ticket_number,
+      department,
+      equipment_type,
+      problem_description,
+      issue_date,
+      priority,
+      status: 'Pending',
+      attachments: savedAttachments
+    };
+  } catch (error) {
+    if (conn) {
+      try { await conn.rollback(); conn.release(); } catch (e) { /* ignore */ }
+    }
+    await attachments.removeStoredFiles(storedFiles);
+    throw error;
+  }
+};
+
+// Add a note to a ticket; public staff notes count as the first response.
+// visibility 'internal' hides the note from the requester and watchers.
+const addNote = async (db, ticketId, user, notes, visibility = 'public', events = null) => {
+  const [result] = await db.execute(
+    'INSERT INTO ticket_updates (ticket_id, user_id, update_type, notes, visibility) VALUES (?, ?, ?, ?, ?)',
+    [ticketId, user.id, 'note', notes, visibility]
+  );
+
+  if ((user.role === 'admin' || user.role === 'it') && visibility === 'public') {
+    await sla.recordFirstResponse(db, ticketId);
+  }
+
+  emitOrQueue(events, 'note_added', ticketId, user, { updateId: result.insertId, notes, visibility });
+
+  return result.insertId;
+};
+
+// Move a ticket to a new status with its history row and SLA bookkeeping.
+// Callers check the move against config/workflow.js first. With reopen, the
+// move is recorded as a 'reopen' and counted in reopen_count.
+const changeStatus = async (db, ticket, user, status, notes = null, events = null, { reopen = false } = {}) => {
+  await db.execute(
+    `UPDATE tickets SET status = ?${reopen ? ', reopen_count = reopen_count + 1' : ''} WHERE id = ?`,
+    [status, ticket.id]
+  );
+
+  await db.execute(
+    'INSERT INTO ticket_updates (ticket_id, user_id, update_type, old_value, new_value, notes) VALUES (?, ?, ?, ?, ?, ?)',
+    [ticket.id, user.id, reopen ? 'reopen' : 'status_change', ticket.status, status, notes]
+  );
+
+  if (user.role === 'admin' || user.role === 'it') {
+    await sla.recordFirstResponse(db, ticket.id);
+  }
+  await sla.onStatusChange(db, ticket.id, ticket.status, status);
+
+  emitOrQueue(events, 'status_changed', ticket.id, user, {
+    oldStatus: ticket.status, newStatus: status, notes, ...(reopen ? { reopened: true } : {})
+  });
+};
+
+// Set a ticket's priority; SLA deadlines follow the new priority's policy.
+// ticket needs id and priority.
+const changePriority = async (db, ticket, user, priority, notes = null) => {
+  await db.execute(
+    'UPDATE tickets SET priority = ? WHERE id = ?',
+    [priority, ticket.id]
+  );
+
+  await db.execute(
+    'INSERT INTO ticket_updates (ticket_id, user_id, update_type, old_value, new_value, notes) VALUES (?, ?, ?, ?, ?, ?)',
+    [ticket.id, user.id, 'priority_change', ticket.priority, priority, notes]
+  );
+
+  await sla.applySlaTargets(db, ticket.id);
+};
+
+// Assign a ticket to an IT/admin user, or unassign it with assignee = null.
+// ticket needs id, assigned_to and assigned_to_name; history holds usernames.
+const assignTicket = async (db, ticket, user, assignee, notes = null, events = null) => {
+  const assigneeId = assignee ? assignee.id : null;
+
+  await db.execute(
+    'UPDATE tickets SET assigned_to = ? WHERE id = ?',
+    [assigneeId, ticket.id]
+  );
+
+  await db.execute(
+    'INSERT INTO ticket_updates (ticket_id, user_id, update_type, old_value, new_value, notes) VALUES (?, ?, ?, ?, ?, ?)',
+    [ticket.id, user.id, 'assignment', ticket.assigned_to_name || null, assignee ? assignee.username : null, notes]
+  );
+
+  await sla.recordFirstResponse(db, ticket.id);
+
+  emitOrQueue(events, 'assigned', ticket.id, user, {
+    oldAssigneeId: ticket.assigned_to,
+    oldAssignee: ticket.assigned_to_name || null,
+    assigneeId,
+    assignee: assignee ? assignee.username : null,
+    notes
+  });
+};
+
+module.exports = {
+  TICKET_PREFIX,
+  generateTicketNumber,
+  createTicket,
+  addNote,
+  changeStatus,
+  changePriority,
+  assignTicket
+};
@@ -0,0 +1,53 @@
+// Ticket watchers (CC list). Watchers can read and comment on a ticket the
+// same way its requester can, and get the requester's notifications.
+
+// SQL condition for tickets a 'user' may read: their own or ones they watch.
+// table is the tickets table name or alias; bind [userId, userId].
+const accessCondition = (table = 'tickets') => (
+  `(${table}.created_by = ? OR EXISTS (SELECT 1 FROM ticket_watchers tw WHERE tw.ticket_id = ${table}.id AND tw.user_id = ?))`
+);
+
+const getWatcherIds = async (db, ticketId) => {
+  const [rows] = await db.execute(
+    'SELECT user_id FROM ticket_watchers WHERE ticket_id = ?',
+    [ticketId]
+  );
+  return rows.map(row => row.user_id);
+};
+
+const isWatcher = async (db, ticketId, userId) => {
+  const [rows] = await db.execute(
+    'SELECT 1 FROM ticket_watchers WHERE ticket_id = ? AND user_id = ?',
+    [ticketId, userId]
+  );
+  return rows.length > 0;
+};
+
+// Requester, watchers and staff may read and comment
+const canAccess = async (db, ticket, user) => (
+  user.role === 'admin' ||
+  user.role === 'it' ||
+  Number(ticket.created_by) === Number(user.id) ||
+  isWatcher(db, ticket.id, user.id)
+);
+
+const listWatchers = async (db, ticketId) => {
+  const [rows] = await db.execute(`
+    SELECT tw.user_id, u.username, u.email, u.department, tw.added_by,
+      ab.username as added_by_name, tw.created_at
+    FROM ticket_watchers tw
+    JOIN users u ON tw.user_id = u.id
+    LEFT JOIN users ab ON tw.added_by = ab.id
+    WHERE tw.ticket_id = ?
+    ORDER BY tw.created_at ASC, tw.id ASC
+  `, [ticketId]);
+  return rows;
+};
+
+module.exports = {
+  accessCondition,
+  getWatcherIds,
+  isWatcher,
+  canAccess,
+  listWatchers
+};
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { onTicketEvent } = require('./events');
+
+// Outgoing webhooks.
+//
+// Each subscription receives a JSON POST for the events it selected. The body
+// is signed with the subscription secret:
+//   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${X-Webhook-Timestamp}.${body}`)
+// Failed deliveries are retried with exponential backoff by jobs/webhookRetry.js
+// and every attempt is kept in webhook_deliveries.
+
+const EVENTS = ['ticket.created', 'ticket.status_changed', 'ticket.note_added', 'ticket.assigned', 'ticket.deleted',
+  'ticket.sla_breached'];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '30', 10);
+const TIMEOUT_MS = 10 * 1000;
+// A claimed delivery is left alone this long; after that (e.g. the process died
+// mid-attempt) the retry job may pick it up again
+const CLAIM_SECONDS = TIMEOUT_MS / 1000 + 50;
+const MAX_RESPONSE_LENGTH = 2000;
+
+const generateSecret = () => crypto.randomBytes(24).toString('hex');
+
+const sign = (secret, timestamp, body) => 'sha256=' + crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+// Delay before retry number `attempt` (1-based): 30s, 60s, 120s, ...
+const retryDelaySeconds = (attempt) => RETRY_BASE_SECONDS * Math.pow(2, attempt - 1);
+
+const parseEvents = (value) => String(value || '').split(',').filter(Boolean);
+
+// Webhook row with events as an array and the secret hidden unless asked for
+const toWebhookResponse = (row, { includeSecret = false } = {}) => ({
+  id: row.id,
+  name: row.name,
+  url: row.url,
+  events: parseEvents(row.events),
+  is_active: !!row.is_active,
+  secret: includeSecret ? row.secret : `${String(row.secret).slice(0, 4)}...`,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+// Take a due delivery for one attempt by pushing its next attempt past the
+// claim window. Only one caller (the inline first attempt or the retry job,
+// on any server) wins; returns false for the others.
+const claimDelivery = async (deliveryId) => {
+  const [result] = await pool.execute(`
+    UPDATE webhook_deliveries
+    SET next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+    WHERE id = ? AND status = 'pending' AND next_attempt_at <= NOW()
+  `, [CLAIM_SECONDS, deliveryId]);
+  return result.affectedRows > 0;
+};
+
+// POST one delivery and record the outcome; schedules a retry on failure
+const attemptDelivery = async (deliveryId) => {
+  if (!(await claimDelivery(deliveryId))) return null;
+
+  const [rows] = await pool.execute(`
+    SELECT d.*, w.url, w.secret
+    FROM webhook_deliveries d
+    JOIN webhooks w ON d.webhook_id = w.id
+    WHERE d.id = ?
+  `, [deliveryId]);
+  if (rows.length === 0) return null;
+  const delivery = rows[0];
+
+  const attempts = delivery.attempts + 1;
+  const timestamp = Math.floor(Date.now() / 1000);
+  const body = delivery.payload;
+
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ticketing-system-webhooks',
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': sign(delivery.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    responseStatus = response.status;
+    responseBody = (await response.text()).slice(0, MAX_RESPONSE_LENGTH);
+    if (!response.ok) {
+      error = `HTTP ${response.status}`;
+    }
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `Timed out after ${TIMEOUT_MS / 1000}s` : err.message;
+  }
+
+  let status = 'success';
+  let nextAttemptSeconds = null;
+  if (error) {
+    status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+    if (status === 'pending') nextAttemptSeconds = retryDelaySeconds(attempts);
+  }
+
+  await pool.execute(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = ?, response_status = ?, response_body = ?, error = ?,
+      next_attempt_at = ${nextAttemptSeconds === null ? 'NULL' : 'DATE_ADD(NOW(), INTERVAL ? SECOND)'},
+      delivered_at = ${status === 'success' ? 'NOW()' : 'NULL'}
+    WHERE id = ?
+  `, [
+    status, attempts, responseStatus, responseBody, error ? String(error).slice(0, 255) : null,
+    ...(nextAttemptSeconds === null ? [] : [nextAttemptSeconds]),
+    delivery.id
+  ]);
+
+  return { id: delivery.id, status, attempts, response_status: responseStatus, error };
+};
+
+// Log a delivery and make the first attempt right away
+const queueDelivery = async (webhookId, eventType, payload) => {
+  const [result] = await pool.execute(
+    `INSERT INTO webhook_deliveries (webhook_id, event_type, payload, status, next_attempt_at)
+     VALUES (?, ?, ?, 'pending', NOW())`,
+    [webhookId, eventType, JSON.stringify(payload)]
+  );
+  // null when the retry job claimed it first; it is being sent either way
+  return (await attemptDelivery(result.insertId)) || { id: result.insertId, status: 'pending', attempts: 0 };
+};
+
+// Retry deliveries whose backoff has elapsed; returns how many were attempted
+const retryDueDeliveries = async () => {
+  const [rows] = await pool.execute(`
+    SELECT d.id
+    FROM webhook_deliveries d
+    JOIN webhooks w ON d.webhook_id = w.id
+    WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND w.is_active = 1
+    ORDER BY d.next_attempt_at
+    LIMIT 50
+  `);
+  for (const row of rows) {
+    await attemptDelivery(row.id);
+  }
+  return rows.length;
+};
+
+// Send a stored delivery's payload again as a new delivery
+const replayDelivery = async (deliveryId) => {
+  const [rows] = await pool.execute(
+    'SELECT webhook_id, event_type, payload FROM webhook_deliveries WHERE id = ?',
+    [deliveryId]
+  );
+  if (rows.length === 0) return null;
+  return queueDelivery(rows[0].webhook_id, rows[0].event_type, JSON.parse(rows[0].payload));
+};
+
+const buildPayload = async (event) => {
+  let ticket = event.data.ticket || null;
+  if (event.type !== 'deleted') {
+    const [tickets] = await pool.execute(`
+      SELECT t.id, t.ticket_number, t.department, t.equipment_type, t.problem_description,
+        t.status, t.priority, t.created_by, u.username as created_by_name,
+        t.assigned_to, a.username as assigned_to_name, t.created_at, t.updated_at
+      FROM tickets t
+      LEFT JOIN users u ON t.created_by = u.id
+      LEFT JOIN users a ON t.assigned_to = a.id
+      WHERE t.id = ?
+    `, [event.ticketId]);
+    ticket = tickets[0] || null;
+  }
+  if (!ticket) return null;
+
+  // the deleted ticket is already the top-level `ticket`; watchers are internal
+  const data = { ...event.data };
+  delete data.ticket;
+  delete data.watcherIds;
+  return {
+    event: `ticket.${event.type}`,
+    occurred_at: event.at,
+    actor: event.actor,
+    ticket,
+    data
+  };
+};
+
+const handleTicketEvent = async (event) => {
+  // internal notes are for IT staff only and never leave the system
+  if (event.type === 'note_added' && event.data.visibility === 'internal') return;
+
+  const eventType = `ticket.${event.type}`;
+  const [webhooks] = await pool.execute(
+    'SELECT id, events FROM webhooks WHERE is_active = 1'
+  );
+  const subscribed = webhooks.filter(webhook => parseEvents(webhook.events).includes(eventType));
+  if (subscribed.length === 0) return;
+
+  const payload = await buildPayload(event);
+  if (!payload) return;
+
+  for (const webhook of subscribed) {
+    await queueDelivery(webhook.id, eventType, payload);
+  }
+};
+
+const registerWebhooks = () => {
+  onTicketEvent('*', handleTicketEvent);
+};
+
+module.exports = {
+  EVENTS,
+  MAX_ATTEMPTS,
+  generateSecret,
+  sign,
+  toWebhookResponse,
+  queueDelivery,
+  retryDueDeliveries,
+  replayDelivery,
+  registerWebhooks
+};
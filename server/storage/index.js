@@ -0,0 +1,54 @@
+const path = require('path');
+const createLocalDriver = require('./local');
+const createS3Driver = require('./s3');
+require('dotenv').config();
+
+// Attachment storage backends.
+//
+// New uploads go to the driver named by STORAGE_DRIVER ('local' or 's3').
+// Each ticket_attachments row records the driver holding its file, so reads
+// keep working while files are moved with `npm run storage:migrate`.
+const DRIVERS = ['local', 's3'];
+
+const defaultDriverName = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+const drivers = {};
+
+const createDriver = (name) => {
+  switch (name) {
+    case 'local':
+      return createLocalDriver({
+        root: process.env.LOCAL_STORAGE_DIR
+          ? path.resolve(process.env.LOCAL_STORAGE_DIR)
+          : path.join(__dirname, '../uploads')
+      });
+    case 's3':
+      return createS3Driver({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        // MinIO and most self-hosted S3 servers need path-style URLs
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+          ? process.env.S3_FORCE_PATH_STYLE === 'true'
+          : !!process.env.S3_ENDPOINT
+      });
+    default:
+      throw new Error(`Unknown storage driver "${name}" (expected one of: ${DRIVERS.join(', ')})`);
+  }
+};
+
+// Get a driver by name (defaults to STORAGE_DRIVER); drivers are created once
+const getStorage = (name = defaultDriverName) => {
+  if (!drivers[name]) {
+    drivers[name] = createDriver(name);
+  }
+  return drivers[name];
+};
+
+module.exports = {
+  DRIVERS,
+  defaultDriverName,
+  getStorage
+};
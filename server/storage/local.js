@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores objects as files in a directory (default: server/uploads)
+const createLocalDriver = ({ root }) => {
+  // basename only, so keys cannot escape the storage directory
+  const resolve = (key) => path.join(root, path.basename(key));
+
+  const ensureRoot = () => {
+    if (!fs.existsSync(root)) {
+      fs.mkdirSync(root, { recursive: true });
+    }
+  };
+
+  return {
+    name: 'local',
+
+    async putObject(key, body) {
+      ensureRoot();
+      const filePath = resolve(key);
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(filePath, body);
+        return;
+      }
+      await new Promise((resolvePut, reject) => {
+        body.pipe(fs.createWriteStream(filePath))
+          .on('finish', resolvePut)
+          .on('error', reject);
+        body.on('error', reject);
+      });
+    },
+
+    // Returns { stream, size } or null when the object does not exist
+    async getObject(key) {
+      const filePath = resolve(key);
+      try {
+        const stats = await fs.promises.stat(filePath);
+        return { stream: fs.createReadStream(filePath), size: stats.size };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async deleteObject(key) {
+      try {
+        await fs.promises.unlink(resolve(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+module.exports = createLocalDriver;